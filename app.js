@@ -1,11 +1,146 @@
 const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+require('dotenv').config();
+
+const { closePool } = require('./config/database');
+const scheduler = require('./jobs/scheduler');
+const { authenticate } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
+const metricsService = require('./services/metricsService');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const conferenceRoutes = require('./routes/conferenceRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const topicRoutes = require('./routes/topicRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const logger = require('./utils/logger');
+
 const app = express();
 
+// Middleware
+app.use(helmet());
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
+
+// Prometheus metrics; when METRICS_TOKEN is set, scrapers must send it as a bearer token
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(await metricsService.render());
+  } catch (error) {
+    logger.error('Error in GET /metrics', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Liveness and readiness probes
+app.use('/health', healthRoutes);
+
+// Public calendar feeds
+app.use(calendarRoutes);
+
+// Routes (all require authentication)
+app.use('/auth', authenticate, authRoutes);
+app.use('/users', authenticate, userRoutes);
+app.use('/bookings', authenticate, bookingRoutes);
+app.use('/conferences', authenticate, conferenceRoutes);
+app.use('/jobs', authenticate, jobRoutes);
+app.use('/webhooks', authenticate, webhookRoutes);
+app.use('/topics', authenticate, topicRoutes);
+app.use('/analytics', authenticate, analyticsRoutes);
+
+// Waitlist offers; authenticates its own routes so the links in offer notifications work without a login
+app.use('/offers', offerRoutes);
+
 app.get('/', (req, res) => {
-  res.json({ message: 'Ultra minimal app works!' });
+  res.json({
+    success: true,
+    message: 'Conference Booking System API'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Not found'
+  });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  // Malformed JSON bodies and oversized payloads come from body-parser with a status
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.type === 'entity.parse.failed' ? 'Invalid JSON body' : err.message
+    });
+  }
+
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Ultra minimal server running on port ${PORT}`);
-});
\ No newline at end of file
+/**
+ * Start the HTTP server and background jobs
+ * @param {number} port - Port to listen on
+ * @returns {Object} HTTP server
+ */
+const startServer = (port = process.env.PORT || 3000) => {
+  const server = app.listen(port, () => {
+    logger.info('Server running', { port });
+  });
+
+  scheduler.start();
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+
+    try {
+      await scheduler.stop();
+      await new Promise((resolve) => server.close(resolve));
+      await closePool();
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during shutdown', { error });
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+};
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
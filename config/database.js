@@ -1,5 +1,10 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const logger = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+// Transactions holding a client longer than this are logged as a warning
+const SLOW_CLIENT_MS = 5000;
 
 // Create PostgreSQL connection pool
 const pool = new Pool({
@@ -8,73 +13,157 @@ const pool = new Pool({
   database: process.env.DB_NAME || 'conference_booking',
   user: process.env.DB_USER || 'postgres',
   password: process.env.DB_PASSWORD,
-  max: 20, // Maximum number of connections in the pool
+  max: parseInt(process.env.DB_POOL_MAX) || 20, // Maximum number of connections in the pool
   idleTimeoutMillis: 30000, // How long a client is allowed to remain idle
-  connectionTimeoutMillis: 2000, // How long to wait for a connection
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT_MS) || 2000, // How long to wait for a connection
 });
 
-// Test database connection
 pool.on('connect', () => {
-  console.log('✅ Connected to PostgreSQL database');
+  logger.debug('Connected to PostgreSQL database');
 });
 
+// Delay between reconnect attempts after a pool error, doubled up to the maximum
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Connectivity as last observed; readiness fails while the pool is degraded
+const poolHealth = {
+  healthy: true,
+  last_error: null,
+  last_error_at: null,
+  reconnecting: false
+};
+let reconnectTimer = null;
+
+/**
+ * Check that the pool can reach the database, updating its health
+ * @param {number} timeoutMs - How long to wait for the query
+ * @returns {boolean} Whether the database answered
+ */
+const checkConnection = async (timeoutMs = 2000) => {
+  try {
+    await pool.query({ text: 'SELECT 1', query_timeout: timeoutMs });
+    if (!poolHealth.healthy) {
+      logger.info('Database connection restored');
+    }
+    poolHealth.healthy = true;
+    return true;
+  } catch (error) {
+    poolHealth.healthy = false;
+    poolHealth.last_error = error.message;
+    poolHealth.last_error_at = new Date();
+    return false;
+  }
+};
+
+// Retry the connection with backoff until the database answers again
+const scheduleReconnect = (delay = RECONNECT_BASE_MS) => {
+  poolHealth.reconnecting = true;
+  reconnectTimer = setTimeout(async () => {
+    if (await checkConnection()) {
+      poolHealth.reconnecting = false;
+      reconnectTimer = null;
+      return;
+    }
+    const nextDelay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    logger.warn('Database reconnect failed', { error: poolHealth.last_error, retry_in_ms: nextDelay });
+    scheduleReconnect(nextDelay);
+  }, delay);
+  reconnectTimer.unref();
+};
+
+// The pool drops a client that errors while idle; mark the pool degraded and
+// reconnect instead of exiting
 pool.on('error', (err) => {
-  console.error('❌ Unexpected error on idle client', err);
-  process.exit(-1);
+  logger.error('Unexpected error on idle client', { error: err });
+  poolHealth.healthy = false;
+  poolHealth.last_error = err.message;
+  poolHealth.last_error_at = new Date();
+  if (!poolHealth.reconnecting) {
+    scheduleReconnect();
+  }
 });
 
-// Helper function to execute queries
-const query = async (text, params) => {
+/**
+ * Get the pool's health as last observed
+ * @returns {Object} { healthy, last_error, last_error_at, reconnecting }
+ */
+const getPoolHealth = () => ({ ...poolHealth });
+
+/**
+ * Run a query and record its duration. Query text is only logged at debug level.
+ * @param {Function} run - Runs the query and returns a promise
+ * @param {string} text - Query text
+ * @returns {Object} Query result
+ */
+const timedQuery = async (run, text) => {
+  const stopTimer = metrics.dbQueryDuration.startTimer();
   const start = Date.now();
   try {
-    const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('📊 Query executed:', { text, duration, rows: res.rowCount });
+    const res = await run();
+    stopTimer({ outcome: 'success' });
+    logger.debug('Query executed', {
+      query: typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : undefined,
+      duration_ms: Date.now() - start,
+      rows: res.rowCount
+    });
     return res;
   } catch (error) {
-    console.error('❌ Database query error:', error);
+    stopTimer({ outcome: 'error' });
+    logger.error('Database query error', { error, duration_ms: Date.now() - start });
     throw error;
   }
 };
 
+// Helper function to execute queries
+const query = (text, params) => timedQuery(() => pool.query(text, params), text);
+
 // Helper function to get a client from the pool for transactions
 const getClient = async () => {
   const client = await pool.connect();
   const query = client.query;
   const release = client.release;
+
+  // Time the queries run on the client too
+  client.query = (text, ...args) => timedQuery(() => query.call(client, text, ...args), text);
   
   // Set a timeout for transactions
   const timeout = setTimeout(() => {
-    console.error('❌ A client has been checked out for more than 5 seconds!');
-  }, 5000);
+    logger.warn('A client has been checked out for too long', { threshold_ms: SLOW_CLIENT_MS });
+  }, SLOW_CLIENT_MS);
   
   // Monkey patch the release method to clear our timeout
-  client.release = () => {
+  client.release = (...args) => {
     clearTimeout(timeout);
+    client.query = query;
     client.release = release;
-    return release.apply(client);
+    return release.apply(client, args);
   };
   
   return client;
 };
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('🔄 Gracefully closing database connections...');
-  await pool.end();
-  console.log('✅ Database connections closed');
-  process.exit(0);
-});
+// SQLSTATEs raised when a transaction lost a race (serialization failure, deadlock)
+// and can be retried from the start
+const RETRYABLE_ERROR_CODES = ['40001', '40P01'];
+
+const isRetryableError = (error) => RETRYABLE_ERROR_CODES.includes(error && error.code);
 
-process.on('SIGTERM', async () => {
-  console.log('🔄 Gracefully closing database connections...');
+// Close all pool connections (used on graceful shutdown)
+const closePool = async () => {
+  logger.info('Closing database connections');
+  clearTimeout(reconnectTimer);
+  poolHealth.reconnecting = false;
   await pool.end();
-  console.log('✅ Database connections closed');
-  process.exit(0);
-});
+  logger.info('Database connections closed');
+};
 
 module.exports = {
   pool,
   query,
-  getClient
+  getClient,
+  closePool,
+  checkConnection,
+  getPoolHealth,
+  isRetryableError
 };
\ No newline at end of file
@@ -0,0 +1,216 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const bookingService = require('../services/bookingService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const idempotencyService = require('../services/idempotencyService');
+const checkinService = require('../services/checkinService');
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.heartbeatTask = null;
+    this.lastHeartbeatAt = null;
+  }
+
+  /**
+   * Register a job to run on a cron schedule
+   * @param {string} name - Unique job name
+   * @param {string} schedule - Cron expression
+   * @param {Function} handler - Async function to execute
+   */
+  register(name, schedule, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      schedule,
+      handler,
+      task: null,
+      running: false,
+      last_run_at: null,
+      last_finished_at: null,
+      last_status: null,
+      last_error: null,
+      run_count: 0,
+      failure_count: 0
+    });
+  }
+
+  /**
+   * Run a registered job once, recording its outcome
+   * @param {string} name - Job name
+   * @returns {Object} Result with success/error status
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return {
+        success: false,
+        error: 'Job not found'
+      };
+    }
+
+    // Skip if the previous run has not finished yet
+    if (job.running) {
+      return {
+        success: false,
+        error: 'Job is already running'
+      };
+    }
+
+    job.running = true;
+    job.last_run_at = new Date();
+    const stopTimer = metrics.jobDuration.startTimer({ job: name });
+
+    // Log lines written during the run carry the job name and a run ID
+    return logger.runWithContext({ job: name, run_id: uuidv4() }, async () => {
+      try {
+        await job.handler();
+        job.last_status = 'SUCCESS';
+        job.last_error = null;
+        metrics.jobRuns.inc({ job: name, result: 'success' });
+        metrics.jobLastSuccess.set({ job: name }, Date.now() / 1000);
+        return { success: true };
+      } catch (error) {
+        logger.error('Job failed', { error });
+        job.last_status = 'FAILED';
+        job.last_error = error.message;
+        job.failure_count++;
+        metrics.jobRuns.inc({ job: name, result: 'failure' });
+        return {
+          success: false,
+          error: error.message
+        };
+      } finally {
+        stopTimer();
+        job.running = false;
+        job.run_count++;
+        job.last_finished_at = new Date();
+      }
+    });
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    // Ticks every minute while the scheduler runs, so readiness can tell it is alive
+    if (!this.heartbeatTask) {
+      this.lastHeartbeatAt = new Date();
+      this.heartbeatTask = cron.schedule('* * * * *', () => {
+        this.lastHeartbeatAt = new Date();
+      }, { name: 'heartbeat' });
+    }
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        continue;
+      }
+      job.task = cron.schedule(job.schedule, () => this.runJob(job.name), { name: job.name });
+      logger.info('Scheduled job', { job: job.name, schedule: job.schedule });
+    }
+  }
+
+  /**
+   * Stop all running jobs
+   */
+  async stop() {
+    if (this.heartbeatTask) {
+      await this.heartbeatTask.destroy();
+      this.heartbeatTask = null;
+    }
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        await job.task.destroy();
+        job.task = null;
+      }
+    }
+  }
+
+  /**
+   * Get the scheduler heartbeat
+   * @returns {Object} { started, last_heartbeat_at }
+   */
+  getHeartbeat() {
+    return {
+      started: this.heartbeatTask !== null,
+      last_heartbeat_at: this.lastHeartbeatAt
+    };
+  }
+
+  /**
+   * Get status of all registered jobs
+   * @returns {Array} Job status details
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      scheduled: job.task !== null,
+      running: job.running,
+      last_run_at: job.last_run_at,
+      last_finished_at: job.last_finished_at,
+      last_status: job.last_status,
+      last_error: job.last_error,
+      run_count: job.run_count,
+      failure_count: job.failure_count,
+      next_run_at: job.task ? job.task.getNextRun() : null
+    }));
+  }
+}
+
+const scheduler = new JobScheduler();
+
+// Expire unconfirmed waitlist offers and pass them to the next person in line
+scheduler.register(
+  'expired-waitlist-bookings',
+  process.env.WAITLIST_EXPIRY_CRON || '* * * * *',
+  () => bookingService.handleExpiredWaitlistBookings()
+);
+
+// Cancel remaining waitlist entries once a conference has started
+scheduler.register(
+  'auto-cancel-started-conferences',
+  process.env.AUTO_CANCEL_CRON || '*/5 * * * *',
+  () => bookingService.autoCancelForStartedConferences()
+);
+
+// Deliver queued notifications and retry failed ones
+scheduler.register(
+  'notification-dispatch',
+  process.env.NOTIFICATION_DISPATCH_CRON || '* * * * *',
+  () => notificationService.dispatchPending()
+);
+
+// Deliver queued webhook events and retry failed ones
+scheduler.register(
+  'webhook-dispatch',
+  process.env.WEBHOOK_DISPATCH_CRON || '* * * * *',
+  () => webhookService.dispatchPending()
+);
+
+// Delete idempotency keys whose replay window has passed
+scheduler.register(
+  'idempotency-key-cleanup',
+  process.env.IDEMPOTENCY_CLEANUP_CRON || '0 * * * *',
+  () => idempotencyService.purgeExpired()
+);
+
+// Record confirmed bookings that were never checked in as no-shows once the conference ends
+scheduler.register(
+  'mark-no-shows',
+  process.env.NO_SHOW_CRON || '*/15 * * * *',
+  () => checkinService.markNoShows()
+);
+
+module.exports = scheduler;
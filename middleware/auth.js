@@ -0,0 +1,190 @@
+const authService = require('../services/authService');
+const conferenceService = require('../services/conferenceService');
+const bookingService = require('../services/bookingService');
+const offerService = require('../services/offerService');
+const logger = require('../utils/logger');
+
+// Send a 401/403 in the standard response envelope
+const deny = (res, status, error) => res.status(status).json({ success: false, error });
+
+const isAdmin = (req) => req.user && req.user.role === 'admin';
+
+/**
+ * Identify who performed an action, for audit columns.
+ * API-key principals have no user ID, so they are recorded by auth type and role.
+ * @param {Object} req - Authenticated request
+ * @returns {string} Actor identifier
+ */
+const getActor = (req) => req.user.user_id || `${req.user.auth_type}:${req.user.role}`;
+
+/**
+ * Build the { actor, source } context services record in the booking history
+ * @param {Object} req - Authenticated request
+ * @returns {Object} Request context
+ */
+const getRequestContext = (req) => ({
+  actor: getActor(req),
+  source: `${req.method} ${req.baseUrl}${req.route ? req.route.path : ''}`
+});
+
+/**
+ * Authenticate the request from a bearer token or X-API-Key header.
+ * Sets req.user to { user_id, role, auth_type }.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    const apiKey = req.get('X-API-Key');
+
+    if (!token && !apiKey) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    const principal = await authService.resolvePrincipal({ token, apiKey });
+    if (!principal) {
+      return deny(res, 401, 'Invalid or expired credentials');
+    }
+
+    req.user = principal;
+    next();
+  } catch (error) {
+    logger.error('Error in authenticate', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Allow only the given roles
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return deny(res, 403, 'Insufficient permissions');
+  }
+  next();
+};
+
+/**
+ * Allow admins, or the user whose ID is returned by getUserId
+ * @param {Function} getUserId - Extracts the target user ID from the request
+ */
+const authorizeSelf = (getUserId) => (req, res, next) => {
+  if (isAdmin(req) || (req.user && req.user.user_id === getUserId(req))) {
+    return next();
+  }
+  deny(res, 403, 'You can only access your own resources');
+};
+
+/**
+ * Allow admins, or the organizer who owns the conference in req.params.name
+ */
+const authorizeConferenceOrganizer = async (req, res, next) => {
+  try {
+    if (isAdmin(req)) {
+      return next();
+    }
+
+    const conference = await conferenceService.getConferenceByName(req.params.name);
+    if (!conference) {
+      return deny(res, 404, 'Conference not found');
+    }
+
+    if (req.user.role !== 'organizer' || conference.organizer_id !== req.user.user_id) {
+      return deny(res, 403, 'Only the conference organizer can perform this action');
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error in authorizeConferenceOrganizer', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Allow admins and the owner of the booking in req.params.bookingId.
+ * With allowOrganizer, the organizer of the booked conference is also allowed.
+ * @param {Object} options - { allowOrganizer }
+ */
+const authorizeBooking = ({ allowOrganizer = false } = {}) => async (req, res, next) => {
+  try {
+    if (isAdmin(req)) {
+      return next();
+    }
+
+    const booking = await bookingService.getBookingOwnership(req.params.bookingId);
+    if (!booking) {
+      return deny(res, 404, 'Booking not found');
+    }
+
+    const isOwner = booking.user_id === req.user.user_id;
+    const isOrganizer = allowOrganizer
+      && req.user.role === 'organizer'
+      && booking.organizer_id === req.user.user_id;
+
+    if (!isOwner && !isOrganizer) {
+      return deny(res, 403, 'You can only manage your own bookings');
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error in authorizeBooking', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Allow admins, or the user a seat offer in req.params.offerId was made to.
+ * With allowOrganizer, the organizer of the offer's conference is allowed too.
+ */
+const authorizeOffer = ({ allowOrganizer = false } = {}) => async (req, res, next) => {
+  try {
+    if (isAdmin(req)) {
+      return next();
+    }
+
+    const offer = await offerService.getOffer(req.params.offerId);
+    if (!offer) {
+      return deny(res, 404, 'Offer not found');
+    }
+
+    if (offer.user_id === req.user.user_id) {
+      return next();
+    }
+
+    if (allowOrganizer && req.user.role === 'organizer') {
+      const conference = await conferenceService.getConferenceByName(offer.conference_name);
+      if (conference && conference.organizer_id === req.user.user_id) {
+        return next();
+      }
+    }
+
+    deny(res, 403, 'You can only respond to your own offers');
+  } catch (error) {
+    logger.error('Error in authorizeOffer', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  authorizeSelf,
+  authorizeConferenceOrganizer,
+  authorizeBooking,
+  authorizeOffer,
+  getActor,
+  getRequestContext
+};
@@ -0,0 +1,98 @@
+const idempotencyService = require('../services/idempotencyService');
+const { getActor } = require('./auth');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Make a mutating route safe to retry with an Idempotency-Key header.
+ *
+ * The first request with a key runs normally and its response is stored.
+ * Repeats with the same key and body get the stored response back (with
+ * Idempotent-Replayed: true); reusing the key for a different request is a 422,
+ * and a repeat that arrives while the first is still running is a 409.
+ * Keys are scoped to the caller. Server errors are not stored, so they can be retried.
+ * Requests without the header are not affected.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const scope = getActor(req);
+    const path = `${req.baseUrl}${req.path}`;
+    const hash = idempotencyService.fingerprint({ method: req.method, path, body: req.body });
+
+    const { reserved, existing } = await idempotencyService.reserve({
+      scope,
+      key,
+      method: req.method,
+      path,
+      hash
+    });
+
+    if (!reserved) {
+      if (existing.request_hash !== hash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status !== 'COMPLETED') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the response so it can be stored once it has been sent
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    let settled = false;
+    const settle = (finished) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      const store = finished && res.statusCode < 500
+        ? idempotencyService.complete({ scope, key, statusCode: res.statusCode, body: responseBody })
+        : idempotencyService.release({ scope, key });
+
+      store.catch(error => logger.error('Error storing idempotency key', { error }));
+    };
+    res.on('finish', () => settle(true));
+    res.on('close', () => settle(res.writableFinished));
+
+    next();
+  } catch (error) {
+    logger.error('Error in idempotent', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,55 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+// Incoming request IDs are reused when they look like an ID and not arbitrary text
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Route label for metrics: the matched route pattern, so IDs in paths do not
+ * create a series per resource
+ * @param {Object} req - Request
+ * @returns {string} Route pattern, or "unmatched"
+ */
+const getRouteLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+/**
+ * Give each request a correlation ID (from X-Request-Id or a new one), echo it in
+ * the response, and make it part of every log line written while handling the
+ * request. Logs each completed request and records its latency.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = getRouteLabel(req);
+
+    metrics.httpRequestDuration.observe(
+      { method: req.method, route, status: res.statusCode },
+      durationSeconds
+    );
+
+    logger.runWithContext({ request_id: requestId }, () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(durationSeconds * 1000),
+        user_id: req.user ? req.user.user_id : undefined
+      });
+    });
+  });
+
+  logger.runWithContext({ request_id: requestId }, next);
+};
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,29 @@
+/**
+ * Add user roles and conference ownership for authorization.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'attendee'
+          CHECK (role IN ('admin', 'organizer', 'attendee'))
+    `);
+
+    await client.query(`
+      ALTER TABLE conferences
+        ADD COLUMN IF NOT EXISTS organizer_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conferences_organizer_id ON conferences(organizer_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_conferences_organizer_id;
+      ALTER TABLE conferences DROP COLUMN IF EXISTS organizer_id;
+      ALTER TABLE users DROP COLUMN IF EXISTS role;
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Keep canceled conferences for history instead of deleting them,
+ * and record why bookings were canceled.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE conferences
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED'
+          CHECK (status IN ('SCHEDULED', 'CANCELED')),
+        ADD COLUMN IF NOT EXISTS canceled_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS canceled_by VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS cancellation_reason TEXT
+    `);
+
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS cancellation_reason TEXT
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conferences_status ON conferences(status);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_conferences_status;
+      ALTER TABLE bookings DROP COLUMN IF EXISTS cancellation_reason;
+      ALTER TABLE conferences
+        DROP COLUMN IF EXISTS cancellation_reason,
+        DROP COLUMN IF EXISTS canceled_by,
+        DROP COLUMN IF EXISTS canceled_at,
+        DROP COLUMN IF EXISTS status;
+    `);
+  }
+};
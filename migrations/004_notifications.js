@@ -0,0 +1,42 @@
+/**
+ * Notification outbox, written in the same transaction as booking changes
+ * and delivered later by the dispatcher job.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email VARCHAR(255)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        event_type VARCHAR(50) NOT NULL,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        booking_id UUID REFERENCES bookings(booking_id) ON DELETE SET NULL,
+        conference_name VARCHAR(255),
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'FAILED')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_pending
+        ON notifications(next_attempt_at) WHERE status = 'PENDING';
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS notifications;
+      ALTER TABLE users DROP COLUMN IF EXISTS email;
+    `);
+  }
+};
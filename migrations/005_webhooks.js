@@ -0,0 +1,72 @@
+/**
+ * Webhook subscriptions for integrators, with a delivery queue
+ * and a log of every delivery attempt.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id UUID PRIMARY KEY,
+        url TEXT NOT NULL,
+        event_types TEXT[] NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        description VARCHAR(255),
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY,
+        subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SUCCEEDED', 'FAILED')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_response_status INTEGER,
+        last_error TEXT,
+        replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id SERIAL PRIMARY KEY,
+        delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        attempt_number INTEGER NOT NULL,
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending
+        ON webhook_deliveries(next_attempt_at) WHERE status = 'PENDING';
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+        ON webhook_deliveries(subscription_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+        ON webhook_delivery_attempts(delivery_id);
+
+      DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+      CREATE TRIGGER update_webhook_subscriptions_updated_at 
+        BEFORE UPDATE ON webhook_subscriptions 
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS webhook_delivery_attempts;
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhook_subscriptions;
+    `);
+  }
+};
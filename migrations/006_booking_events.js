@@ -0,0 +1,36 @@
+/**
+ * Booking state-transition history: every status change, waitlist
+ * position change and confirmation deadline change, with who caused it.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS booking_events (
+        id BIGSERIAL PRIMARY KEY,
+        booking_id UUID NOT NULL REFERENCES bookings(booking_id) ON DELETE CASCADE,
+        conference_name VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(30) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        from_position INTEGER,
+        to_position INTEGER,
+        confirm_by TIMESTAMP WITH TIME ZONE,
+        actor VARCHAR(255) NOT NULL,
+        source VARCHAR(255) NOT NULL,
+        reason TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_events_booking ON booking_events(booking_id, id);
+      CREATE INDEX IF NOT EXISTS idx_booking_events_conference ON booking_events(conference_name, id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS booking_events');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Idempotency keys: the fingerprint and stored response of mutating
+ * requests sent with an Idempotency-Key header, so retries can be replayed.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope VARCHAR(255) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_method VARCHAR(10) NOT NULL,
+        request_path TEXT NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS' CHECK (status IN ('IN_PROGRESS', 'COMPLETED')),
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY (scope, idempotency_key)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
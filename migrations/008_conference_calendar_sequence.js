@@ -0,0 +1,16 @@
+/**
+ * Calendar revision counter for conferences, used as the iCalendar SEQUENCE
+ * so calendar clients pick up time, location and cancellation changes.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE conferences
+        ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE conferences DROP COLUMN IF EXISTS calendar_sequence');
+  }
+};
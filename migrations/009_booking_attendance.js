@@ -0,0 +1,29 @@
+/**
+ * Attendance for confirmed bookings: when and by whom the attendee was
+ * checked in, and the ATTENDED/NO_SHOW outcome once the conference is over.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS attendance VARCHAR(20)
+          CHECK (attendance IN ('ATTENDED', 'NO_SHOW')),
+        ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS checked_in_by VARCHAR(255)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_attendance ON bookings(conference_name, attendance);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_bookings_attendance;
+      ALTER TABLE bookings
+        DROP COLUMN IF EXISTS checked_in_by,
+        DROP COLUMN IF EXISTS checked_in_at,
+        DROP COLUMN IF EXISTS attendance;
+    `);
+  }
+};
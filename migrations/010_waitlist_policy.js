@@ -0,0 +1,38 @@
+/**
+ * Per-conference waitlist policy: how long seat offers stay open, what happens
+ * when one expires, how many offers a user can get and whether freed seats are
+ * confirmed automatically. Bookings count the offers they have received.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE conferences
+        ADD COLUMN IF NOT EXISTS offer_window_minutes INTEGER NOT NULL DEFAULT 60
+          CHECK (offer_window_minutes > 0),
+        ADD COLUMN IF NOT EXISTS offer_expiry_action VARCHAR(20) NOT NULL DEFAULT 'MOVE_TO_BACK'
+          CHECK (offer_expiry_action IN ('MOVE_TO_BACK', 'DROP', 'KEEP_POSITION_ONCE')),
+        ADD COLUMN IF NOT EXISTS max_offers_per_user INTEGER
+          CHECK (max_offers_per_user > 0),
+        ADD COLUMN IF NOT EXISTS auto_confirm BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS offer_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS kept_position BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE bookings
+        DROP COLUMN IF EXISTS kept_position,
+        DROP COLUMN IF EXISTS offer_count;
+      ALTER TABLE conferences
+        DROP COLUMN IF EXISTS auto_confirm,
+        DROP COLUMN IF EXISTS max_offers_per_user,
+        DROP COLUMN IF EXISTS offer_expiry_action,
+        DROP COLUMN IF EXISTS offer_window_minutes;
+    `);
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Seat offers made to waitlisted bookings, with their outcome and the hash of
+ * the single-use token used by the accept/decline links in offer notifications.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS waitlist_offers (
+        offer_id UUID PRIMARY KEY,
+        booking_id UUID NOT NULL REFERENCES bookings(booking_id) ON DELETE CASCADE,
+        conference_name VARCHAR(255) NOT NULL REFERENCES conferences(name) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'OFFERED'
+          CHECK (status IN ('OFFERED', 'ACCEPTED', 'DECLINED', 'EXPIRED')),
+        token_hash CHAR(64) NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        responded_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_offers_open
+        ON waitlist_offers(booking_id) WHERE status = 'OFFERED';
+      CREATE INDEX IF NOT EXISTS idx_waitlist_offers_conference ON waitlist_offers(conference_name, status);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS waitlist_offers');
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Per-user choice of which waitlist entries are dropped when the user gets a
+ * confirmed seat: ALL of them, only those OVERLAPPING the confirmed conference, or NONE.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS waitlist_removal VARCHAR(20) NOT NULL DEFAULT 'ALL'
+          CHECK (waitlist_removal IN ('ALL', 'OVERLAPPING', 'NONE'))
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS waitlist_removal');
+  }
+};
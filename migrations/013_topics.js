@@ -0,0 +1,74 @@
+/**
+ * Topic taxonomy: canonical topic names with optional parents, and aliases
+ * (synonyms and spelling variants, stored lower-case) that resolve to them.
+ * Existing conference and user topics are registered, matched case-insensitively,
+ * and rewritten to their canonical names.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS topics (
+        name VARCHAR(100) PRIMARY KEY,
+        parent_name VARCHAR(100) REFERENCES topics(name) ON UPDATE CASCADE ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (parent_name IS NULL OR parent_name <> name)
+      );
+
+      CREATE TABLE IF NOT EXISTS topic_aliases (
+        alias VARCHAR(100) PRIMARY KEY CHECK (alias = LOWER(alias)),
+        topic_name VARCHAR(100) NOT NULL REFERENCES topics(name) ON UPDATE CASCADE ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_topics_parent ON topics(parent_name);
+      CREATE INDEX IF NOT EXISTS idx_topic_aliases_topic ON topic_aliases(topic_name);
+      CREATE INDEX IF NOT EXISTS idx_conferences_topics ON conferences USING GIN (topics);
+    `);
+
+    // One canonical topic per case-insensitive spelling, keeping the most used spelling
+    await client.query(`
+      WITH used AS (
+        SELECT TRIM(topic) AS topic FROM conferences, unnest(topics) AS topic
+        UNION ALL
+        SELECT TRIM(topic) FROM users, unnest(interested_topics) AS topic
+      ),
+      ranked AS (
+        SELECT topic, LOWER(topic) AS alias,
+               ROW_NUMBER() OVER (PARTITION BY LOWER(topic) ORDER BY COUNT(*) DESC, topic) AS rank
+        FROM used
+        WHERE topic <> '' AND LENGTH(topic) <= 100
+        GROUP BY topic
+      ),
+      inserted AS (
+        INSERT INTO topics (name)
+        SELECT topic FROM ranked WHERE rank = 1
+        ON CONFLICT (name) DO NOTHING
+        RETURNING name
+      )
+      INSERT INTO topic_aliases (alias, topic_name)
+      SELECT LOWER(name), name FROM inserted
+      ON CONFLICT (alias) DO NOTHING
+    `);
+
+    // Rewrite stored topics to their canonical names, dropping duplicates but keeping order
+    for (const [table, column] of [['conferences', 'topics'], ['users', 'interested_topics']]) {
+      await client.query(`
+        UPDATE ${table}
+        SET ${column} = ARRAY(
+          SELECT COALESCE(a.topic_name, TRIM(u.topic))
+          FROM unnest(${table}.${column}) WITH ORDINALITY AS u(topic, position)
+          LEFT JOIN topic_aliases a ON a.alias = LOWER(TRIM(u.topic))
+          GROUP BY COALESCE(a.topic_name, TRIM(u.topic))
+          ORDER BY MIN(u.position)
+        )
+      `);
+    }
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_conferences_topics;
+      DROP TABLE IF EXISTS topic_aliases;
+      DROP TABLE IF EXISTS topics;
+    `);
+  }
+};
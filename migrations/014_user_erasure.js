@@ -0,0 +1,17 @@
+/**
+ * Erased users: when a user is erased, their historical bookings move to a
+ * pseudonymous placeholder user marked with erased_at, so conference statistics
+ * keep counting them without pointing back to the person.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP WITH TIME ZONE
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS erased_at');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Transports each notification has already been delivered through, so a retry
+ * after one transport fails does not send it again through the others.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS delivered_transports TEXT[] NOT NULL DEFAULT '{}'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE notifications DROP COLUMN IF EXISTS delivered_transports');
+  }
+};
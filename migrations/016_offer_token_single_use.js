@@ -0,0 +1,16 @@
+/**
+ * Offer link tokens are single-use: the token hash is cleared when the offer
+ * is answered or closed, so a replayed link no longer verifies.
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE waitlist_offers ALTER COLUMN token_hash DROP NOT NULL');
+    await client.query("UPDATE waitlist_offers SET token_hash = NULL WHERE status <> 'OFFERED'");
+  },
+
+  down: async (client) => {
+    // Closed offers get a hash no token can match
+    await client.query("UPDATE waitlist_offers SET token_hash = repeat('0', 64) WHERE token_hash IS NULL");
+    await client.query('ALTER TABLE waitlist_offers ALTER COLUMN token_hash SET NOT NULL');
+  }
+};
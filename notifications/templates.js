@@ -0,0 +1,76 @@
+// Notification event types
+const EVENTS = {
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_WAITLISTED: 'booking.waitlisted',
+  OFFER_MADE: 'waitlist.offer_made',
+  OFFER_EXPIRED: 'waitlist.offer_expired',
+  BOOKING_CANCELED: 'booking.canceled',
+  BOOKING_TRANSFERRED: 'booking.transferred'
+};
+
+const formatTime = (value) => (value ? new Date(value).toUTCString() : 'unknown');
+
+// Each template renders { subject, text } from the notification payload
+const templates = {
+  [EVENTS.BOOKING_CONFIRMED]: (p) => ({
+    subject: `Booking confirmed: ${p.conference_name}`,
+    text: `Your seat at ${p.conference_name} is confirmed.\n`
+      + `Starts: ${formatTime(p.start_time)}\n`
+      + `Booking ID: ${p.booking_id}`
+  }),
+
+  [EVENTS.BOOKING_WAITLISTED]: (p) => ({
+    subject: `Waitlisted: ${p.conference_name}`,
+    text: `${p.conference_name} is full, so you have been added to the waitlist`
+      + (p.position ? ` at position ${p.position}` : '') + '.\n'
+      + 'We will let you know if a seat becomes available.\n'
+      + `Booking ID: ${p.booking_id}`
+  }),
+
+  [EVENTS.OFFER_MADE]: (p) => ({
+    subject: `A seat is available: ${p.conference_name}`,
+    text: `A seat has opened up at ${p.conference_name}.\n`
+      + `Confirm your booking before ${formatTime(p.confirm_by)} or the seat will be offered to the next person.\n`
+      + (p.accept_url ? `Accept: ${p.accept_url}\nDecline: ${p.decline_url}\n` : '')
+      + `Booking ID: ${p.booking_id}`
+  }),
+
+  [EVENTS.OFFER_EXPIRED]: (p) => ({
+    subject: `Seat offer expired: ${p.conference_name}`,
+    text: `Your offer for a seat at ${p.conference_name} expired before it was confirmed.\n`
+      + (p.position ? `You are now at position ${p.position} on the waitlist.\n` : '')
+      + `Booking ID: ${p.booking_id}`
+  }),
+
+  [EVENTS.BOOKING_CANCELED]: (p) => ({
+    subject: `Booking canceled: ${p.conference_name}`,
+    text: `Your booking for ${p.conference_name} has been canceled.\n`
+      + (p.reason ? `Reason: ${p.reason}\n` : '')
+      + `Booking ID: ${p.booking_id}`
+  }),
+
+  [EVENTS.BOOKING_TRANSFERRED]: (p) => ({
+    subject: `Booking transferred: ${p.conference_name}`,
+    text: `Your seat at ${p.conference_name} has been transferred to ${p.to_user_id}.\n`
+      + `Booking ID: ${p.booking_id}`
+  })
+};
+
+/**
+ * Render a notification into a subject and body
+ * @param {string} eventType - Event type (one of EVENTS)
+ * @param {Object} payload - Event payload
+ * @returns {Object} { subject, text }
+ */
+const renderTemplate = (eventType, payload) => {
+  const template = templates[eventType];
+  if (!template) {
+    throw new Error(`No template for event ${eventType}`);
+  }
+  return template(payload);
+};
+
+module.exports = {
+  EVENTS,
+  renderTemplate
+};
@@ -0,0 +1,12 @@
+/**
+ * Development transport that prints notifications to stdout
+ */
+module.exports = {
+  name: 'console',
+
+  async send(message) {
+    console.log(`[notification] to=${message.recipient.user_id} event=${message.event_type} subject="${message.subject}"`);
+    console.log(message.text);
+    return { delivered: true };
+  }
+};
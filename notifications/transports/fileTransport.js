@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Development transport that appends notifications as JSON lines to a file
+ */
+module.exports = {
+  name: 'file',
+
+  async send(message) {
+    const filePath = process.env.NOTIFICATION_FILE_PATH || 'notifications.log';
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify({
+      sent_at: new Date().toISOString(),
+      ...message
+    }) + '\n');
+    return { delivered: true };
+  }
+};
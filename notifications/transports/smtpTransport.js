@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Email transport. Users without an email address are skipped.
+ */
+module.exports = {
+  name: 'smtp',
+
+  async send(message) {
+    if (!message.recipient.email) {
+      return { delivered: false, skipped: 'User has no email address' };
+    }
+
+    await getTransporter().sendMail({
+      from: process.env.NOTIFICATION_FROM || 'Conference Booking <no-reply@localhost>',
+      to: message.recipient.email,
+      subject: message.subject,
+      text: message.text
+    });
+    return { delivered: true };
+  }
+};
@@ -0,0 +1,27 @@
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Posts each notification as JSON to NOTIFICATION_WEBHOOK_URL
+ */
+module.exports = {
+  name: 'webhook',
+
+  async send(message) {
+    const url = process.env.NOTIFICATION_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('NOTIFICATION_WEBHOOK_URL is not configured');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+    return { delivered: true };
+  }
+};
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+const {
+  authorize,
+  authorizeConferenceOrganizer
+} = require('../middleware/auth');
+const {
+  analyticsValidation,
+  conferenceNameValidation,
+  handleValidationErrors
+} = require('../utils/validators');
+const logger = require('../utils/logger');
+
+/**
+ * Read the shared analytics query string. Organizers only see their own conferences.
+ * @param {Object} req - Authenticated request
+ * @returns {Object} { options, filters } for analyticsService
+ */
+const getAnalyticsQuery = (req) => {
+  const { from, to, bucket, conference, limit } = req.query;
+  return {
+    options: {
+      from,
+      to,
+      bucket,
+      limit: limit ? parseInt(limit, 10) : undefined
+    },
+    filters: {
+      conference,
+      organizerId: req.user.role === 'admin' ? null : req.user.user_id
+    }
+  };
+};
+
+/**
+ * Build a handler for an analytics report over a date range
+ * @param {string} path - Route path, for error logs
+ * @param {Function} getReport - async (options, filters) => result
+ * @returns {Function} Route handler
+ */
+const reportHandler = (path, getReport) => async (req, res) => {
+  try {
+    const { options, filters } = getAnalyticsQuery(req);
+    const result = await getReport(options, filters);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    logger.error(`Error in GET /analytics${path}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @route GET /analytics/conferences/:name/fill-rate
+ * @desc Confirmed seats and fill rate per bucket (?bucket=hour|day|week|month) until the conference starts
+ * @access Organizer (own conference), Admin
+ */
+router.get('/conferences/:name/fill-rate',
+  authorizeConferenceOrganizer,
+  conferenceNameValidation,
+  analyticsValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await analyticsService.getFillRate(req.params.name, { bucket: req.query.bucket });
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Conference not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /analytics/conferences/:name/fill-rate', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// The reports below cover all conferences for admins and their own conferences for organizers
+router.use(authorize('admin', 'organizer'));
+
+/**
+ * @route GET /analytics/bookings
+ * @desc New bookings and cancellations per conference per bucket
+ *   (?from, ?to, ?bucket=hour|day|week|month, ?conference)
+ * @access Organizer, Admin
+ */
+router.get('/bookings',
+  analyticsValidation,
+  handleValidationErrors,
+  reportHandler('/bookings', (options, filters) => analyticsService.getBookingsOverTime(options, filters))
+);
+
+/**
+ * @route GET /analytics/waitlist
+ * @desc Waitlist-to-confirmed conversion, time on the waitlist and seat offer outcomes
+ *   (?from, ?to, ?conference)
+ * @access Organizer, Admin
+ */
+router.get('/waitlist',
+  analyticsValidation,
+  handleValidationErrors,
+  reportHandler('/waitlist', (options, filters) => analyticsService.getWaitlistFunnel(options, filters))
+);
+
+/**
+ * @route GET /analytics/cancellations
+ * @desc How long before the start attendees cancel (?from, ?to, ?conference)
+ * @access Organizer, Admin
+ */
+router.get('/cancellations',
+  analyticsValidation,
+  handleValidationErrors,
+  reportHandler('/cancellations', (options, filters) => analyticsService.getCancellationLeadTimes(options, filters))
+);
+
+/**
+ * @route GET /analytics/topics
+ * @desc Topics ranked by bookings made in the range (?from, ?to, ?conference, ?limit)
+ * @access Organizer, Admin
+ */
+router.get('/topics',
+  analyticsValidation,
+  handleValidationErrors,
+  reportHandler('/topics', (options, filters) => analyticsService.getTopicDemand(options, filters))
+);
+
+module.exports = router;
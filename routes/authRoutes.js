@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const { authorize } = require('../middleware/auth');
+const {
+  tokenValidation,
+  handleValidationErrors
+} = require('../utils/validators');
+const logger = require('../utils/logger');
+
+/**
+ * @route POST /auth/tokens
+ * @desc Issue a signed access token for a user
+ * @access Admin
+ */
+router.post('/tokens',
+  authorize('admin'),
+  tokenValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await authService.issueToken(req.body.user_id, req.body.expires_in);
+
+      if (result.success) {
+        res.status(201).json(result);
+      } else if (result.error === 'User not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /auth/tokens', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /auth/me
+ * @desc Get the authenticated principal
+ * @access Authenticated
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+module.exports = router;
@@ -1,38 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const bookingService = require('../services/bookingService');
+const bookingHistoryService = require('../services/bookingHistoryService');
+const checkinService = require('../services/checkinService');
+const offerService = require('../services/offerService');
+const {
+  authorize,
+  authorizeSelf,
+  authorizeBooking,
+  getRequestContext
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const {
   bookingValidation,
   bookingIdValidation,
+  bookingTransferValidation,
+  waitlistRemovalValidation,
   handleValidationErrors
 } = require('../utils/validators');
+const logger = require('../utils/logger');
 
 /**
  * @route GET /bookings/stats
+ * @access Admin
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', authorize('admin'), async (req, res) => {
   try {
     const result = await bookingService.getBookingStatistics();
     res.status(result.success ? 200 : 400).json(result);
   } catch (error) {
-    console.error('GET /bookings/stats:', error);
+    logger.error('GET /bookings/stats', { error });
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
 /**
  * @route POST /bookings
+ * @access Booking user, Admin
  */
 router.post(
   '/',
+  authorizeSelf(req => req.body.user_id),
+  idempotent,
   bookingValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const result = await bookingService.bookConference(req.body);
+      const result = await bookingService.bookConference(req.body, getRequestContext(req));
       res.status(result.status === 'CONFIRMED' ? 201 : 200).json(result);
     } catch (error) {
-      console.error('POST /bookings:', error);
+      logger.error('POST /bookings', { error });
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -40,17 +57,80 @@ router.post(
 
 /**
  * @route GET /bookings/:bookingId/status
+ * @access Booking owner, Conference organizer, Admin
  */
 router.get(
   '/:bookingId/status',
   bookingIdValidation,
   handleValidationErrors,
+  authorizeBooking({ allowOrganizer: true }),
   async (req, res) => {
     try {
       const result = await bookingService.getBookingStatus(req.params.bookingId);
       res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
-      console.error('GET /bookings/:bookingId/status:', error);
+      logger.error('GET /bookings/:bookingId/status', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /bookings/:bookingId/history
+ * @access Booking owner, Conference organizer, Admin
+ */
+router.get(
+  '/:bookingId/history',
+  bookingIdValidation,
+  handleValidationErrors,
+  authorizeBooking({ allowOrganizer: true }),
+  async (req, res) => {
+    try {
+      const result = await bookingHistoryService.getBookingHistory(req.params.bookingId);
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      logger.error('GET /bookings/:bookingId/history', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /bookings/:bookingId/offers
+ * @access Booking owner, Conference organizer, Admin
+ */
+router.get(
+  '/:bookingId/offers',
+  bookingIdValidation,
+  handleValidationErrors,
+  authorizeBooking({ allowOrganizer: true }),
+  async (req, res) => {
+    try {
+      const result = await offerService.getBookingOffers(req.params.bookingId);
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      logger.error('GET /bookings/:bookingId/offers', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @route GET /bookings/:bookingId/checkin-token
+ * @desc Signed check-in token (QR code payload) for a confirmed booking
+ * @access Booking owner, Admin
+ */
+router.get(
+  '/:bookingId/checkin-token',
+  bookingIdValidation,
+  handleValidationErrors,
+  authorizeBooking(),
+  async (req, res) => {
+    try {
+      const result = await checkinService.issueToken(req.params.bookingId);
+      res.status(result.success ? 200 : result.error === 'Booking not found' ? 404 : 400).json(result);
+    } catch (error) {
+      logger.error('GET /bookings/:bookingId/checkin-token', { error });
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -58,17 +138,53 @@ router.get(
 
 /**
  * @route PUT /bookings/:bookingId/confirm
+ * @desc Confirm a waitlisted booking; optional { waitlist_removal } overrides the user's preference
+ * @access Booking owner, Admin
  */
 router.put(
   '/:bookingId/confirm',
   bookingIdValidation,
+  waitlistRemovalValidation,
   handleValidationErrors,
+  authorizeBooking(),
+  idempotent,
   async (req, res) => {
     try {
-      const result = await bookingService.confirmWaitlistBooking(req.params.bookingId);
+      const result = await bookingService.confirmWaitlistBooking(
+        req.params.bookingId,
+        getRequestContext(req),
+        { waitlistRemoval: req.body.waitlist_removal }
+      );
       res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
-      console.error('PUT /bookings/:bookingId/confirm:', error);
+      logger.error('PUT /bookings/:bookingId/confirm', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /bookings/:bookingId/transfer
+ * @desc Move a confirmed booking, and its seat, to another user ({ to_user_id })
+ * @access Booking owner, Admin
+ */
+router.post(
+  '/:bookingId/transfer',
+  bookingIdValidation,
+  bookingTransferValidation,
+  handleValidationErrors,
+  authorizeBooking(),
+  idempotent,
+  async (req, res) => {
+    try {
+      const result = await bookingService.transferBooking(
+        req.params.bookingId,
+        req.body.to_user_id,
+        getRequestContext(req)
+      );
+      res.status(result.success ? 200 : result.error === 'Booking not found' ? 404 : 400).json(result);
+    } catch (error) {
+      logger.error('POST /bookings/:bookingId/transfer', { error });
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -76,17 +192,20 @@ router.put(
 
 /**
  * @route DELETE /bookings/:bookingId
+ * @access Booking owner, Conference organizer, Admin
  */
 router.delete(
   '/:bookingId',
   bookingIdValidation,
   handleValidationErrors,
+  authorizeBooking({ allowOrganizer: true }),
+  idempotent,
   async (req, res) => {
     try {
-      const result = await bookingService.cancelBooking(req.params.bookingId);
+      const result = await bookingService.cancelBooking(req.params.bookingId, getRequestContext(req));
       res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
-      console.error('DELETE /bookings/:bookingId:', error);
+      logger.error('DELETE /bookings/:bookingId', { error });
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /conferences.ics
+ * @desc iCalendar feed of upcoming conferences; accepts the GET /conferences search filters
+ * @access Public
+ */
+router.get('/conferences.ics', async (req, res) => {
+  try {
+    const { location, topic, start_date, end_date, available_only } = req.query;
+
+    const result = await calendarService.getConferencesCalendar({
+      location,
+      topic,
+      start_date: start_date ? new Date(start_date) : null,
+      end_date: end_date ? new Date(end_date) : null,
+      available_only: available_only === 'true'
+    });
+
+    if (result.success) {
+      res.type('text/calendar; charset=utf-8').send(result.data);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    logger.error('Error in GET /conferences.ics', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const conferenceService = require('../services/conferenceService');
+const bulkService = require('../services/bulkService');
+const checkinService = require('../services/checkinService');
+const { getPageOptions, withNextLink } = require('../utils/pagination');
+const {
+  authorize,
+  authorizeConferenceOrganizer,
+  getRequestContext
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { 
   conferenceValidation, 
+  conferenceUpdateValidation,
+  conferenceCancelValidation,
+  checkinValidation,
+  waitlistPolicyValidation,
+  paginationValidation,
+  bookingListValidation,
+  importValidation,
+  exportValidation,
   handleValidationErrors 
 } = require('../utils/validators');
+const logger = require('../utils/logger');
 
 /**
  * @route POST /conferences
  * @desc Add a new conference
- * @access Public
+ * @access Organizer, Admin
  */
 router.post('/', 
+  authorize('admin', 'organizer'),
+  idempotent,
   conferenceValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const result = await conferenceService.addConference(req.body);
+      // Admins may create conferences on behalf of an organizer
+      const organizerId = req.user.role === 'admin'
+        ? req.body.organizer_id || null
+        : req.user.user_id;
+
+      const result = await conferenceService.addConference(req.body, organizerId);
       
       if (result.success) {
         res.status(201).json(result);
@@ -24,7 +49,7 @@ router.post('/',
         res.status(400).json(result);
       }
     } catch (error) {
-      console.error('Error in POST /conferences:', error);
+      logger.error('Error in POST /conferences', { error });
       res.status(500).json({
         success: false,
         error: 'Internal server error'
@@ -34,33 +59,161 @@ router.post('/',
 );
 
 /**
- * @route GET /conferences
- * @desc Get all conferences or search conferences
- * @access Public
+ * @route POST /conferences/import
+ * @desc Import conferences from CSV (Content-Type: text/csv) or a JSON array, all-or-nothing.
+ *   ?dry_run=true validates every row and reports errors without saving anything.
+ *   Organizers always import as themselves; admins may set organizer_id per row.
+ * @access Organizer, Admin
  */
-router.get('/', async (req, res) => {
-  try {
-    const { location, topic, start_date, end_date, available_only } = req.query;
-
-    // If search parameters are provided, use search functionality
-    if (location || topic || start_date || end_date || available_only) {
-      const searchCriteria = {
-        location,
-        topic,
-        start_date: start_date ? new Date(start_date) : null,
-        end_date: end_date ? new Date(end_date) : null,
-        available_only: available_only === 'true'
-      };
-
-      const result = await conferenceService.searchConferences(searchCriteria);
-      res.json(result);
-    } else {
-      // Get all conferences
-      const result = await conferenceService.getAllConferences();
-      res.json(result);
+router.post('/import',
+  authorize('admin', 'organizer'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  idempotent,
+  importValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dry_run === 'true';
+      const result = await bulkService.importConferences(req.body, {
+        format: req.is('text/csv') ? 'csv' : 'json',
+        dryRun,
+        organizerId: req.user.role === 'admin' ? null : req.user.user_id
+      });
+
+      if (result.success) {
+        res.status(dryRun ? 200 : 201).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /conferences/import', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /conferences/:name
+ * @desc Update conference location, topics, times and capacity
+ * @access Conference organizer, Admin
+ */
+router.put('/:name',
+  authorizeConferenceOrganizer,
+  conferenceUpdateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await conferenceService.updateConference(
+        req.params.name,
+        req.body,
+        { demoteConfirmed: req.body.demote_confirmed === true },
+        getRequestContext(req)
+      );
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Conference not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in PUT /conferences/:name', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /conferences/:name/cancel
+ * @desc Cancel a conference and all of its active bookings
+ * @access Conference organizer, Admin
+ */
+router.post('/:name/cancel',
+  authorizeConferenceOrganizer,
+  idempotent,
+  conferenceCancelValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await conferenceService.cancelConference(
+        req.params.name,
+        req.body.reason,
+        getRequestContext(req)
+      );
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Conference not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /conferences/:name/cancel', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /conferences/:name/checkin
+ * @desc Check an attendee in by scanning their booking's check-in token. Accepted from
+ *   CHECKIN_OPENS_MINUTES_BEFORE the start until the conference ends.
+ * @access Conference organizer, Admin
+ */
+router.post('/:name/checkin',
+  authorizeConferenceOrganizer,
+  idempotent,
+  checkinValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await checkinService.checkIn(
+        req.params.name,
+        req.body.token,
+        getRequestContext(req)
+      );
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Booking not found') {
+        res.status(404).json(result);
+      } else if (result.error === 'Attendee is already checked in') {
+        res.status(409).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /conferences/:name/checkin', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
     }
+  }
+);
+
+/**
+ * @route GET /conferences/:name/waitlist-policy
+ * @desc Get the conference's waitlist offer policy
+ * @access Conference organizer, Admin
+ */
+router.get('/:name/waitlist-policy', authorizeConferenceOrganizer, async (req, res) => {
+  try {
+    const result = await conferenceService.getWaitlistPolicy(req.params.name);
+    res.status(result.success ? 200 : 404).json(result);
   } catch (error) {
-    console.error('Error in GET /conferences:', error);
+    logger.error('Error in GET /conferences/:name/waitlist-policy', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -68,15 +221,124 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route PUT /conferences/:name/waitlist-policy
+ * @desc Change any of offer_window_minutes, offer_expiry_action, max_offers_per_user and auto_confirm
+ * @access Conference organizer, Admin
+ */
+router.put('/:name/waitlist-policy',
+  authorizeConferenceOrganizer,
+  waitlistPolicyValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await conferenceService.updateWaitlistPolicy(
+        req.params.name,
+        req.body,
+        getRequestContext(req)
+      );
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Conference not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in PUT /conferences/:name/waitlist-policy', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /conferences
+ * @desc Get all conferences or search conferences, paginated
+ *   (?limit, ?cursor, ?sort=start_time|name|available_slots|created_at, ?order)
+ * @access Authenticated
+ */
+router.get('/',
+  paginationValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const page = getPageOptions(req.query);
+      const { location, topic, start_date, end_date, available_only } = req.query;
+
+      // If search parameters are provided, use search functionality
+      if (location || topic || start_date || end_date || available_only) {
+        const searchCriteria = {
+          location,
+          topic,
+          start_date: start_date ? new Date(start_date) : null,
+          end_date: end_date ? new Date(end_date) : null,
+          available_only: available_only === 'true'
+        };
+
+        const result = await conferenceService.searchConferences(searchCriteria, page);
+        res.status(result.success ? 200 : 400).json(withNextLink(req, result));
+      } else {
+        // Get all conferences
+        const result = await conferenceService.getAllConferences(page);
+        res.status(result.success ? 200 : 400).json(withNextLink(req, result));
+      }
+    } catch (error) {
+      logger.error('Error in GET /conferences', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 // IMPORTANT: Put specific routes BEFORE parameterized routes
 // These routes must come before /:name to avoid conflicts
 
+/**
+ * @route GET /conferences/export
+ * @desc Export conferences as JSON or CSV (?format=csv). Organizers get their own conferences.
+ * @access Organizer, Admin
+ */
+router.get('/export',
+  authorize('admin', 'organizer'),
+  exportValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const result = await bulkService.exportConferences({
+        format,
+        organizerId: req.user.role === 'admin' ? null : req.user.user_id
+      });
+
+      if (!result.success) {
+        res.status(400).json(result);
+      } else if (format === 'csv') {
+        res.attachment('conferences.csv').type('text/csv; charset=utf-8').send(result.data);
+      } else {
+        res.json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /conferences/export', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /conferences/:name/stats
  * @desc Get conference statistics
- * @access Public
+ * @access Conference organizer, Admin
  */
-router.get('/:name/stats', async (req, res) => {
+router.get('/:name/stats', authorizeConferenceOrganizer, async (req, res) => {
   try {
     const result = await conferenceService.getConferenceStats(req.params.name);
     
@@ -86,7 +348,7 @@ router.get('/:name/stats', async (req, res) => {
       res.status(404).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /conferences/:name/stats:', error);
+    logger.error('Error in GET /conferences/:name/stats', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -96,13 +358,47 @@ router.get('/:name/stats', async (req, res) => {
 
 /**
  * @route GET /conferences/:name/bookings
- * @desc Get all bookings for a conference
- * @access Public
+ * @desc Get bookings for a conference, paginated
+ *   (?limit, ?cursor, ?sort=created_at|updated_at, ?order, ?status)
+ * @access Conference organizer, Admin
+ */
+router.get('/:name/bookings',
+  authorizeConferenceOrganizer,
+  bookingListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bookingService = require('../services/bookingService');
+      const result = await bookingService.getConferenceBookings(
+        req.params.name,
+        { status: req.query.status },
+        getPageOptions(req.query)
+      );
+      
+      if (result.success) {
+        res.json(withNextLink(req, result));
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /conferences/:name/bookings', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /conferences/:name/waitlist
+ * @desc Get waitlist for a conference
+ * @access Conference organizer, Admin
  */
-router.get('/:name/bookings', async (req, res) => {
+router.get('/:name/waitlist', authorizeConferenceOrganizer, async (req, res) => {
   try {
     const bookingService = require('../services/bookingService');
-    const result = await bookingService.getConferenceBookings(req.params.name);
+    const result = await bookingService.getConferenceWaitlist(req.params.name);
     
     if (result.success) {
       res.json(result);
@@ -110,7 +406,7 @@ router.get('/:name/bookings', async (req, res) => {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /conferences/:name/bookings:', error);
+    logger.error('Error in GET /conferences/:name/waitlist', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -119,14 +415,42 @@ router.get('/:name/bookings', async (req, res) => {
 });
 
 /**
- * @route GET /conferences/:name/waitlist
- * @desc Get waitlist for a conference
- * @access Public
+ * @route GET /conferences/:name/offers
+ * @desc Get the open seat offers for a conference and how many free seats are not yet offered
+ * @access Conference organizer, Admin
  */
-router.get('/:name/waitlist', async (req, res) => {
+router.get('/:name/offers', authorizeConferenceOrganizer, async (req, res) => {
   try {
     const bookingService = require('../services/bookingService');
-    const result = await bookingService.getConferenceWaitlist(req.params.name);
+    const result = await bookingService.getOutstandingOffers(req.params.name);
+    
+    if (result.success) {
+      res.json(result);
+    } else if (result.error === 'Conference not found') {
+      res.status(404).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    logger.error('Error in GET /conferences/:name/offers', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /conferences/:name/audit
+ * @desc Get booking history for a conference, newest first (optional ?limit= and ?before=)
+ * @access Conference organizer, Admin
+ */
+router.get('/:name/audit', authorizeConferenceOrganizer, async (req, res) => {
+  try {
+    const bookingHistoryService = require('../services/bookingHistoryService');
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const before = parseInt(req.query.before) || null;
+    const result = await bookingHistoryService.getConferenceAuditFeed(req.params.name, { limit, before });
     
     if (result.success) {
       res.json(result);
@@ -134,7 +458,7 @@ router.get('/:name/waitlist', async (req, res) => {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /conferences/:name/waitlist:', error);
+    logger.error('Error in GET /conferences/:name/audit', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -145,7 +469,7 @@ router.get('/:name/waitlist', async (req, res) => {
 /**
  * @route GET /conferences/:name
  * @desc Get conference by name
- * @access Public
+ * @access Authenticated
  * IMPORTANT: This route must come LAST among GET routes
  * because it's a catch-all that matches any path
  */
@@ -165,7 +489,7 @@ router.get('/:name', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error in GET /conferences/:name:', error);
+    logger.error('Error in GET /conferences/:name', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const healthService = require('../services/healthService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /health/live
+ * @desc Liveness probe: the process is up and serving requests
+ * @access Public
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      status: 'ok',
+      uptime_seconds: Math.round(process.uptime())
+    }
+  });
+});
+
+/**
+ * @route GET /health/ready
+ * @desc Readiness probe: the database is reachable, migrations are applied and the scheduler is running
+ * @access Public
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await healthService.checkReadiness();
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      data: {
+        status: ready ? 'ok' : 'fail',
+        checks
+      }
+    });
+  } catch (error) {
+    logger.error('Error in GET /health/ready', { error });
+    res.status(503).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
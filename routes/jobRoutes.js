@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../jobs/scheduler');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /jobs
+ * @desc Get status of scheduled background jobs
+ * @access Admin
+ */
+router.get('/', authorize('admin'), (req, res) => {
+  const jobs = scheduler.getStatus();
+  res.json({
+    success: true,
+    data: jobs,
+    count: jobs.length
+  });
+});
+
+/**
+ * @route POST /jobs/:name/run
+ * @desc Run a scheduled job immediately
+ * @access Admin
+ */
+router.post('/:name/run', authorize('admin'), async (req, res) => {
+  try {
+    const result = await scheduler.runJob(req.params.name);
+
+    if (result.success) {
+      res.json(result);
+    } else if (result.error === 'Job not found') {
+      res.status(404).json(result);
+    } else if (result.error === 'Job is already running') {
+      res.status(409).json(result);
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error in POST /jobs/:name/run', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
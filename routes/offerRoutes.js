@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const bookingService = require('../services/bookingService');
+const offerService = require('../services/offerService');
+const {
+  authenticate,
+  authorizeOffer,
+  getRequestContext
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  waitlistRemovalValidation,
+  handleValidationErrors
+} = require('../utils/validators');
+const logger = require('../utils/logger');
+
+// Map an accept/decline result to its HTTP status
+const responseStatus = (result) => {
+  if (result.success) {
+    return 200;
+  }
+  if (result.error === 'Offer not found') {
+    return 404;
+  }
+  return result.error === 'Offer is no longer open' ? 409 : 400;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a minimal HTML page for browsers following an offer link
+ * @param {string} title - Page heading
+ * @param {string} body - Inner HTML
+ * @returns {string} HTML document
+ */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body><h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+
+/**
+ * Build the GET handler for the accept/decline links sent in offer notifications.
+ * Opening a link only shows the offer, so mail scanners and link previews cannot
+ * answer it; browsers get a form that POSTs the token back to the same URL.
+ * @param {string} action - 'accept' or 'decline'
+ * @returns {Function} Route handler
+ */
+const showByLink = (action) => async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    const { token } = req.query;
+    if (!await offerService.verifyToken(offerId, token)) {
+      return res.status(403).json({ success: false, error: 'Invalid or already used offer link' });
+    }
+
+    const offer = await offerService.getOffer(offerId);
+    const open = offer.status === 'OFFERED' && new Date(offer.expires_at) > new Date();
+
+    const sendJson = () => res.json({ success: true, data: { ...offer, action, open } });
+    res.format({
+      json: sendJson,
+      html: () => {
+        const details = `<p>A seat at ${escapeHtml(offer.conference_name)} is offered until ${escapeHtml(new Date(offer.expires_at).toISOString())}.</p>`;
+        res.send(renderPage(`${action === 'accept' ? 'Accept' : 'Decline'} seat offer`, open
+          ? `${details}<form method="post" action="${escapeHtml(`${req.baseUrl}/${offerId}/${action}`)}">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">${action === 'accept' ? 'Accept the seat' : 'Decline the seat'}</button></form>`
+          : `${details}<p>This offer is no longer open.</p>`));
+      },
+      default: sendJson
+    });
+  } catch (error) {
+    logger.error(`GET /offers/:offerId/${action}`, { error });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+/**
+ * Build the POST handler that answers an offer with the token from its link,
+ * which stands in for a login. Requests without a token fall through to the
+ * authenticated routes below.
+ * @param {string} action - 'accept' or 'decline'
+ * @returns {Function} Route handler
+ */
+const respondByLink = (action) => async (req, res, next) => {
+  const token = req.body ? req.body.token : undefined;
+  if (token === undefined) {
+    return next();
+  }
+
+  try {
+    const { offerId } = req.params;
+    if (!await offerService.verifyToken(offerId, token)) {
+      return res.status(403).json({ success: false, error: 'Invalid or already used offer link' });
+    }
+
+    const offer = await offerService.getOffer(offerId);
+    const context = { actor: offer.user_id, source: `link /offers/:offerId/${action}` };
+    const result = action === 'accept'
+      ? await bookingService.acceptOffer(offerId, context)
+      : await bookingService.declineOffer(offerId, context);
+
+    const sendJson = () => res.json(result);
+    res.status(responseStatus(result)).format({
+      json: sendJson,
+      html: () => {
+        res.send(renderPage(
+          result.success ? `Offer ${action === 'accept' ? 'accepted' : 'declined'}` : 'Offer not answered',
+          `<p>${escapeHtml(result.success ? result.message || '' : result.error)}</p>`
+        ));
+      },
+      default: sendJson
+    });
+  } catch (error) {
+    logger.error(`POST /offers/:offerId/${action} by link`, { error });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /offers/:offerId/accept?token=
+ * @desc Show the offer and a form to accept it; does not answer the offer
+ * @access Public (offer link)
+ */
+router.get('/:offerId/accept', showByLink('accept'));
+
+/**
+ * @route GET /offers/:offerId/decline?token=
+ * @desc Show the offer and a form to decline it; does not answer the offer
+ * @access Public (offer link)
+ */
+router.get('/:offerId/decline', showByLink('decline'));
+
+/**
+ * @route POST /offers/:offerId/accept with { token }
+ * @access Public (single-use offer link)
+ */
+router.post('/:offerId/accept', respondByLink('accept'));
+
+/**
+ * @route POST /offers/:offerId/decline with { token }
+ * @access Public (single-use offer link)
+ */
+router.post('/:offerId/decline', respondByLink('decline'));
+
+// Everything below requires authentication
+router.use(authenticate);
+
+/**
+ * @route GET /offers/:offerId
+ * @access Offered user, Conference organizer, Admin
+ */
+router.get('/:offerId', authorizeOffer({ allowOrganizer: true }), async (req, res) => {
+  try {
+    const offer = await offerService.getOffer(req.params.offerId);
+    if (offer) {
+      res.json({ success: true, data: offer });
+    } else {
+      res.status(404).json({ success: false, error: 'Offer not found' });
+    }
+  } catch (error) {
+    logger.error('GET /offers/:offerId', { error });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @route POST /offers/:offerId/accept
+ * @desc Accept a seat offer; optional { waitlist_removal } overrides the user's preference
+ * @access Offered user, Admin
+ */
+router.post(
+  '/:offerId/accept',
+  authorizeOffer(),
+  idempotent,
+  waitlistRemovalValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await bookingService.acceptOffer(
+        req.params.offerId,
+        getRequestContext(req),
+        { waitlistRemoval: req.body.waitlist_removal }
+      );
+      res.status(responseStatus(result)).json(result);
+    } catch (error) {
+      logger.error('POST /offers/:offerId/accept', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @route POST /offers/:offerId/decline
+ * @access Offered user, Admin
+ */
+router.post(
+  '/:offerId/decline',
+  authorizeOffer(),
+  idempotent,
+  async (req, res) => {
+    try {
+      const result = await bookingService.declineOffer(req.params.offerId, getRequestContext(req));
+      res.status(responseStatus(result)).json(result);
+    } catch (error) {
+      logger.error('POST /offers/:offerId/decline', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const topicService = require('../services/topicService');
+const { authorize } = require('../middleware/auth');
+const {
+  topicValidation,
+  topicUpdateValidation,
+  topicListValidation,
+  handleValidationErrors
+} = require('../utils/validators');
+const logger = require('../utils/logger');
+
+// Map a create/update result to its HTTP status
+const responseStatus = (result, successStatus = 200) => {
+  if (result.success) {
+    return successStatus;
+  }
+  if (result.error === 'Topic not found') {
+    return 404;
+  }
+  return /already (exists|belongs)/.test(result.error) ? 409 : 400;
+};
+
+/**
+ * @route GET /topics?prefix=&limit=
+ * @desc List topics for autocomplete, matching names and aliases by prefix, most used first
+ * @access Authenticated
+ */
+router.get('/',
+  topicListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { prefix, limit } = req.query;
+      const result = await topicService.listTopics({
+        prefix,
+        limit: limit ? parseInt(limit, 10) : undefined
+      });
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      logger.error('Error in GET /topics', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /topics/:name
+ * @desc Get a topic by its name or one of its aliases
+ * @access Authenticated
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const topic = await topicService.getTopic(req.params.name);
+
+    if (topic) {
+      res.json({
+        success: true,
+        data: topic
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      });
+    }
+  } catch (error) {
+    logger.error('Error in GET /topics/:name', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route POST /topics
+ * @desc Create a canonical topic with an optional parent and aliases
+ * @access Admin
+ */
+router.post('/',
+  authorize('admin'),
+  topicValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await topicService.createTopic(req.body);
+      res.status(responseStatus(result, 201)).json(result);
+    } catch (error) {
+      logger.error('Error in POST /topics', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /topics/:name
+ * @desc Change a topic's parent and add aliases; an alias naming another topic merges it in
+ * @access Admin
+ */
+router.put('/:name',
+  authorize('admin'),
+  topicUpdateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await topicService.updateTopic(req.params.name, req.body);
+      res.status(responseStatus(result)).json(result);
+    } catch (error) {
+      logger.error('Error in PUT /topics/:name', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,17 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/userService');
+const bulkService = require('../services/bulkService');
+const calendarService = require('../services/calendarService');
+const recommendationService = require('../services/recommendationService');
+const { getPageOptions, withNextLink } = require('../utils/pagination');
+const {
+  authorize,
+  authorizeSelf,
+  getRequestContext
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { 
   userValidation, 
+  roleValidation,
+  userPreferencesValidation,
+  userListValidation,
+  bookingListValidation,
+  importValidation,
+  exportValidation,
+  recommendationValidation,
   handleValidationErrors 
 } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+// Admins, or the user identified by :userId
+const authorizeUser = authorizeSelf(req => req.params.userId);
 
 /**
  * @route POST /users
  * @desc Add a new user
- * @access Public
+ * @access Admin
  */
 router.post('/', 
+  authorize('admin'),
+  idempotent,
   userValidation,
   handleValidationErrors,
   async (req, res) => {
@@ -24,7 +47,7 @@ router.post('/',
         res.status(400).json(result);
       }
     } catch (error) {
-      console.error('Error in POST /users:', error);
+      logger.error('Error in POST /users', { error });
       res.status(500).json({
         success: false,
         error: 'Internal server error'
@@ -35,28 +58,102 @@ router.post('/',
 
 /**
  * @route GET /users
- * @desc Get all users
- * @access Public
+ * @desc Get users, paginated (?limit, ?cursor, ?sort=created_at|user_id, ?order, ?role)
+ * @access Admin
  */
-router.get('/', async (req, res) => {
-  try {
-    const result = await userService.getAllUsers();
-    res.json(result);
-  } catch (error) {
-    console.error('Error in GET /users:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+router.get('/',
+  authorize('admin'),
+  userListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await userService.getAllUsers(
+        { role: req.query.role },
+        getPageOptions(req.query)
+      );
+      res.status(result.success ? 200 : 400).json(withNextLink(req, result));
+    } catch (error) {
+      logger.error('Error in GET /users', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
   }
-});
+);
+
+/**
+ * @route POST /users/import
+ * @desc Import users from CSV (Content-Type: text/csv) or a JSON array, all-or-nothing.
+ *   ?dry_run=true validates every row and reports errors without saving anything.
+ * @access Admin
+ */
+router.post('/import',
+  authorize('admin'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  idempotent,
+  importValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dry_run === 'true';
+      const result = await bulkService.importUsers(req.body, {
+        format: req.is('text/csv') ? 'csv' : 'json',
+        dryRun
+      });
+
+      if (result.success) {
+        res.status(dryRun ? 200 : 201).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /users/import', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /users/export
+ * @desc Export users as JSON or CSV (?format=csv)
+ * @access Admin
+ */
+router.get('/export',
+  authorize('admin'),
+  exportValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const result = await bulkService.exportUsers({ format });
+
+      if (!result.success) {
+        res.status(400).json(result);
+      } else if (format === 'csv') {
+        res.attachment('users.csv').type('text/csv; charset=utf-8').send(result.data);
+      } else {
+        res.json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /users/export', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
 
 /**
  * @route GET /users/:userId
  * @desc Get user by ID
- * @access Public
+ * @access User, Admin
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authorizeUser, async (req, res) => {
   try {
     const user = await userService.getUserById(req.params.userId);
     
@@ -72,7 +169,7 @@ router.get('/:userId', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error in GET /users/:userId:', error);
+    logger.error('Error in GET /users/:userId', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -83,9 +180,9 @@ router.get('/:userId', async (req, res) => {
 /**
  * @route PUT /users/:userId/topics
  * @desc Update user's interested topics
- * @access Public
+ * @access User, Admin
  */
-router.put('/:userId/topics', async (req, res) => {
+router.put('/:userId/topics', authorizeUser, async (req, res) => {
   try {
     const { interested_topics } = req.body;
     
@@ -104,7 +201,7 @@ router.put('/:userId/topics', async (req, res) => {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in PUT /users/:userId/topics:', error);
+    logger.error('Error in PUT /users/:userId/topics', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -112,22 +209,117 @@ router.put('/:userId/topics', async (req, res) => {
   }
 });
 
+/**
+ * @route PUT /users/:userId/role
+ * @desc Change a user's role
+ * @access Admin
+ */
+router.put('/:userId/role',
+  authorize('admin'),
+  roleValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await userService.updateUserRole(req.params.userId, req.body.role);
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'User not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in PUT /users/:userId/role', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /users/:userId/preferences
+ * @desc Set waitlist_removal: which other waitlist entries are dropped when the user
+ *   gets a confirmed seat (ALL, OVERLAPPING or NONE)
+ * @access User, Admin
+ */
+router.put('/:userId/preferences',
+  authorizeUser,
+  userPreferencesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await userService.updateUserPreferences(req.params.userId, req.body);
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'User not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in PUT /users/:userId/preferences', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /users/:userId/bookings
- * @desc Get user's booking history
- * @access Public
+ * @desc Get user's booking history, paginated (?limit, ?cursor, ?sort=start_time|booking_date, ?order, ?status)
+ * @access User, Admin
+ */
+router.get('/:userId/bookings',
+  authorizeUser,
+  bookingListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await userService.getUserBookings(
+        req.params.userId,
+        { status: req.query.status },
+        getPageOptions(req.query)
+      );
+      
+      if (result.success) {
+        res.json(withNextLink(req, result));
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /users/:userId/bookings', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /users/:userId/bookings.ics
+ * @desc iCalendar export of the user's confirmed (and canceled) bookings
+ * @access User, Admin
  */
-router.get('/:userId/bookings', async (req, res) => {
+router.get('/:userId/bookings.ics', authorizeUser, async (req, res) => {
   try {
-    const result = await userService.getUserBookings(req.params.userId);
-    
+    const result = await calendarService.getUserBookingsCalendar(req.params.userId);
+
     if (result.success) {
-      res.json(result);
+      res.type('text/calendar; charset=utf-8').send(result.data);
+    } else if (result.error === 'User not found') {
+      res.status(404).json(result);
     } else {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /users/:userId/bookings:', error);
+    logger.error('Error in GET /users/:userId/bookings.ics', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -137,21 +329,54 @@ router.get('/:userId/bookings', async (req, res) => {
 
 /**
  * @route GET /users/:userId/recommendations
- * @desc Get recommended conferences for user
- * @access Public
+ * @desc Get recommended conferences for user, each with the reasons it was picked
+ *   (?limit, ?include_waitlist=true to include full conferences)
+ * @access User, Admin
+ */
+router.get('/:userId/recommendations',
+  authorizeUser,
+  recommendationValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await recommendationService.getRecommendations(req.params.userId, {
+        limit: parseInt(req.query.limit) || 10,
+        includeWaitlist: req.query.include_waitlist === 'true'
+      });
+      
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'User not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in GET /users/:userId/recommendations', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /users/:userId/stats
+ * @desc Get user statistics
+ * @access User, Admin
  */
-router.get('/:userId/recommendations', async (req, res) => {
+router.get('/:userId/stats', authorizeUser, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const result = await userService.getRecommendedConferences(req.params.userId, limit);
+    const result = await userService.getUserStats(req.params.userId);
     
     if (result.success) {
       res.json(result);
     } else {
-      res.status(400).json(result);
+      res.status(404).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /users/:userId/recommendations:', error);
+    logger.error('Error in GET /users/:userId/stats', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -160,21 +385,24 @@ router.get('/:userId/recommendations', async (req, res) => {
 });
 
 /**
- * @route GET /users/:userId/stats
- * @desc Get user statistics
- * @access Public
+ * @route GET /users/:userId/export
+ * @desc Download everything stored about the user (profile, bookings, booking history,
+ *   seat offers and notifications) as a JSON file
+ * @access User, Admin
  */
-router.get('/:userId/stats', async (req, res) => {
+router.get('/:userId/export', authorizeUser, async (req, res) => {
   try {
-    const result = await userService.getUserStats(req.params.userId);
-    
+    const result = await userService.exportUserData(req.params.userId);
+
     if (result.success) {
-      res.json(result);
-    } else {
+      res.attachment(`user-${req.params.userId}.json`).json(result);
+    } else if (result.error === 'User not found') {
       res.status(404).json(result);
+    } else {
+      res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in GET /users/:userId/stats:', error);
+    logger.error('Error in GET /users/:userId/export', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -184,20 +412,22 @@ router.get('/:userId/stats', async (req, res) => {
 
 /**
  * @route DELETE /users/:userId
- * @desc Delete user and all associated bookings
- * @access Public
+ * @desc Erase the user: cancel upcoming bookings and anonymize historical ones
+ * @access User, Admin
  */
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', authorizeUser, async (req, res) => {
   try {
-    const result = await userService.deleteUser(req.params.userId);
+    const result = await userService.eraseUser(req.params.userId, getRequestContext(req));
     
     if (result.success) {
       res.json(result);
+    } else if (result.error === 'User not found') {
+      res.status(404).json(result);
     } else {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Error in DELETE /users/:userId:', error);
+    logger.error('Error in DELETE /users/:userId', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
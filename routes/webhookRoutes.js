@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+const { authorize, getActor } = require('../middleware/auth');
+const {
+  webhookSubscriptionValidation,
+  webhookUpdateValidation,
+  webhookIdValidation,
+  webhookDeliveryIdValidation,
+  handleValidationErrors
+} = require('../utils/validators');
+const logger = require('../utils/logger');
+
+// Webhook management is restricted to admins
+router.use(authorize('admin'));
+
+/**
+ * @route POST /webhooks
+ * @desc Register a webhook subscription
+ * @access Admin
+ */
+router.post('/',
+  webhookSubscriptionValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.createSubscription(req.body, getActor(req));
+
+      if (result.success) {
+        res.status(201).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /webhooks', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /webhooks
+ * @desc Get all webhook subscriptions
+ * @access Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await webhookService.getAllSubscriptions();
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    logger.error('Error in GET /webhooks', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /webhooks/:id
+ * @desc Get a webhook subscription
+ * @access Admin
+ */
+router.get('/:id',
+  webhookIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const subscription = await webhookService.getSubscriptionById(req.params.id);
+
+      if (subscription) {
+        res.json({
+          success: true,
+          data: subscription
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+    } catch (error) {
+      logger.error('Error in GET /webhooks/:id', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route PATCH /webhooks/:id
+ * @desc Update a webhook subscription's URL, events, description or active flag
+ * @access Admin
+ */
+router.patch('/:id',
+  webhookIdValidation,
+  webhookUpdateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.updateSubscription(req.params.id, req.body);
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Webhook subscription not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in PATCH /webhooks/:id', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /webhooks/:id
+ * @desc Delete a webhook subscription
+ * @access Admin
+ */
+router.delete('/:id',
+  webhookIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.deleteSubscription(req.params.id);
+
+      if (result.success) {
+        res.json(result);
+      } else if (result.error === 'Webhook subscription not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in DELETE /webhooks/:id', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /webhooks/:id/deliveries
+ * @desc Get recent deliveries for a subscription (optional ?status= and ?limit=)
+ * @access Admin
+ */
+router.get('/:id/deliveries',
+  webhookIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const result = await webhookService.getDeliveries(req.params.id, {
+        status: req.query.status || null,
+        limit
+      });
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      logger.error('Error in GET /webhooks/:id/deliveries', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /webhooks/:id/deliveries/:deliveryId
+ * @desc Get a delivery with its payload and attempt log
+ * @access Admin
+ */
+router.get('/:id/deliveries/:deliveryId',
+  webhookDeliveryIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.getDelivery(req.params.id, req.params.deliveryId);
+      res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      logger.error('Error in GET /webhooks/:id/deliveries/:deliveryId', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /webhooks/:id/deliveries/:deliveryId/replay
+ * @desc Queue a delivery to be sent again
+ * @access Admin
+ */
+router.post('/:id/deliveries/:deliveryId/replay',
+  webhookDeliveryIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.replayDelivery(req.params.id, req.params.deliveryId);
+
+      if (result.success) {
+        res.status(202).json(result);
+      } else if (result.error === 'Webhook delivery not found') {
+        res.status(404).json(result);
+      } else {
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      logger.error('Error in POST /webhooks/:id/deliveries/:deliveryId/replay', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Concurrency harness for seat allocation.
+ *
+ * Creates a throwaway conference and users, fires all bookings at once through
+ * bookingService.bookConference and checks that seats were never oversold and the
+ * waitlist is gap-free. Every fifth request repeats an earlier user to exercise the
+ * duplicate-booking path under the same load. Everything it creates is deleted afterwards.
+ *
+ * Usage: node scripts/bookingConcurrency.js [bookings=300] [slots=25]
+ * Needs a migrated database; do not point it at production.
+ */
+// Hundreds of bookings queue for a pooled connection at once
+process.env.DB_CONNECTION_TIMEOUT_MS = process.env.DB_CONNECTION_TIMEOUT_MS || '30000';
+
+const { query, closePool } = require('../config/database');
+const bookingService = require('../services/bookingService');
+
+const DUPLICATE_EVERY = 5;
+
+/**
+ * Create the conference and users used by one run
+ * @param {string} runId - Unique suffix for this run
+ * @param {number} userCount - Number of users to create
+ * @param {number} slots - Conference capacity
+ * @returns {Object} { conferenceName, userIds }
+ */
+const setUp = async (runId, userCount, slots) => {
+  const conferenceName = `Concurrency Test ${runId}`;
+  const startTime = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+  await query(`
+    INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots)
+    VALUES ($1, 'Load Test', ARRAY['load test'], $2, $3, $4, $4)
+  `, [conferenceName, startTime, endTime, slots]);
+
+  const userIds = Array.from({ length: userCount }, (_, i) => `concurrency-${runId}-${i}`);
+  await query(`
+    INSERT INTO users (user_id, interested_topics)
+    SELECT user_id, ARRAY['load test'] FROM unnest($1::text[]) AS user_id
+  `, [userIds]);
+
+  return { conferenceName, userIds };
+};
+
+/**
+ * Remove everything created by setUp (bookings, waitlist and history cascade)
+ */
+const tearDown = async (conferenceName, userIds) => {
+  await query('DELETE FROM conferences WHERE name = $1', [conferenceName]);
+  await query('DELETE FROM users WHERE user_id = ANY($1::text[])', [userIds]);
+};
+
+/**
+ * Compare the final database state against the invariants
+ * @returns {Array} Failed checks (empty when everything holds)
+ */
+const checkInvariants = async (conferenceName, slots, userCount, results) => {
+  const failures = [];
+  const expect = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+
+  const conference = (await query(
+    'SELECT total_slots, available_slots FROM conferences WHERE name = $1',
+    [conferenceName]
+  )).rows[0];
+
+  const counts = (await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'CONFIRMED') AS confirmed,
+      COUNT(*) FILTER (WHERE status = 'WAITLISTED') AS waitlisted,
+      COUNT(*) - COUNT(DISTINCT user_id) AS duplicate_users
+    FROM bookings
+    WHERE conference_name = $1
+  `, [conferenceName])).rows[0];
+
+  const positions = (await query(
+    'SELECT position FROM waitlist WHERE conference_name = $1 ORDER BY position',
+    [conferenceName]
+  )).rows.map(row => row.position);
+
+  const confirmed = parseInt(counts.confirmed);
+  const waitlisted = parseInt(counts.waitlisted);
+  const expectedConfirmed = Math.min(slots, userCount);
+
+  expect(confirmed === expectedConfirmed, `expected ${expectedConfirmed} confirmed bookings, found ${confirmed}`);
+  expect(confirmed <= conference.total_slots, `oversold: ${confirmed} confirmed for ${conference.total_slots} slots`);
+  expect(
+    conference.available_slots === conference.total_slots - confirmed,
+    `available_slots is ${conference.available_slots}, expected ${conference.total_slots - confirmed}`
+  );
+  expect(waitlisted === userCount - expectedConfirmed, `expected ${userCount - expectedConfirmed} waitlisted, found ${waitlisted}`);
+  expect(parseInt(counts.duplicate_users) === 0, `${counts.duplicate_users} user(s) hold more than one booking`);
+  expect(
+    positions.length === waitlisted && positions.every((position, i) => position === i + 1),
+    `waitlist positions are not 1..${waitlisted}: ${positions.join(',')}`
+  );
+
+  // Each user gets exactly one successful booking; their repeats are rejected as duplicates
+  const byUser = new Map();
+  results.forEach(({ userId, result }) => byUser.set(userId, [...(byUser.get(userId) || []), result]));
+  const unexpected = [];
+  for (const [userId, userResults] of byUser) {
+    const succeeded = userResults.filter(result => result.success);
+    const rejected = userResults.filter(result => result.error === 'User already has a booking for this conference');
+    if (succeeded.length !== 1 || succeeded.length + rejected.length !== userResults.length) {
+      unexpected.push({ userId, results: userResults });
+    }
+  }
+  expect(unexpected.length === 0, `${unexpected.length} user(s) got unexpected results, e.g. ${JSON.stringify(unexpected[0])}`);
+
+  return failures;
+};
+
+const run = async (bookingCount, slots) => {
+  const runId = Date.now().toString(36);
+  const userCount = bookingCount - Math.floor(bookingCount / DUPLICATE_EVERY);
+  const { conferenceName, userIds } = await setUp(runId, userCount, slots);
+
+  try {
+    // Interleave repeat requests so duplicates race against the originals
+    const requests = [];
+    let nextUser = 0;
+    for (let i = 0; i < bookingCount; i++) {
+      const duplicate = (i + 1) % DUPLICATE_EVERY === 0;
+      requests.push(duplicate ? userIds[Math.floor(Math.random() * nextUser)] : userIds[nextUser++]);
+    }
+
+    const context = { actor: 'system', source: 'script:bookingConcurrency' };
+    const started = Date.now();
+    const results = await Promise.all(requests.map(async (userId) => ({
+      userId,
+      result: await bookingService.bookConference({ conference_name: conferenceName, user_id: userId }, context)
+    })));
+    const elapsed = Date.now() - started;
+
+    const failures = await checkInvariants(conferenceName, slots, userCount, results);
+
+    console.log(`\n ${bookingCount} bookings (${userCount} users) for ${slots} slots in ${elapsed}ms`);
+    if (failures.length > 0) {
+      failures.forEach(failure => console.error(` FAIL: ${failure}`));
+      return false;
+    }
+    console.log(' PASS: no oversell, no duplicate bookings, waitlist positions contiguous');
+    return true;
+  } finally {
+    await tearDown(conferenceName, userIds);
+  }
+};
+
+// Run the harness if this file is executed directly
+if (require.main === module) {
+  const bookingCount = parseInt(process.argv[2]) || 300;
+  const slots = parseInt(process.argv[3]) || 25;
+
+  run(bookingCount, slots)
+    .then(async (passed) => {
+      await closePool();
+      process.exit(passed ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error(' Concurrency run failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
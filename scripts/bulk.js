@@ -0,0 +1,115 @@
+/**
+ * Bulk import/export CLI for conferences and users.
+ *
+ *   node scripts/bulk.js import <conferences|users> <file.csv|file.json> [--dry-run] [--organizer <user_id>]
+ *   node scripts/bulk.js export <conferences|users> <file.csv|file.json>
+ *
+ * The format follows the file extension. Imports are all-or-nothing, exactly as
+ * through the API.
+ */
+const fs = require('fs');
+const path = require('path');
+const { closePool } = require('../config/database');
+const bulkService = require('../services/bulkService');
+
+const ENTITIES = ['conferences', 'users'];
+
+const formatOf = (file) => (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+/**
+ * Read --flag and --option value pairs from the argument list
+ * @param {Array} args - Arguments after the command and entity
+ * @returns {Object} { positional, flags }
+ */
+const parseArgs = (args) => {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      flags.dryRun = true;
+    } else if (args[i] === '--organizer') {
+      flags.organizer = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, flags };
+};
+
+const runImport = async (entity, file, flags) => {
+  if (!file) {
+    throw new Error('An input file is required');
+  }
+
+  const format = formatOf(file);
+  const text = fs.readFileSync(file, 'utf8');
+  const payload = format === 'csv' ? text : JSON.parse(text);
+  const options = { format, dryRun: Boolean(flags.dryRun) };
+
+  const result = entity === 'conferences'
+    ? await bulkService.importConferences(payload, { ...options, organizerId: flags.organizer || null })
+    : await bulkService.importUsers(payload, options);
+
+  if (result.errors && result.errors.length > 0) {
+    result.errors.forEach(error => {
+      console.error(`  row ${error.row}${error.field ? ` (${error.field})` : ''}: ${error.message}`);
+    });
+  }
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(result.applied
+    ? ` Imported ${result.valid_rows} ${entity}`
+    : ` Dry run: all ${result.valid_rows} ${entity} are valid, nothing was saved`);
+};
+
+const runExport = async (entity, file) => {
+  if (!file) {
+    throw new Error('An output file is required');
+  }
+
+  const format = formatOf(file);
+  const result = entity === 'conferences'
+    ? await bulkService.exportConferences({ format })
+    : await bulkService.exportUsers({ format });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  fs.writeFileSync(file, format === 'csv' ? result.data : JSON.stringify(result.data, null, 2));
+  console.log(` Exported ${entity} to ${file}`);
+};
+
+const run = async (command, entity, args) => {
+  if (!ENTITIES.includes(entity)) {
+    throw new Error(`Entity must be one of: ${ENTITIES.join(', ')}`);
+  }
+
+  const { positional, flags } = parseArgs(args);
+  switch (command) {
+    case 'import':
+      return runImport(entity, positional[0], flags);
+    case 'export':
+      return runExport(entity, positional[0]);
+    default:
+      throw new Error(`Unknown command: ${command} (expected import or export)`);
+  }
+};
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  const [command, entity, ...args] = process.argv.slice(2);
+
+  run(command, entity, args)
+    .then(() => closePool())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(` ${command || 'Command'} failed:`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
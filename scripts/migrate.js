@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { query, getClient, closePool } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key for the advisory lock that serializes concurrent migration runs
+const MIGRATION_LOCK_KEY = 727274;
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ * @returns {Array} Migrations ({ version, name, up, down })
+ */
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * Run a callback while holding the migration lock
+ * @param {Function} callback - Receives a database client
+ */
+const withMigrationLock = async (callback) => {
+  const client = await getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+};
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Array} Applied migrations
+ */
+const migrateUp = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(m => m.version));
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+      console.log(` Applying migration ${migration.version}_${migration.name}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Array} Reverted migrations
+ */
+const migrateDown = async (steps = 1) => {
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const toRevert = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const applied of toRevert) {
+      const migration = migrations.get(applied.version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${applied.version}_${applied.name} not found`);
+      }
+
+      console.log(` Reverting migration ${migration.version}_${migration.name}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+/**
+ * Get applied/pending state of every migration
+ * @returns {Object} { migrations, pending_count }
+ */
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+  const client = await getClient();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await getAppliedMigrations(client)).map(m => [m.version, m]));
+
+    const status = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      applied_at: applied.has(version) ? applied.get(version).applied_at : null
+    }));
+
+    return {
+      migrations: status,
+      pending_count: status.filter(m => !m.applied).length
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get migrations that have not been applied, without creating the migrations table
+ * @returns {Array} Pending migrations ({ version, name })
+ */
+const getPendingMigrations = async () => {
+  const migrations = loadMigrations();
+  let applied;
+  try {
+    applied = new Set((await query('SELECT version FROM schema_migrations')).rows.map(m => m.version));
+  } catch (error) {
+    // No migrations table yet: nothing has been applied
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    applied = new Set();
+  }
+
+  return migrations
+    .filter(m => !applied.has(m.version))
+    .map(({ version, name }) => ({ version, name }));
+};
+
+const run = async (command, arg) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0
+        ? ` Applied ${applied.length} migration(s)`
+        : ' Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(` Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const { migrations, pending_count } = await getMigrationStatus();
+      migrations.forEach(m => {
+        const state = m.applied ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`  ${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+      });
+      console.log(`\n ${pending_count} pending migration(s)`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+};
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  run(command, arg)
+    .then(() => closePool())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(' Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  getPendingMigrations
+};
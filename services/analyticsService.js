@@ -0,0 +1,386 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Approximate length in seconds of each time series bucket size (see ANALYTICS_BUCKETS)
+const BUCKET_SECONDS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60
+};
+
+// Upper bound on buckets per time series
+const MAX_BUCKETS = 1000;
+
+// Range used when the caller gives no start date
+const DEFAULT_RANGE_DAYS = 30;
+
+// Cancellations caused by canceling the whole conference say nothing about attendee behaviour
+const CONFERENCE_CANCELLATION_REASON = 'Conference canceled:%';
+
+/**
+ * Resolve a date range and bucket size, defaulting to the last DEFAULT_RANGE_DAYS days by day
+ * @param {Object} options - { from, to, bucket } where from and to are dates or date strings
+ * @returns {Object} { from, to, bucket } or { error }
+ */
+const resolveRange = ({ from, to, bucket = 'day' } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * BUCKET_SECONDS.day * 1000);
+
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+  if ((end - start) / 1000 / BUCKET_SECONDS[bucket] > MAX_BUCKETS) {
+    return { error: `Date range spans more than ${MAX_BUCKETS} ${bucket} buckets` };
+  }
+
+  return { from: start, to: end, bucket };
+};
+
+/**
+ * Build the WHERE conditions shared by the analytics queries. Expects the
+ * conference joined as "c" and the timestamp column to filter on.
+ * @param {string} column - Timestamp column the date range applies to
+ * @param {Object} range - { from, to } from resolveRange
+ * @param {Object} filters - { conference, organizerId } where organizerId limits
+ *   the results to that organizer's conferences
+ * @returns {Object} { where, params }
+ */
+const buildFilters = (column, { from, to }, { conference, organizerId } = {}) => {
+  const where = [`${column} >= $1`, `${column} < $2`];
+  const params = [from, to];
+
+  if (conference) {
+    params.push(conference);
+    where.push(`c.name = $${params.length}`);
+  }
+  if (organizerId) {
+    params.push(organizerId);
+    where.push(`c.organizer_id = $${params.length}`);
+  }
+
+  return { where, params };
+};
+
+class AnalyticsService {
+
+  /**
+   * New bookings and cancellations per conference per time bucket
+   * @param {Object} options - { from, to, bucket }
+   * @param {Object} filters - { conference, organizerId }
+   * @returns {Object} Result with one row per bucket and conference
+   */
+  async getBookingsOverTime(options, filters) {
+    try {
+      const range = resolveRange(options);
+      if (range.error) {
+        return {
+          success: false,
+          error: range.error
+        };
+      }
+
+      const { where, params } = buildFilters('e.created_at', range, filters);
+      params.push(range.bucket);
+
+      const result = await query(`
+        SELECT date_trunc($${params.length}, e.created_at) AS bucket,
+               e.conference_name,
+               COUNT(*) FILTER (WHERE e.event_type = 'CREATED')::int AS bookings,
+               COUNT(*) FILTER (WHERE e.event_type = 'CREATED' AND e.to_status = 'CONFIRMED')::int AS confirmed,
+               COUNT(*) FILTER (WHERE e.event_type = 'CREATED' AND e.to_status = 'WAITLISTED')::int AS waitlisted,
+               COUNT(*) FILTER (WHERE e.to_status = 'CANCELED')::int AS cancellations
+        FROM booking_events e
+        JOIN conferences c ON e.conference_name = c.name
+        WHERE ${where.join(' AND ')}
+          AND (e.event_type = 'CREATED' OR (e.event_type = 'STATUS_CHANGED' AND e.to_status = 'CANCELED'))
+        GROUP BY 1, 2
+        ORDER BY 1 ASC, 2 ASC
+      `, params);
+
+      return {
+        success: true,
+        range,
+        data: result.rows
+      };
+    } catch (error) {
+      logger.error('Error in getBookingsOverTime', { error });
+      return {
+        success: false,
+        error: 'Failed to get booking analytics'
+      };
+    }
+  }
+
+  /**
+   * Confirmed seats and fill rate of a conference per time bucket, from its
+   * creation until it starts (or now, if it has not started yet)
+   * @param {string} conferenceName - Conference name
+   * @param {Object} options - { bucket }
+   * @returns {Object} Result with the cumulative confirmed seats per bucket
+   */
+  async getFillRate(conferenceName, { bucket = 'day' } = {}) {
+    try {
+      const conferenceResult = await query(
+        'SELECT name, total_slots, start_time, created_at FROM conferences WHERE name = $1',
+        [conferenceName]
+      );
+      if (conferenceResult.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
+      }
+
+      const conference = conferenceResult.rows[0];
+      const end = new Date(Math.min(new Date(conference.start_time), Date.now()));
+      const range = resolveRange({ from: conference.created_at, to: end, bucket });
+      if (range.error) {
+        return {
+          success: false,
+          error: range.error
+        };
+      }
+
+      // Every move into or out of CONFIRMED changes the number of seats taken
+      const result = await query(`
+        WITH deltas AS (
+          SELECT date_trunc($2, created_at) AS bucket,
+                 SUM(CASE
+                   WHEN to_status = 'CONFIRMED' AND from_status IS DISTINCT FROM 'CONFIRMED' THEN 1
+                   WHEN from_status = 'CONFIRMED' AND to_status <> 'CONFIRMED' THEN -1
+                   ELSE 0
+                 END)::int AS net_confirmed
+          FROM booking_events
+          WHERE conference_name = $1
+            AND event_type IN ('CREATED', 'STATUS_CHANGED')
+            AND created_at < $4
+          GROUP BY 1
+        ),
+        series AS (
+          SELECT generate_series(date_trunc($2, $3::timestamptz), date_trunc($2, $4::timestamptz),
+                                 ('1 ' || $2)::interval) AS bucket
+        )
+        SELECT s.bucket,
+               COALESCE(d.net_confirmed, 0) AS net_confirmed,
+               SUM(COALESCE(d.net_confirmed, 0)) OVER (ORDER BY s.bucket)::int AS confirmed
+        FROM series s
+        LEFT JOIN deltas d ON d.bucket = s.bucket
+        ORDER BY s.bucket ASC
+      `, [conferenceName, range.bucket, range.from, range.to]);
+
+      return {
+        success: true,
+        conference_name: conference.name,
+        total_slots: conference.total_slots,
+        start_time: conference.start_time,
+        data: result.rows.map(row => ({
+          ...row,
+          fill_rate: Math.round(row.confirmed / conference.total_slots * 10000) / 10000
+        }))
+      };
+    } catch (error) {
+      logger.error('Error in getFillRate', { error });
+      return {
+        success: false,
+        error: 'Failed to get fill rate'
+      };
+    }
+  }
+
+  /**
+   * Waitlist funnel for bookings that joined a waitlist in the range: how many
+   * got a seat, how long they waited, and how seat offers were answered
+   * @param {Object} options - { from, to }
+   * @param {Object} filters - { conference, organizerId }
+   * @returns {Object} Result with waitlist and offer metrics
+   */
+  async getWaitlistFunnel(options, filters) {
+    try {
+      const range = resolveRange(options);
+      if (range.error) {
+        return {
+          success: false,
+          error: range.error
+        };
+      }
+
+      const waitlistFilters = buildFilters('e.created_at', range, filters);
+      const waitlistResult = await query(`
+        WITH waitlisted AS (
+          SELECT e.booking_id, MIN(e.created_at) AS waitlisted_at
+          FROM booking_events e
+          JOIN conferences c ON e.conference_name = c.name
+          WHERE ${waitlistFilters.where.join(' AND ')}
+            AND e.event_type IN ('CREATED', 'STATUS_CHANGED')
+            AND e.to_status = 'WAITLISTED'
+          GROUP BY e.booking_id
+        ),
+        outcomes AS (
+          SELECT w.waitlisted_at,
+                 (SELECT MIN(x.created_at) FROM booking_events x
+                  WHERE x.booking_id = w.booking_id AND x.created_at >= w.waitlisted_at
+                    AND x.from_status = 'WAITLISTED' AND x.to_status = 'CONFIRMED') AS confirmed_at,
+                 (SELECT MIN(x.created_at) FROM booking_events x
+                  WHERE x.booking_id = w.booking_id AND x.created_at >= w.waitlisted_at
+                    AND x.from_status = 'WAITLISTED' AND x.to_status = 'CANCELED') AS canceled_at
+          FROM waitlisted w
+        )
+        SELECT COUNT(*)::int AS waitlisted,
+               COUNT(confirmed_at)::int AS confirmed,
+               COUNT(*) FILTER (WHERE confirmed_at IS NULL AND canceled_at IS NOT NULL)::int AS canceled,
+               COUNT(*) FILTER (WHERE confirmed_at IS NULL AND canceled_at IS NULL)::int AS waiting,
+               ROUND(COUNT(confirmed_at)::numeric / NULLIF(COUNT(*), 0), 4) AS conversion_rate,
+               ROUND((AVG(EXTRACT(EPOCH FROM confirmed_at - waitlisted_at)) / 3600)::numeric, 2)
+                 AS avg_hours_to_confirm,
+               ROUND((AVG(EXTRACT(EPOCH FROM COALESCE(confirmed_at, canceled_at) - waitlisted_at)) / 3600)::numeric, 2)
+                 AS avg_hours_on_waitlist
+        FROM outcomes
+      `, waitlistFilters.params);
+
+      const offerFilters = buildFilters('o.created_at', range, filters);
+      const offersResult = await query(`
+        SELECT COUNT(*)::int AS offers,
+               COUNT(*) FILTER (WHERE o.status = 'ACCEPTED')::int AS accepted,
+               COUNT(*) FILTER (WHERE o.status = 'DECLINED')::int AS declined,
+               COUNT(*) FILTER (WHERE o.status = 'EXPIRED')::int AS expired,
+               COUNT(*) FILTER (WHERE o.status = 'OFFERED')::int AS open,
+               ROUND(COUNT(*) FILTER (WHERE o.status = 'ACCEPTED')::numeric
+                 / NULLIF(COUNT(*) FILTER (WHERE o.status <> 'OFFERED'), 0), 4) AS acceptance_rate,
+               ROUND((AVG(EXTRACT(EPOCH FROM o.responded_at - o.created_at))
+                 FILTER (WHERE o.status IN ('ACCEPTED', 'DECLINED')) / 60)::numeric, 2) AS avg_minutes_to_respond
+        FROM waitlist_offers o
+        JOIN conferences c ON o.conference_name = c.name
+        WHERE ${offerFilters.where.join(' AND ')}
+      `, offerFilters.params);
+
+      return {
+        success: true,
+        range,
+        data: {
+          waitlist: waitlistResult.rows[0],
+          offers: offersResult.rows[0]
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getWaitlistFunnel', { error });
+      return {
+        success: false,
+        error: 'Failed to get waitlist analytics'
+      };
+    }
+  }
+
+  /**
+   * How long before the conference start attendees cancel. Cancellations caused
+   * by canceling the conference itself are left out.
+   * @param {Object} options - { from, to }
+   * @param {Object} filters - { conference, organizerId }
+   * @returns {Object} Result with lead time statistics in hours, overall and per previous status
+   */
+  async getCancellationLeadTimes(options, filters) {
+    try {
+      const range = resolveRange(options);
+      if (range.error) {
+        return {
+          success: false,
+          error: range.error
+        };
+      }
+
+      const { where, params } = buildFilters('e.created_at', range, filters);
+      params.push(CONFERENCE_CANCELLATION_REASON);
+
+      const result = await query(`
+        WITH lead_times AS (
+          SELECT e.from_status AS previous_status, EXTRACT(EPOCH FROM c.start_time - e.created_at) / 3600 AS hours
+          FROM booking_events e
+          JOIN conferences c ON e.conference_name = c.name
+          WHERE ${where.join(' AND ')}
+            AND e.event_type = 'STATUS_CHANGED'
+            AND e.to_status = 'CANCELED'
+            AND COALESCE(e.reason, '') NOT LIKE $${params.length}
+        )
+        SELECT COALESCE(previous_status, 'ALL') AS from_status,
+               COUNT(*)::int AS cancellations,
+               ROUND(AVG(hours)::numeric, 2) AS avg_hours_before_start,
+               ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY hours))::numeric, 2) AS median_hours_before_start,
+               ROUND((PERCENTILE_CONT(0.1) WITHIN GROUP (ORDER BY hours))::numeric, 2) AS p10_hours_before_start
+        FROM lead_times
+        GROUP BY ROLLUP (previous_status)
+        ORDER BY GROUPING(previous_status) DESC, previous_status ASC
+      `, params);
+
+      // The rollup's grand total comes first, and is there even without cancellations
+      const [overall, ...byStatus] = result.rows;
+
+      return {
+        success: true,
+        range,
+        data: {
+          overall,
+          by_previous_status: byStatus
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getCancellationLeadTimes', { error });
+      return {
+        success: false,
+        error: 'Failed to get cancellation analytics'
+      };
+    }
+  }
+
+  /**
+   * Topics ranked by demand: bookings made in the range for conferences with the topic
+   * @param {Object} options - { from, to, limit }
+   * @param {Object} filters - { conference, organizerId }
+   * @returns {Object} Result with topics and their booking counts
+   */
+  async getTopicDemand({ limit = 10, ...options }, filters) {
+    try {
+      const range = resolveRange(options);
+      if (range.error) {
+        return {
+          success: false,
+          error: range.error
+        };
+      }
+
+      const { where, params } = buildFilters('e.created_at', range, filters);
+      params.push(limit);
+
+      // Waitlisted bookings are demand that capacity did not meet
+      const result = await query(`
+        SELECT topic,
+               COUNT(*)::int AS bookings,
+               COUNT(*) FILTER (WHERE e.to_status = 'CONFIRMED')::int AS confirmed,
+               COUNT(*) FILTER (WHERE e.to_status = 'WAITLISTED')::int AS waitlisted,
+               ROUND(COUNT(*) FILTER (WHERE e.to_status = 'WAITLISTED')::numeric / COUNT(*), 4) AS waitlist_share,
+               COUNT(DISTINCT e.conference_name)::int AS conferences
+        FROM booking_events e
+        JOIN conferences c ON e.conference_name = c.name
+        CROSS JOIN unnest(c.topics) AS topic
+        WHERE ${where.join(' AND ')}
+          AND e.event_type = 'CREATED'
+        GROUP BY topic
+        ORDER BY bookings DESC, waitlisted DESC, topic ASC
+        LIMIT $${params.length}
+      `, params);
+
+      return {
+        success: true,
+        range,
+        data: result.rows
+      };
+    } catch (error) {
+      logger.error('Error in getTopicDemand', { error });
+      return {
+        success: false,
+        error: 'Failed to get topic demand'
+      };
+    }
+  }
+}
+
+module.exports = new AnalyticsService();
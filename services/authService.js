@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const userService = require('./userService');
+const { safeEqual } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+// Encode a buffer or string as URL-safe base64 without padding
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+class AuthService {
+
+  /**
+   * Get the token signing secret
+   * @returns {string} Secret used to sign tokens
+   */
+  getSecret() {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret) {
+      throw new Error('AUTH_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Sign a token payload
+   * @param {string} encodedPayload - Base64url encoded payload
+   * @returns {string} Base64url encoded signature
+   */
+  sign(encodedPayload) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(encodedPayload)
+      .digest('base64url');
+  }
+
+  /**
+   * Issue a signed access token for a user
+   * @param {string} userId - User ID the token is issued for
+   * @param {number} expiresIn - Token lifetime in seconds
+   * @returns {Object} Result with token and expiry
+   */
+  async issueToken(userId, expiresIn) {
+    try {
+      const user = await userService.getUserById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+
+      const ttl = expiresIn || parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || DEFAULT_TOKEN_TTL_SECONDS;
+      const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+
+      const payload = base64url(JSON.stringify({
+        sub: user.user_id,
+        role: user.role,
+        exp: expiresAt
+      }));
+
+      return {
+        success: true,
+        data: {
+          token: `${payload}.${this.sign(payload)}`,
+          user_id: user.user_id,
+          role: user.role,
+          expires_at: new Date(expiresAt * 1000)
+        }
+      };
+    } catch (error) {
+      logger.error('Error in issueToken', { error });
+      return {
+        success: false,
+        error: 'Failed to issue token',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Verify a signed token and decode its payload
+   * @param {string} token - Token to verify
+   * @returns {Object} Decoded payload or null if invalid/expired
+   */
+  verifyToken(token) {
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+      return null;
+    }
+
+    try {
+      const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!decoded.sub || !decoded.exp || decoded.exp * 1000 <= Date.now()) {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an API key matches the configured admin key
+   * @param {string} apiKey - API key from the request
+   * @returns {boolean} True if the key is the admin key
+   */
+  isAdminApiKey(apiKey) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    return Boolean(adminKey) && safeEqual(apiKey, adminKey);
+  }
+
+  /**
+   * Resolve the authenticated principal for a request
+   * @param {Object} credentials - { token, apiKey } taken from request headers
+   * @returns {Object} Principal ({ user_id, role, auth_type }) or null
+   */
+  async resolvePrincipal({ token, apiKey }) {
+    if (apiKey) {
+      return this.isAdminApiKey(apiKey)
+        ? { user_id: null, role: 'admin', auth_type: 'api_key' }
+        : null;
+    }
+
+    if (token) {
+      const decoded = this.verifyToken(token);
+      if (!decoded) {
+        return null;
+      }
+
+      // Re-read the user so deleted users and role changes take effect immediately
+      const user = await userService.getUserById(decoded.sub);
+      if (!user) {
+        return null;
+      }
+
+      return { user_id: user.user_id, role: user.role, auth_type: 'token' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,124 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Types of entries in the booking history
+const BOOKING_EVENT_TYPES = {
+  CREATED: 'CREATED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  POSITION_CHANGED: 'POSITION_CHANGED',
+  OFFER_MADE: 'OFFER_MADE',
+  OFFER_EXPIRED: 'OFFER_EXPIRED',
+  OFFER_DECLINED: 'OFFER_DECLINED',
+  ATTENDANCE_RECORDED: 'ATTENDANCE_RECORDED',
+  TRANSFERRED: 'TRANSFERRED'
+};
+
+// Context used when no route or job supplied one
+const UNKNOWN_CONTEXT = { actor: 'system', source: 'unknown' };
+
+class BookingHistoryService {
+
+  /**
+   * Record a booking transition. Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {Object} event - { bookingId, conferenceName, userId, eventType, fromStatus, toStatus,
+   *   fromPosition, toPosition, confirmBy, reason, metadata }
+   * @param {Object} context - { actor, source } describing who/what caused the change
+   */
+  async record(client, event, context = UNKNOWN_CONTEXT) {
+    try {
+      await client.query(`
+        INSERT INTO booking_events (
+          booking_id, conference_name, user_id, event_type,
+          from_status, to_status, from_position, to_position, confirm_by,
+          actor, source, reason, metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        event.bookingId,
+        event.conferenceName,
+        event.userId,
+        event.eventType,
+        event.fromStatus || null,
+        event.toStatus || null,
+        event.fromPosition || null,
+        event.toPosition || null,
+        event.confirmBy || null,
+        context.actor || UNKNOWN_CONTEXT.actor,
+        context.source || UNKNOWN_CONTEXT.source,
+        event.reason || null,
+        event.metadata || {}
+      ]);
+    } catch (error) {
+      logger.error('Error in record', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full history of a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Object} Booking events in order
+   */
+  async getBookingHistory(bookingId) {
+    try {
+      const result = await query(`
+        SELECT id, event_type, from_status, to_status, from_position, to_position,
+               confirm_by, actor, source, reason, metadata, created_at
+        FROM booking_events
+        WHERE booking_id = $1
+        ORDER BY id ASC
+      `, [bookingId]);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Error in getBookingHistory', { error });
+      return {
+        success: false,
+        error: 'Failed to get booking history'
+      };
+    }
+  }
+
+  /**
+   * Get the audit feed for a conference, newest first
+   * @param {string} conferenceName - Conference name
+   * @param {Object} options - { limit, before } where before is an event ID to page from
+   * @returns {Object} Booking events for the conference
+   */
+  async getConferenceAuditFeed(conferenceName, { limit = 100, before = null } = {}) {
+    try {
+      const result = await query(`
+        SELECT id, booking_id, user_id, event_type, from_status, to_status,
+               from_position, to_position, confirm_by, actor, source, reason, metadata, created_at
+        FROM booking_events
+        WHERE conference_name = $1
+          AND ($2::bigint IS NULL OR id < $2)
+        ORDER BY id DESC
+        LIMIT $3
+      `, [conferenceName, before, limit]);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length,
+        next_before: result.rows.length === limit ? result.rows[result.rows.length - 1].id : null
+      };
+    } catch (error) {
+      logger.error('Error in getConferenceAuditFeed', { error });
+      return {
+        success: false,
+        error: 'Failed to get conference audit feed'
+      };
+    }
+  }
+}
+
+const bookingHistoryService = new BookingHistoryService();
+bookingHistoryService.BOOKING_EVENT_TYPES = BOOKING_EVENT_TYPES;
+
+module.exports = bookingHistoryService;
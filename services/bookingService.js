@@ -1,17 +1,65 @@
-const { query, getClient } = require('../config/database');
-const { businessValidation } = require('../utils/validators');
-const conferenceService = require('./conferenceService');
-const userService = require('./userService');
+const { query, getClient, isRetryableError } = require('../config/database');
+const { businessValidation, hasTimeOverlap } = require('../utils/validators');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const bookingHistoryService = require('./bookingHistoryService');
+const offerService = require('./offerService');
+const { EVENTS } = require('../notifications/templates');
+const { WEBHOOK_EVENTS } = require('../utils/validators');
+const { paginatedQuery, toPageResponse } = require('../utils/pagination');
 const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+const { BOOKING_EVENT_TYPES } = bookingHistoryService;
+
+const DEFAULT_BOOKING_MAX_ATTEMPTS = 5;
+const BOOKING_RETRY_BASE_MS = 20;
+
+// An offer never stays open for more than this share of the time left before the conference starts
+const OFFER_WINDOW_SHARE_OF_REMAINING = 0.5;
 
 class BookingService {
 
   /**
-   * Book a conference for a user
+   * Book a conference for a user.
+   * Retries from the start when the transaction loses a race with another booking.
+   * @param {Object} bookingData - Booking details
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Result with booking ID and status
+   */
+  async bookConference(bookingData, context) {
+    const maxAttempts = parseInt(process.env.BOOKING_MAX_ATTEMPTS) || DEFAULT_BOOKING_MAX_ATTEMPTS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.attemptBooking(bookingData, context);
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= maxAttempts) {
+          logger.error('Error in bookConference', { attempts: attempt, error });
+          return {
+            success: false,
+            error: 'Failed to book conference',
+            details: error.message
+          };
+        }
+
+        // Back off with jitter so the competing transactions do not collide again
+        const delay = BOOKING_RETRY_BASE_MS * Math.pow(2, attempt - 1) * (0.5 + Math.random());
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Run one booking transaction. The user and conference rows are locked for the
+   * rest of the transaction, so the seat check, the slot decrement and the waitlist
+   * position are decided by one booking at a time per conference.
+   * Throws only retryable errors (serialization failure, deadlock).
    * @param {Object} bookingData - Booking details
+   * @param {Object} context - { actor, source } recorded in the booking history
    * @returns {Object} Result with booking ID and status
    */
-  async bookConference(bookingData) {
+  async attemptBooking(bookingData, context) {
     const client = await getClient();
     
     try {
@@ -19,8 +67,22 @@ class BookingService {
 
       const { conference_name, user_id } = bookingData;
 
-      // Validate conference exists
-      const conference = await conferenceService.getConferenceByName(conference_name);
+      // Validate user exists; the lock serializes bookings by the same user,
+      // which keeps the time conflict check below accurate
+      const userResult = await client.query(
+        'SELECT user_id FROM users WHERE user_id = $1 AND erased_at IS NULL FOR UPDATE',
+        [user_id]
+      );
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+
+      // Validate conference exists and hold its row until commit
+      const conference = await this.lockConference(client, conference_name);
       if (!conference) {
         await client.query('ROLLBACK');
         return {
@@ -29,18 +91,16 @@ class BookingService {
         };
       }
 
-      // Validate user exists
-      const user = await userService.getUserById(user_id);
-      if (!user) {
+      if (conference.status === 'CANCELED') {
         await client.query('ROLLBACK');
         return {
           success: false,
-          error: 'User not found'
+          error: 'Cannot book a canceled conference'
         };
       }
 
       // Check if conference has started
-      if (await conferenceService.hasConferenceStarted(conference_name)) {
+      if (new Date(conference.start_time) <= new Date()) {
         await client.query('ROLLBACK');
         return {
           success: false,
@@ -79,23 +139,45 @@ class BookingService {
 
       const bookingId = uuidv4();
 
-      // Check if slots are available
-      if (conference.available_slots > 0) {
+      // Seats held by open waitlist offers are not free for new bookings
+      const held = await this.countOutstandingOffers(client, conference_name);
+
+      // Take a seat if one is left; the guard makes an oversell impossible
+      // even if the row lock above were ever bypassed
+      const seatResult = await client.query(`
+        UPDATE conferences 
+        SET available_slots = available_slots - 1
+        WHERE name = $1 AND available_slots - $2 > 0
+        RETURNING available_slots
+      `, [conference_name, held]);
+
+      if (seatResult.rows.length > 0) {
         // Create confirmed booking
         await client.query(`
           INSERT INTO bookings (booking_id, conference_name, user_id, status)
           VALUES ($1, $2, $3, 'CONFIRMED')
         `, [bookingId, conference_name, user_id]);
 
-        // Decrease available slots
-        await client.query(`
-          UPDATE conferences 
-          SET available_slots = available_slots - 1
-          WHERE name = $1
-        `, [conference_name]);
+        await bookingHistoryService.record(client, {
+          bookingId,
+          conferenceName: conference_name,
+          userId: user_id,
+          eventType: BOOKING_EVENT_TYPES.CREATED,
+          toStatus: 'CONFIRMED'
+        }, context);
 
         // Remove user from other conference waitlists (as they now have a confirmed booking)
-        await this.removeUserFromAllWaitlists(client, user_id, conference_name);
+        const removedEntries = await this.removeUserFromAllWaitlists(
+          client, user_id, conference_name, context, bookingData.waitlist_removal
+        );
+
+        await this.emitEvent(client, {
+          eventType: EVENTS.BOOKING_CONFIRMED,
+          userId: user_id,
+          bookingId,
+          conferenceName: conference_name,
+          payload: { start_time: conference.start_time }
+        });
 
         await client.query('COMMIT');
 
@@ -103,7 +185,8 @@ class BookingService {
           success: true,
           booking_id: bookingId,
           status: 'CONFIRMED',
-          message: 'Conference booked successfully'
+          message: 'Conference booked successfully',
+          removed_waitlist_entries: removedEntries
         };
 
       } else {
@@ -113,7 +196,7 @@ class BookingService {
           VALUES ($1, $2, $3, 'WAITLISTED')
         `, [bookingId, conference_name, user_id]);
 
-        // Get next position in waitlist
+        // Get next position in waitlist (safe while the conference row is locked)
         const positionResult = await client.query(`
           SELECT COALESCE(MAX(position), 0) + 1 as next_position
           FROM waitlist
@@ -128,6 +211,23 @@ class BookingService {
           VALUES ($1, $2, $3)
         `, [conference_name, bookingId, position]);
 
+        await bookingHistoryService.record(client, {
+          bookingId,
+          conferenceName: conference_name,
+          userId: user_id,
+          eventType: BOOKING_EVENT_TYPES.CREATED,
+          toStatus: 'WAITLISTED',
+          toPosition: position
+        }, context);
+
+        await this.emitEvent(client, {
+          eventType: EVENTS.BOOKING_WAITLISTED,
+          userId: user_id,
+          bookingId,
+          conferenceName: conference_name,
+          payload: { position }
+        });
+
         await client.query('COMMIT');
 
         return {
@@ -141,7 +241,20 @@ class BookingService {
 
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in bookConference:', error);
+
+      if (isRetryableError(error)) {
+        throw error;
+      }
+
+      // A concurrent request for the same user and conference won the insert
+      if (error.code === '23505' && error.constraint === 'bookings_conference_name_user_id_key') {
+        return {
+          success: false,
+          error: 'User already has a booking for this conference'
+        };
+      }
+
+      logger.error('Error in bookConference', { error });
       return {
         success: false,
         error: 'Failed to book conference',
@@ -152,6 +265,44 @@ class BookingService {
     }
   }
 
+  /**
+   * Lock a conference row for the rest of the transaction. Every change to a
+   * conference's seats or waitlist takes this lock first, which serializes them.
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} conferenceName - Conference name
+   * @returns {Object|null} Conference row or null if not found
+   */
+  async lockConference(client, conferenceName) {
+    const result = await client.query(
+      'SELECT * FROM conferences WHERE name = $1 FOR UPDATE',
+      [conferenceName]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Record a booking state change: queue the user notification and, for
+   * subscribable event types, the webhook deliveries. Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {Object} event - { eventType, userId, bookingId, conferenceName, payload, notificationPayload }
+   *   where notificationPayload holds fields only the user may see, such as single-use links
+   */
+  async emitEvent(client, event) {
+    await notificationService.enqueue(client, {
+      ...event,
+      payload: { ...event.payload, ...event.notificationPayload }
+    });
+
+    if (WEBHOOK_EVENTS.includes(event.eventType)) {
+      await webhookService.publish(client, event.eventType, {
+        booking_id: event.bookingId,
+        user_id: event.userId,
+        conference_name: event.conferenceName,
+        ...event.payload
+      });
+    }
+  }
+
   /**
    * Get booking status by ID
    * @param {string} bookingId - Booking ID
@@ -208,7 +359,7 @@ class BookingService {
       };
 
     } catch (error) {
-      console.error('Error in getBookingStatus:', error);
+      logger.error('Error in getBookingStatus', { error });
       return {
         success: false,
         error: 'Failed to get booking status'
@@ -216,23 +367,51 @@ class BookingService {
     }
   }
 
+  /**
+   * Get the owner and conference organizer of a booking (for authorization)
+   * @param {string} bookingId - Booking ID
+   * @returns {Object} { booking_id, user_id, conference_name, organizer_id } or null
+   */
+  async getBookingOwnership(bookingId) {
+    try {
+      const result = await query(`
+        SELECT b.booking_id, b.user_id, b.conference_name, c.organizer_id
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.booking_id = $1
+      `, [bookingId]);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      if (error.code === '22P02') { // Invalid UUID syntax
+        return null;
+      }
+      logger.error('Error in getBookingOwnership', { error });
+      throw error;
+    }
+  }
+
   /**
    * Confirm a waitlisted booking
    * @param {string} bookingId - Booking ID
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {Object} options - { waitlistRemoval } to override the user's waitlist removal preference,
+   *   and { offerId } when the confirmation answers that seat offer
    * @returns {Object} Confirmation result
    */
-  async confirmWaitlistBooking(bookingId) {
+  async confirmWaitlistBooking(bookingId, context, { waitlistRemoval = null, offerId = null } = {}) {
     const client = await getClient();
 
     try {
       await client.query('BEGIN');
 
-      // Get booking details
+      // Get booking details, locking the booking and its conference's seats
       const bookingResult = await client.query(`
-        SELECT b.*, c.available_slots, c.start_time
+        SELECT b.*, c.available_slots, c.start_time, c.end_time
         FROM bookings b
         JOIN conferences c ON b.conference_name = c.name
         WHERE b.booking_id = $1
+        FOR UPDATE OF b, c
       `, [bookingId]);
 
       if (bookingResult.rows.length === 0) {
@@ -245,6 +424,24 @@ class BookingService {
 
       const booking = bookingResult.rows[0];
 
+      // An offer is answered once: check it on its locked row, so a replayed or
+      // concurrent answer gets the outcome of the first one
+      if (offerId) {
+        const offerResult = await client.query(
+          'SELECT status FROM waitlist_offers WHERE offer_id = $1 FOR UPDATE',
+          [offerId]
+        );
+        const offerStatus = offerResult.rows.length > 0 ? offerResult.rows[0].status : null;
+        if (offerStatus !== 'OFFERED') {
+          await client.query('ROLLBACK');
+          return {
+            success: false,
+            error: 'Offer is no longer open',
+            offer_status: offerStatus
+          };
+        }
+      }
+
       // Check if booking is waitlisted
       if (booking.status !== 'WAITLISTED') {
         await client.query('ROLLBACK');
@@ -272,39 +469,39 @@ class BookingService {
         };
       }
 
-      // Check if slots are still available
-      if (booking.available_slots <= 0) {
+      // An overlapping waitlist entry kept after confirming elsewhere cannot be confirmed too
+      const hasConflict = await businessValidation.hasConflictingBooking(
+        booking.user_id,
+        booking.start_time,
+        booking.end_time,
+        { query: client.query.bind(client) },
+        booking.conference_name
+      );
+      if (hasConflict) {
         await client.query('ROLLBACK');
         return {
           success: false,
-          error: 'No slots available to confirm booking'
+          error: 'User has conflicting booking at this time'
         };
       }
 
-      // Update booking status to confirmed
-      await client.query(`
-        UPDATE bookings 
-        SET status = 'CONFIRMED', confirm_by = NULL
-        WHERE booking_id = $1
-      `, [bookingId]);
-
-      // Decrease available slots
-      await client.query(`
-        UPDATE conferences 
-        SET available_slots = available_slots - 1
-        WHERE name = $1
-      `, [booking.conference_name]);
-
-      // Remove from waitlist
-      await client.query(`
-        DELETE FROM waitlist WHERE booking_id = $1
-      `, [bookingId]);
+      // Check if slots are still available; without an offer of its own the booking
+      // cannot take a seat held for someone else's open offer
+      const heldForOthers = booking.confirm_by
+        ? 0
+        : await this.countOutstandingOffers(client, booking.conference_name, bookingId);
+      if (booking.available_slots - heldForOthers <= 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'No slots available to confirm booking'
+        };
+      }
 
-      // Remove user from other conference waitlists
-      await this.removeUserFromAllWaitlists(client, booking.user_id, booking.conference_name);
+      const removedEntries = await this.promoteFromWaitlist(client, booking, context, { waitlistRemoval });
 
       // Process next person in waitlist for this conference
-      await this.processNextInWaitlist(client, booking.conference_name);
+      await this.processNextInWaitlist(client, booking.conference_name, context);
 
       await client.query('COMMIT');
 
@@ -312,12 +509,13 @@ class BookingService {
         success: true,
         message: 'Booking confirmed successfully',
         booking_id: bookingId,
-        status: 'CONFIRMED'
+        status: 'CONFIRMED',
+        removed_waitlist_entries: removedEntries
       };
 
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in confirmWaitlistBooking:', error);
+      logger.error('Error in confirmWaitlistBooking', { error });
       return {
         success: false,
         error: 'Failed to confirm booking',
@@ -331,20 +529,22 @@ class BookingService {
   /**
    * Cancel a booking
    * @param {string} bookingId - Booking ID
+   * @param {Object} context - { actor, source } recorded in the booking history
    * @returns {Object} Cancellation result
    */
-  async cancelBooking(bookingId) {
+  async cancelBooking(bookingId, context) {
     const client = await getClient();
 
     try {
       await client.query('BEGIN');
 
-      // Get booking details
+      // Get booking details, locking the booking so it is only canceled once
       const bookingResult = await client.query(`
         SELECT b.*, c.start_time
         FROM bookings b
         JOIN conferences c ON b.conference_name = c.name
         WHERE b.booking_id = $1
+        FOR UPDATE OF b, c
       `, [bookingId]);
 
       if (bookingResult.rows.length === 0) {
@@ -375,50 +575,272 @@ class BookingService {
         };
       }
 
-      // Update booking status to canceled
-      await client.query(`
-        UPDATE bookings 
-        SET status = 'CANCELED'
-        WHERE booking_id = $1
+      await this.cancelLockedBooking(client, booking, context);
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Booking canceled successfully',
+        booking_id: bookingId,
+        status: 'CANCELED'
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in cancelBooking', { error });
+      return {
+        success: false,
+        error: 'Failed to cancel booking',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel a confirmed or waitlisted booking: release its seat or waitlist place,
+   * pass the seat on and notify the user. Runs in the caller's transaction, with
+   * the conference and the booking already locked.
+   * @param {Object} client - Database client
+   * @param {Object} booking - Locked booking row
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {Object} options - { reason } recorded in the booking history
+   */
+  async cancelLockedBooking(client, booking, context, { reason = null } = {}) {
+    const bookingId = booking.booking_id;
+
+    // Update booking status to canceled; an offer it held is answered by the cancellation
+    await client.query(`
+      UPDATE bookings 
+      SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = $2
+      WHERE booking_id = $1
+    `, [bookingId, reason]);
+
+    // If it was waitlisted, remove from waitlist
+    let fromPosition = null;
+    if (booking.status === 'WAITLISTED') {
+      const removedResult = await client.query(`
+        DELETE FROM waitlist WHERE booking_id = $1 RETURNING position
       `, [bookingId]);
+      fromPosition = removedResult.rows.length > 0 ? removedResult.rows[0].position : null;
+    }
 
-      // If it was a confirmed booking, increase available slots and process waitlist
-      if (booking.status === 'CONFIRMED') {
-        await client.query(`
-          UPDATE conferences 
-          SET available_slots = available_slots + 1
-          WHERE name = $1
-        `, [booking.conference_name]);
+    await bookingHistoryService.record(client, {
+      bookingId,
+      conferenceName: booking.conference_name,
+      userId: booking.user_id,
+      eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+      fromStatus: booking.status,
+      toStatus: 'CANCELED',
+      fromPosition,
+      reason
+    }, context);
+
+    // If it was a confirmed booking, increase available slots and process waitlist
+    if (booking.status === 'CONFIRMED') {
+      await client.query(`
+        UPDATE conferences 
+        SET available_slots = available_slots + 1
+        WHERE name = $1
+      `, [booking.conference_name]);
+
+      // Process next person in waitlist
+      await this.processNextInWaitlist(client, booking.conference_name, context);
+    }
+
+    // If it was waitlisted, reorder positions and pass on any seat offer it held
+    if (booking.status === 'WAITLISTED') {
+      await this.reorderWaitlist(client, booking.conference_name, context);
 
-        // Process next person in waitlist
-        await this.processNextInWaitlist(client, booking.conference_name);
+      if (booking.confirm_by) {
+        await offerService.close(client, [bookingId], 'DECLINED');
+        await this.processNextInWaitlist(client, booking.conference_name, context);
       }
+    }
 
-      // If it was waitlisted, remove from waitlist and reorder positions
-      if (booking.status === 'WAITLISTED') {
-        await client.query(`
-          DELETE FROM waitlist WHERE booking_id = $1
-        `, [bookingId]);
+    await this.emitEvent(client, {
+      eventType: EVENTS.BOOKING_CANCELED,
+      userId: booking.user_id,
+      bookingId,
+      conferenceName: booking.conference_name
+    });
+  }
+
+  /**
+   * Transfer a confirmed booking to another user, keeping its seat. The recipient
+   * goes through the same duplicate and time conflict checks as a new booking.
+   * @param {string} bookingId - Booking ID
+   * @param {string} toUserId - User to receive the booking
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Transfer result
+   */
+  async transferBooking(bookingId, toUserId, context) {
+    const ownership = await this.getBookingOwnership(bookingId);
+    if (!ownership) {
+      return {
+        success: false,
+        error: 'Booking not found'
+      };
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Same lock order as a new booking: recipient, then conference, then the booking
+      const userResult = await client.query(
+        'SELECT user_id FROM users WHERE user_id = $1 AND erased_at IS NULL FOR UPDATE',
+        [toUserId]
+      );
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Recipient user not found'
+        };
+      }
+
+      const conference = await this.lockConference(client, ownership.conference_name);
+
+      const bookingResult = await client.query(
+        'SELECT * FROM bookings WHERE booking_id = $1 FOR UPDATE',
+        [bookingId]
+      );
+      const booking = bookingResult.rows[0];
+
+      if (!booking) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Booking not found'
+        };
+      }
+
+      if (booking.status !== 'CONFIRMED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Only confirmed bookings can be transferred'
+        };
+      }
+
+      if (conference.status === 'CANCELED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot transfer a booking for a canceled conference'
+        };
+      }
+
+      if (new Date(conference.start_time) <= new Date()) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot transfer booking for conference that has already started'
+        };
+      }
+
+      if (booking.user_id === toUserId) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Booking already belongs to this user'
+        };
+      }
+
+      const existingBooking = await businessValidation.hasExistingBooking(
+        toUserId,
+        booking.conference_name,
+        { query: client.query.bind(client) }
+      );
+      if (existingBooking) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Recipient already has a booking for this conference'
+        };
+      }
 
-        // Reorder waitlist positions
-        await this.reorderWaitlist(client, booking.conference_name);
+      const hasConflict = await businessValidation.hasConflictingBooking(
+        toUserId,
+        conference.start_time,
+        conference.end_time,
+        { query: client.query.bind(client) }
+      );
+      if (hasConflict) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Recipient has conflicting booking at this time'
+        };
       }
 
+      await client.query(`
+        UPDATE bookings 
+        SET user_id = $1
+        WHERE booking_id = $2
+      `, [toUserId, bookingId]);
+
+      await bookingHistoryService.record(client, {
+        bookingId,
+        conferenceName: booking.conference_name,
+        userId: toUserId,
+        eventType: BOOKING_EVENT_TYPES.TRANSFERRED,
+        fromStatus: 'CONFIRMED',
+        toStatus: 'CONFIRMED',
+        metadata: { from_user_id: booking.user_id, to_user_id: toUserId }
+      }, context);
+
+      // The recipient now holds a confirmed seat, so their other waitlist entries may go
+      const removedEntries = await this.removeUserFromAllWaitlists(client, toUserId, booking.conference_name, context);
+
+      await this.emitEvent(client, {
+        eventType: EVENTS.BOOKING_TRANSFERRED,
+        userId: booking.user_id,
+        bookingId,
+        conferenceName: booking.conference_name,
+        payload: { from_user_id: booking.user_id, to_user_id: toUserId }
+      });
+
+      // Tell the recipient about their seat without announcing a new booking to webhooks
+      await notificationService.enqueue(client, {
+        eventType: EVENTS.BOOKING_CONFIRMED,
+        userId: toUserId,
+        bookingId,
+        conferenceName: booking.conference_name,
+        payload: { start_time: conference.start_time, transferred_from: booking.user_id }
+      });
+
       await client.query('COMMIT');
 
       return {
         success: true,
-        message: 'Booking canceled successfully',
+        message: 'Booking transferred successfully',
         booking_id: bookingId,
-        status: 'CANCELED'
+        status: 'CONFIRMED',
+        from_user_id: booking.user_id,
+        to_user_id: toUserId,
+        removed_waitlist_entries: removedEntries
       };
 
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in cancelBooking:', error);
+
+      // The recipient has an older, canceled booking row for this conference
+      if (error.code === '23505' && error.constraint === 'bookings_conference_name_user_id_key') {
+        return {
+          success: false,
+          error: 'Recipient already has a booking for this conference'
+        };
+      }
+
+      logger.error('Error in transferBooking', { error });
       return {
         success: false,
-        error: 'Failed to cancel booking',
+        error: 'Failed to transfer booking',
         details: error.message
       };
     } finally {
@@ -427,84 +849,327 @@ class BookingService {
   }
 
   /**
-   * Process next person in waitlist when a slot becomes available
+   * Work out when a seat offer closes: the conference's offer window, shortened
+   * as the start time approaches so there is still time to pass the seat on
+   * @param {Object} conference - Conference row with offer_window_minutes and start_time
+   * @param {Date} now - Time the offer is made
+   * @returns {Date} Confirmation deadline
+   */
+  getOfferDeadline(conference, now = new Date()) {
+    const windowMs = (conference.offer_window_minutes || 60) * 60 * 1000;
+    const remainingMs = new Date(conference.start_time).getTime() - now.getTime();
+    return new Date(now.getTime() + Math.max(0, Math.min(windowMs, remainingMs * OFFER_WINDOW_SHARE_OF_REMAINING)));
+  }
+
+  /**
+   * Confirm a waitlisted booking inside the caller's transaction: take a seat,
+   * leave the waitlist and drop the user's other waitlist entries
+   * @param {Object} client - Database client holding the conference lock
+   * @param {Object} booking - { booking_id, conference_name, user_id, confirm_by, start_time }
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {Object} options - { reason } why the booking was confirmed, if not by the user, and
+   *   { waitlistRemoval } to override the user's waitlist removal preference
+   * @returns {Array} The user's other waitlist entries that were removed
+   */
+  async promoteFromWaitlist(client, booking, context, { reason = null, waitlistRemoval = null } = {}) {
+    await client.query(`
+      UPDATE bookings 
+      SET status = 'CONFIRMED', confirm_by = NULL
+      WHERE booking_id = $1
+    `, [booking.booking_id]);
+
+    const seatResult = await client.query(`
+      UPDATE conferences 
+      SET available_slots = available_slots - 1
+      WHERE name = $1 AND available_slots > 0
+      RETURNING available_slots
+    `, [booking.conference_name]);
+
+    if (seatResult.rows.length === 0) {
+      throw new Error(`No slots available at ${booking.conference_name}`);
+    }
+
+    const removedResult = await client.query(`
+      DELETE FROM waitlist WHERE booking_id = $1 RETURNING position
+    `, [booking.booking_id]);
+
+    await offerService.close(client, [booking.booking_id], 'ACCEPTED');
+
+    await bookingHistoryService.record(client, {
+      bookingId: booking.booking_id,
+      conferenceName: booking.conference_name,
+      userId: booking.user_id,
+      eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+      fromStatus: 'WAITLISTED',
+      toStatus: 'CONFIRMED',
+      fromPosition: removedResult.rows.length > 0 ? removedResult.rows[0].position : null,
+      reason,
+      metadata: { confirm_by_cleared: booking.confirm_by }
+    }, context);
+
+    // Close the gap left in the waitlist
+    await this.reorderWaitlist(client, booking.conference_name, context);
+
+    // Remove user from other conference waitlists
+    const removedEntries = await this.removeUserFromAllWaitlists(
+      client, booking.user_id, booking.conference_name, context, waitlistRemoval
+    );
+
+    await this.emitEvent(client, {
+      eventType: EVENTS.BOOKING_CONFIRMED,
+      userId: booking.user_id,
+      bookingId: booking.booking_id,
+      conferenceName: booking.conference_name,
+      payload: { start_time: booking.start_time }
+    });
+
+    return removedEntries;
+  }
+
+  /**
+   * Count a conference's seat offers that are still open
    * @param {Object} client - Database client
    * @param {string} conferenceName - Conference name
+   * @param {string} excludeBookingId - Booking not to count (optional)
+   * @returns {number} Outstanding offers
    */
-  async processNextInWaitlist(client, conferenceName) {
+  async countOutstandingOffers(client, conferenceName, excludeBookingId = null) {
+    const result = await client.query(`
+      SELECT COUNT(*)::int AS outstanding
+      FROM bookings
+      WHERE conference_name = $1
+        AND status = 'WAITLISTED'
+        AND confirm_by > CURRENT_TIMESTAMP
+        AND ($2::uuid IS NULL OR booking_id <> $2)
+    `, [conferenceName, excludeBookingId]);
+    return result.rows[0].outstanding;
+  }
+
+  /**
+   * Hand out free seats to the waitlist, in position order. Seats already held
+   * by an open offer are not offered again, so every free seat has at most one
+   * offer on it. Under the conference's auto-confirm policy, waitlisted bookings
+   * are confirmed straight away instead of being offered the seats.
+   * @param {Object} client - Database client
+   * @param {string} conferenceName - Conference name
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {Object} options - { excludeBookingIds } to pass over bookings that must not get these seats
+   */
+  async processNextInWaitlist(client, conferenceName, context, { excludeBookingIds = [] } = {}) {
     try {
-      // Get next person in waitlist
+      const conference = await this.lockConference(client, conferenceName);
+      if (!conference) {
+        return;
+      }
+
+      const outstanding = await this.countOutstandingOffers(client, conferenceName);
+      const openSeats = conference.available_slots - outstanding;
+      if (openSeats <= 0) {
+        return;
+      }
+
+      // Waitlisted bookings not holding an offer (expired ones are left to the expiry job),
+      // passing over users who hold a confirmed seat at an overlapping conference
       const waitlistResult = await client.query(`
-        SELECT w.booking_id, b.user_id
+        SELECT w.booking_id, w.position, b.user_id, b.confirm_by
         FROM waitlist w
         JOIN bookings b ON w.booking_id = b.booking_id
         WHERE w.conference_name = $1
+          AND b.confirm_by IS NULL
+          AND NOT (w.booking_id = ANY($2::uuid[]))
+          AND NOT EXISTS (
+            SELECT 1
+            FROM bookings other
+            JOIN conferences oc ON other.conference_name = oc.name
+            WHERE other.user_id = b.user_id
+              AND other.status = 'CONFIRMED'
+              AND oc.name != $1
+              AND oc.start_time < $5
+              AND oc.end_time > $4
+          )
         ORDER BY w.position ASC
-        LIMIT 1
-      `, [conferenceName]);
+        LIMIT $3
+      `, [conferenceName, excludeBookingIds, openSeats, conference.start_time, conference.end_time]);
+
+      if (conference.auto_confirm) {
+        for (const nextBooking of waitlistResult.rows) {
+          await this.promoteFromWaitlist(client, {
+            ...nextBooking,
+            conference_name: conferenceName,
+            start_time: conference.start_time
+          }, context, { reason: 'Automatically confirmed from the waitlist' });
+        }
+        return;
+      }
 
-      if (waitlistResult.rows.length > 0) {
-        const nextBooking = waitlistResult.rows[0];
-        const confirmBy = new Date(Date.now() + 60 * 60 * 1000); // 1 hour from now
+      const confirmBy = this.getOfferDeadline(conference);
 
+      for (const nextBooking of waitlistResult.rows) {
         // Set confirmation deadline
         await client.query(`
           UPDATE bookings 
-          SET confirm_by = $1
+          SET confirm_by = $1, offer_count = offer_count + 1
           WHERE booking_id = $2
         `, [confirmBy, nextBooking.booking_id]);
 
-        console.log(`User ${nextBooking.user_id} has 1 hour to confirm booking ${nextBooking.booking_id}`);
+        const offer = await offerService.create(client, {
+          bookingId: nextBooking.booking_id,
+          conferenceName,
+          userId: nextBooking.user_id,
+          expiresAt: confirmBy
+        });
+
+        await bookingHistoryService.record(client, {
+          bookingId: nextBooking.booking_id,
+          conferenceName,
+          userId: nextBooking.user_id,
+          eventType: BOOKING_EVENT_TYPES.OFFER_MADE,
+          fromPosition: nextBooking.position,
+          toPosition: nextBooking.position,
+          confirmBy,
+          metadata: { offer_id: offer.offer_id }
+        }, context);
+
+        await this.emitEvent(client, {
+          eventType: EVENTS.OFFER_MADE,
+          userId: nextBooking.user_id,
+          bookingId: nextBooking.booking_id,
+          conferenceName,
+          payload: { offer_id: offer.offer_id, confirm_by: confirmBy },
+          notificationPayload: offer.links
+        });
       }
 
     } catch (error) {
-      console.error('Error in processNextInWaitlist:', error);
+      logger.error('Error in processNextInWaitlist', { error });
       throw error;
     }
   }
 
   /**
-   * Remove user from all waitlists except specified conference
+   * Drop a user's waitlist entries after they get a confirmed seat at excludeConference
    * @param {Object} client - Database client
    * @param {string} userId - User ID
-   * @param {string} excludeConference - Conference to exclude
+   * @param {string} excludeConference - Conference the user just got a seat at
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {string} mode - ALL, OVERLAPPING (only entries overlapping excludeConference in time)
+   *   or NONE; defaults to the user's waitlist_removal preference
+   * @returns {Array} Removed entries ({ booking_id, conference_name, position })
    */
-  async removeUserFromAllWaitlists(client, userId, excludeConference = null) {
+  async removeUserFromAllWaitlists(client, userId, excludeConference = null, context, mode = null) {
     try {
-      let query_text = `
-        DELETE FROM waitlist 
-        WHERE booking_id IN (
-          SELECT booking_id FROM bookings 
-          WHERE user_id = $1 AND status = 'WAITLISTED'
-      `;
-      let params = [userId];
-
-      if (excludeConference) {
-        query_text += ' AND conference_name != $2';
-        params.push(excludeConference);
+      if (!mode) {
+        const preferenceResult = await client.query(
+          'SELECT waitlist_removal FROM users WHERE user_id = $1',
+          [userId]
+        );
+        mode = preferenceResult.rows.length > 0 ? preferenceResult.rows[0].waitlist_removal : 'ALL';
       }
 
-      query_text += ')';
-
-      await client.query(query_text, params);
+      if (mode === 'NONE' || (mode === 'OVERLAPPING' && !excludeConference)) {
+        return [];
+      }
 
-      // Also update booking status to canceled
+      // Find the waitlisted bookings to drop, including any seat offer they hold
       let booking_query = `
-        UPDATE bookings 
-        SET status = 'CANCELED' 
-        WHERE user_id = $1 AND status = 'WAITLISTED'
+        SELECT b.booking_id, b.conference_name, b.confirm_by, c.start_time, c.end_time
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.user_id = $1 AND b.status = 'WAITLISTED'
       `;
       let booking_params = [userId];
 
       if (excludeConference) {
-        booking_query += ' AND conference_name != $2';
+        booking_query += ' AND b.conference_name != $2';
         booking_params.push(excludeConference);
       }
 
-      await client.query(booking_query, booking_params);
+      booking_query += ' FOR UPDATE OF b';
+
+      const candidateResult = await client.query(booking_query, booking_params);
+
+      let toCancel = candidateResult.rows;
+      if (mode === 'OVERLAPPING') {
+        const confirmedResult = await client.query(
+          'SELECT start_time, end_time FROM conferences WHERE name = $1',
+          [excludeConference]
+        );
+        const confirmed = confirmedResult.rows[0];
+        toCancel = toCancel.filter(row => hasTimeOverlap(
+          new Date(row.start_time),
+          new Date(row.end_time),
+          new Date(confirmed.start_time),
+          new Date(confirmed.end_time)
+        ));
+      }
+
+      if (toCancel.length === 0) {
+        return [];
+      }
+
+      const bookingIds = toCancel.map(row => row.booking_id);
+      const reason = !excludeConference
+        ? 'You confirmed a seat at another conference'
+        : mode === 'OVERLAPPING'
+          ? `You confirmed a seat at ${excludeConference}, which overlaps this conference`
+          : `You confirmed a seat at ${excludeConference}`;
+
+      // Update booking status to canceled
+      await client.query(`
+        UPDATE bookings 
+        SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = $2
+        WHERE booking_id = ANY($1::uuid[])
+      `, [bookingIds, reason]);
+
+      await offerService.close(client, bookingIds, 'DECLINED');
+
+      // Also remove them from the waitlist table
+      const removedResult = await client.query(`
+        DELETE FROM waitlist
+        WHERE booking_id = ANY($1::uuid[])
+        RETURNING booking_id, position
+      `, [bookingIds]);
+
+      const positions = new Map(removedResult.rows.map(row => [row.booking_id, row.position]));
+
+      for (const canceled of toCancel) {
+        await bookingHistoryService.record(client, {
+          bookingId: canceled.booking_id,
+          conferenceName: canceled.conference_name,
+          userId,
+          eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+          fromStatus: 'WAITLISTED',
+          toStatus: 'CANCELED',
+          fromPosition: positions.get(canceled.booking_id),
+          reason
+        }, context);
+
+        await this.emitEvent(client, {
+          eventType: EVENTS.BOOKING_CANCELED,
+          userId,
+          bookingId: canceled.booking_id,
+          conferenceName: canceled.conference_name,
+          payload: { reason }
+        });
+      }
+
+      // Close the gaps left behind and pass on any seat offers the user was holding
+      for (const canceled of toCancel) {
+        await this.reorderWaitlist(client, canceled.conference_name, context);
+
+        if (canceled.confirm_by) {
+          await this.processNextInWaitlist(client, canceled.conference_name, context);
+        }
+      }
+
+      return toCancel.map(canceled => ({
+        booking_id: canceled.booking_id,
+        conference_name: canceled.conference_name,
+        position: positions.get(canceled.booking_id)
+      }));
 
     } catch (error) {
-      console.error('Error in removeUserFromAllWaitlists:', error);
+      logger.error('Error in removeUserFromAllWaitlists', { error });
       throw error;
     }
   }
@@ -513,31 +1178,55 @@ class BookingService {
    * Reorder waitlist positions after removal
    * @param {Object} client - Database client
    * @param {string} conferenceName - Conference name
+   * @param {Object} context - { actor, source } recorded in the booking history
    */
-  async reorderWaitlist(client, conferenceName) {
+  async reorderWaitlist(client, conferenceName, context) {
     try {
-      await client.query(`
+      // Park moved rows at negative positions first so the unique position constraint holds mid-update
+      const movedResult = await client.query(`
+        WITH reordered AS (
+          SELECT w.booking_id, b.user_id, w.position AS old_position,
+                 ROW_NUMBER() OVER (ORDER BY w.position, w.created_at) AS new_position
+          FROM waitlist w
+          JOIN bookings b ON w.booking_id = b.booking_id
+          WHERE w.conference_name = $1
+        )
         UPDATE waitlist 
-        SET position = new_position
-        FROM (
-          SELECT booking_id, ROW_NUMBER() OVER (ORDER BY created_at) as new_position
-          FROM waitlist
-          WHERE conference_name = $1
-        ) as reordered
+        SET position = -reordered.new_position
+        FROM reordered
         WHERE waitlist.booking_id = reordered.booking_id
           AND waitlist.conference_name = $1
+          AND reordered.old_position <> reordered.new_position
+        RETURNING waitlist.booking_id, reordered.user_id, reordered.old_position, reordered.new_position
+      `, [conferenceName]);
+
+      await client.query(`
+        UPDATE waitlist SET position = -position
+        WHERE conference_name = $1 AND position < 0
       `, [conferenceName]);
 
+      for (const moved of movedResult.rows) {
+        await bookingHistoryService.record(client, {
+          bookingId: moved.booking_id,
+          conferenceName,
+          userId: moved.user_id,
+          eventType: BOOKING_EVENT_TYPES.POSITION_CHANGED,
+          fromPosition: moved.old_position,
+          toPosition: parseInt(moved.new_position, 10)
+        }, context);
+      }
+
     } catch (error) {
-      console.error('Error in reorderWaitlist:', error);
+      logger.error('Error in reorderWaitlist', { error });
       throw error;
     }
   }
 
   /**
    * Handle expired waitlist bookings (cron job)
+   * @param {Object} context - { actor, source } recorded in the booking history
    */
-  async handleExpiredWaitlistBookings() {
+  async handleExpiredWaitlistBookings(context = { actor: 'system', source: 'job:expired-waitlist-bookings' }) {
     const client = await getClient();
 
     try {
@@ -545,90 +1234,372 @@ class BookingService {
 
       // Find expired waitlist bookings
       const expiredResult = await client.query(`
-        SELECT booking_id, conference_name, user_id
-        FROM bookings
-        WHERE status = 'WAITLISTED'
-          AND confirm_by IS NOT NULL 
-          AND confirm_by < $1
+        SELECT b.booking_id, b.conference_name
+        FROM bookings b
+        WHERE b.status = 'WAITLISTED'
+          AND b.confirm_by IS NOT NULL 
+          AND b.confirm_by < $1
+        ORDER BY b.confirm_by ASC
       `, [new Date()]);
 
       for (const expiredBooking of expiredResult.rows) {
-        console.log(`Processing expired booking: ${expiredBooking.booking_id}`);
-
-        // Move to end of waitlist
-        const maxPositionResult = await client.query(`
-          SELECT COALESCE(MAX(position), 0) as max_position
-          FROM waitlist
-          WHERE conference_name = $1
-        `, [expiredBooking.conference_name]);
-
-        const newPosition = maxPositionResult.rows[0].max_position + 1;
+        logger.debug('Processing expired booking', { booking_id: expiredBooking.booking_id });
 
-        // Update waitlist position
-        await client.query(`
-          UPDATE waitlist 
-          SET position = $1
-          WHERE booking_id = $2
-        `, [newPosition, expiredBooking.booking_id]);
+        const conference = await this.lockConference(client, expiredBooking.conference_name);
 
-        // Clear confirmation deadline
-        await client.query(`
-          UPDATE bookings 
-          SET confirm_by = NULL
+        // An earlier booking in this run may already have confirmed or canceled this one
+        const currentResult = await client.query(`
+          SELECT booking_id, conference_name, user_id, status, confirm_by, offer_count, kept_position
+          FROM bookings
           WHERE booking_id = $1
+          FOR UPDATE
         `, [expiredBooking.booking_id]);
+        const current = currentResult.rows[0];
+        if (!current || current.status !== 'WAITLISTED' || !current.confirm_by) {
+          continue;
+        }
 
-        // Process next person in waitlist
-        await this.processNextInWaitlist(client, expiredBooking.conference_name);
+        await this.releaseOffer(client, conference, current, 'EXPIRED', context);
       }
 
       await client.query('COMMIT');
-      console.log(`Processed ${expiredResult.rows.length} expired waitlist bookings`);
+      logger.info('Processed expired waitlist bookings', { count: expiredResult.rows.length });
 
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in handleExpiredWaitlistBookings:', error);
+      logger.error('Error in handleExpiredWaitlistBookings', { error });
       throw error;
     } finally {
       client.release();
     }
   }
 
+  /**
+   * End a waitlisted booking's seat offer without a confirmation and pass the
+   * seat on. What happens to the booking follows its conference's offer_expiry_action:
+   * - MOVE_TO_BACK: move to the end of the waitlist
+   * - DROP: cancel the booking
+   * - KEEP_POSITION_ONCE: keep the place in line the first time, move to the back after that
+   * Bookings that have received max_offers_per_user offers are canceled whatever the action.
+   * @param {Object} client - Database client holding the conference and booking locks
+   * @param {Object} conference - Locked conference row
+   * @param {Object} booking - { booking_id, conference_name, user_id, confirm_by, offer_count, kept_position }
+   * @param {string} outcome - EXPIRED or DECLINED
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} { status, position } of the booking afterwards
+   */
+  async releaseOffer(client, conference, booking, outcome, context) {
+    const declined = outcome === 'DECLINED';
+    const offerIds = await offerService.close(client, [booking.booking_id], outcome);
+    const baseReason = declined ? 'Seat offer was declined' : 'Seat offer was not confirmed in time';
+    const metadata = { offer_id: offerIds[0] || null, expired_confirm_by: booking.confirm_by };
+
+    const positionResult = await client.query(
+      'SELECT position FROM waitlist WHERE booking_id = $1',
+      [booking.booking_id]
+    );
+    const fromPosition = positionResult.rows.length > 0 ? positionResult.rows[0].position : null;
+
+    const offersUsed = conference.max_offers_per_user
+      && booking.offer_count >= conference.max_offers_per_user;
+
+    if (offersUsed || conference.offer_expiry_action === 'DROP') {
+      const reason = offersUsed
+        ? `${baseReason} after ${booking.offer_count} offers`
+        : baseReason;
+
+      await client.query(`
+        UPDATE bookings 
+        SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = $2
+        WHERE booking_id = $1
+      `, [booking.booking_id, reason]);
+
+      await client.query('DELETE FROM waitlist WHERE booking_id = $1', [booking.booking_id]);
+
+      await bookingHistoryService.record(client, {
+        bookingId: booking.booking_id,
+        conferenceName: booking.conference_name,
+        userId: booking.user_id,
+        eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+        fromStatus: 'WAITLISTED',
+        toStatus: 'CANCELED',
+        fromPosition,
+        reason,
+        metadata
+      }, context);
+
+      await this.reorderWaitlist(client, booking.conference_name, context);
+
+      await this.emitEvent(client, {
+        eventType: EVENTS.BOOKING_CANCELED,
+        userId: booking.user_id,
+        bookingId: booking.booking_id,
+        conferenceName: booking.conference_name,
+        payload: { reason }
+      });
+
+      await this.processNextInWaitlist(client, booking.conference_name, context);
+      return { status: 'CANCELED', position: null };
+    }
+
+    const keepPosition = conference.offer_expiry_action === 'KEEP_POSITION_ONCE'
+      && !booking.kept_position;
+
+    if (!keepPosition) {
+      // Move to end of waitlist
+      const maxPositionResult = await client.query(`
+        SELECT COALESCE(MAX(position), 0) as max_position
+        FROM waitlist
+        WHERE conference_name = $1
+      `, [booking.conference_name]);
+
+      await client.query(`
+        UPDATE waitlist 
+        SET position = $1
+        WHERE booking_id = $2
+      `, [maxPositionResult.rows[0].max_position + 1, booking.booking_id]);
+    }
+
+    // Clear confirmation deadline
+    await client.query(`
+      UPDATE bookings 
+      SET confirm_by = NULL, kept_position = kept_position OR $2
+      WHERE booking_id = $1
+    `, [booking.booking_id, keepPosition]);
+
+    // Close the gap left at the front of the line
+    await this.reorderWaitlist(client, booking.conference_name, context);
+
+    const newPositionResult = await client.query(
+      'SELECT position FROM waitlist WHERE booking_id = $1',
+      [booking.booking_id]
+    );
+    const newPosition = newPositionResult.rows.length > 0 ? newPositionResult.rows[0].position : null;
+
+    await bookingHistoryService.record(client, {
+      bookingId: booking.booking_id,
+      conferenceName: booking.conference_name,
+      userId: booking.user_id,
+      eventType: declined ? BOOKING_EVENT_TYPES.OFFER_DECLINED : BOOKING_EVENT_TYPES.OFFER_EXPIRED,
+      fromPosition,
+      toPosition: newPosition,
+      reason: keepPosition ? `${baseReason}; place in line kept once` : baseReason,
+      metadata
+    }, context);
+
+    // The user declined themselves, so only an expiry needs telling
+    if (!declined) {
+      await this.emitEvent(client, {
+        eventType: EVENTS.OFFER_EXPIRED,
+        userId: booking.user_id,
+        bookingId: booking.booking_id,
+        conferenceName: booking.conference_name,
+        payload: { position: newPosition }
+      });
+    }
+
+    // Process next person in waitlist; the seat is not offered straight back to a
+    // user who declined it or kept their place
+    await this.processNextInWaitlist(client, booking.conference_name, context, {
+      excludeBookingIds: declined || keepPosition ? [booking.booking_id] : []
+    });
+
+    return { status: 'WAITLISTED', position: newPosition };
+  }
+
+  /**
+   * Accept a seat offer, confirming its booking
+   * @param {string} offerId - Offer ID
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @param {Object} options - { waitlistRemoval } passed to confirmWaitlistBooking
+   * @returns {Object} Confirmation result
+   */
+  async acceptOffer(offerId, context, options = {}) {
+    const offer = await offerService.getOffer(offerId);
+    if (!offer) {
+      return {
+        success: false,
+        error: 'Offer not found'
+      };
+    }
+
+    if (offer.status !== 'OFFERED') {
+      return {
+        success: false,
+        error: 'Offer is no longer open',
+        offer_status: offer.status
+      };
+    }
+
+    const result = await this.confirmWaitlistBooking(offer.booking_id, context, { ...options, offerId });
+    return result.success ? { ...result, offer_id: offerId } : result;
+  }
+
+  /**
+   * Decline a seat offer. The seat goes straight to the next person in line and
+   * the booking is handled as if the offer had expired.
+   * @param {string} offerId - Offer ID
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Result with the booking's status and waitlist position afterwards
+   */
+  async declineOffer(offerId, context) {
+    const offer = await offerService.getOffer(offerId);
+    if (!offer) {
+      return {
+        success: false,
+        error: 'Offer not found'
+      };
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const conference = await this.lockConference(client, offer.conference_name);
+
+      const bookingResult = await client.query(`
+        SELECT b.booking_id, b.conference_name, b.user_id, b.confirm_by, b.offer_count, b.kept_position,
+               o.status AS offer_status, o.expires_at
+        FROM waitlist_offers o
+        JOIN bookings b ON o.booking_id = b.booking_id
+        WHERE o.offer_id = $1
+        FOR UPDATE OF o, b
+      `, [offerId]);
+
+      const booking = bookingResult.rows[0];
+
+      if (!booking) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Offer not found'
+        };
+      }
+
+      if (booking.offer_status !== 'OFFERED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Offer is no longer open',
+          offer_status: booking.offer_status
+        };
+      }
+
+      if (new Date(booking.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Offer has expired'
+        };
+      }
+
+      const outcome = await this.releaseOffer(client, conference, booking, 'DECLINED', context);
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Offer declined',
+        offer_id: offerId,
+        booking_id: booking.booking_id,
+        status: outcome.status,
+        position: outcome.position
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in declineOffer', { error });
+      return {
+        success: false,
+        error: 'Failed to decline offer',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Auto-cancel waitlisted bookings for started conferences (cron job)
+   * @param {Object} context - { actor, source } recorded in the booking history
    */
-  async autoCancelForStartedConferences() {
+  async autoCancelForStartedConferences(context = { actor: 'system', source: 'job:auto-cancel-started-conferences' }) {
     const client = await getClient();
 
     try {
       await client.query('BEGIN');
 
-      // Get started conferences
-      const startedConferences = await conferenceService.getStartedConferences();
+      // Lock the started conferences that still have a waitlist, in name order, so a
+      // confirmation or offer acceptance on them waits until this run has finished
+      const startedResult = await client.query(`
+        SELECT c.name
+        FROM conferences c
+        WHERE c.start_time <= $1
+          AND EXISTS (
+            SELECT 1 FROM bookings b
+            WHERE b.conference_name = c.name AND b.status = 'WAITLISTED'
+          )
+        ORDER BY c.name
+        FOR UPDATE OF c
+      `, [new Date()]);
+
+      const reason = 'The conference started before a seat became available';
 
-      for (const conference of startedConferences) {
+      for (const conference of startedResult.rows) {
         // Cancel all waitlisted bookings for this conference
         const cancelResult = await client.query(`
           UPDATE bookings 
-          SET status = 'CANCELED'
+          SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = $2
           WHERE conference_name = $1 AND status = 'WAITLISTED'
           RETURNING booking_id, user_id
-        `, [conference.name]);
+        `, [conference.name, reason]);
+
+        await offerService.close(client, cancelResult.rows.map(row => row.booking_id), 'EXPIRED');
 
         // Remove from waitlist table
-        await client.query(`
+        const removedResult = await client.query(`
           DELETE FROM waitlist 
           WHERE conference_name = $1
+          RETURNING booking_id, position
         `, [conference.name]);
 
-        console.log(`Auto-canceled ${cancelResult.rows.length} waitlisted bookings for started conference: ${conference.name}`);
+        const positions = new Map(removedResult.rows.map(row => [row.booking_id, row.position]));
+
+        for (const canceled of cancelResult.rows) {
+          await bookingHistoryService.record(client, {
+            bookingId: canceled.booking_id,
+            conferenceName: conference.name,
+            userId: canceled.user_id,
+            eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+            fromStatus: 'WAITLISTED',
+            toStatus: 'CANCELED',
+            fromPosition: positions.get(canceled.booking_id),
+            reason
+          }, context);
+
+          await this.emitEvent(client, {
+            eventType: EVENTS.BOOKING_CANCELED,
+            userId: canceled.user_id,
+            bookingId: canceled.booking_id,
+            conferenceName: conference.name,
+            payload: { reason }
+          });
+        }
+
+        if (cancelResult.rows.length > 0) {
+          logger.info('Auto-canceled waitlisted bookings for started conference', {
+            conference_name: conference.name,
+            count: cancelResult.rows.length
+          });
+        }
       }
 
       await client.query('COMMIT');
 
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in autoCancelForStartedConferences:', error);
+      logger.error('Error in autoCancelForStartedConferences', { error });
       throw error;
     } finally {
       client.release();
@@ -638,12 +1609,21 @@ class BookingService {
   /**
    * Get all bookings for a conference
    * @param {string} conferenceName - Conference name
-   * @returns {Object} List of bookings
+   * @param {Object} filters - { status }
+   * @param {Object} page - { limit, cursor, sort, order }
+   * @returns {Object} Page of bookings with pagination details
    */
-  async getConferenceBookings(conferenceName) {
+  async getConferenceBookings(conferenceName, { status } = {}, page = {}) {
     try {
-      const result = await query(`
-        SELECT 
+      const where = ['b.conference_name = $1'];
+      const params = [conferenceName];
+      if (status) {
+        params.push(status);
+        where.push(`b.status = $${params.length}`);
+      }
+
+      const result = await paginatedQuery({
+        select: `
           b.booking_id,
           b.user_id,
           b.status,
@@ -651,26 +1631,32 @@ class BookingService {
           b.updated_at,
           b.confirm_by,
           w.position as waitlist_position
-        FROM bookings b
-        LEFT JOIN waitlist w ON b.booking_id = w.booking_id
-        WHERE b.conference_name = $1
-        ORDER BY 
-          CASE b.status 
-            WHEN 'CONFIRMED' THEN 1 
-            WHEN 'WAITLISTED' THEN 2 
-            WHEN 'CANCELED' THEN 3 
-          END,
-          w.position ASC,
-          b.created_at ASC
-      `, [conferenceName]);
+        `,
+        from: `
+          bookings b
+          LEFT JOIN waitlist w ON b.booking_id = w.booking_id
+        `,
+        where,
+        params,
+        sortFields: {
+          created_at: { column: 'b.created_at', type: 'timestamptz' },
+          updated_at: { column: 'b.updated_at', type: 'timestamptz' }
+        },
+        defaultSort: 'created_at',
+        defaultOrder: 'asc',
+        key: { column: 'b.booking_id', type: 'uuid' }
+      }, page);
+      if (result.error) {
+        return {
+          success: false,
+          error: result.error
+        };
+      }
 
-      return {
-        success: true,
-        data: result.rows
-      };
+      return toPageResponse(result);
 
     } catch (error) {
-      console.error('Error in getConferenceBookings:', error);
+      logger.error('Error in getConferenceBookings', { error });
       return {
         success: false,
         error: 'Failed to get conference bookings'
@@ -705,7 +1691,7 @@ class BookingService {
       };
 
     } catch (error) {
-      console.error('Error in getConferenceWaitlist:', error);
+      logger.error('Error in getConferenceWaitlist', { error });
       return {
         success: false,
         error: 'Failed to get conference waitlist'
@@ -713,6 +1699,59 @@ class BookingService {
     }
   }
 
+  /**
+   * Get a conference's open seat offers and how many free seats are not yet offered
+   * @param {string} conferenceName - Conference name
+   * @returns {Object} Result with the offers and seat counts
+   */
+  async getOutstandingOffers(conferenceName) {
+    try {
+      const conferenceResult = await query(
+        'SELECT available_slots FROM conferences WHERE name = $1',
+        [conferenceName]
+      );
+
+      if (conferenceResult.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
+      }
+
+      const result = await query(`
+        SELECT 
+          w.position,
+          b.booking_id,
+          b.user_id,
+          b.confirm_by,
+          b.offer_count
+        FROM bookings b
+        LEFT JOIN waitlist w ON b.booking_id = w.booking_id
+        WHERE b.conference_name = $1
+          AND b.status = 'WAITLISTED'
+          AND b.confirm_by > CURRENT_TIMESTAMP
+        ORDER BY w.position ASC
+      `, [conferenceName]);
+
+      const availableSlots = conferenceResult.rows[0].available_slots;
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length,
+        available_slots: availableSlots,
+        unoffered_slots: Math.max(0, availableSlots - result.rows.length)
+      };
+
+    } catch (error) {
+      logger.error('Error in getOutstandingOffers', { error });
+      return {
+        success: false,
+        error: 'Failed to get outstanding offers'
+      };
+    }
+  }
+
   /**
    * Get booking statistics
    * @returns {Object} Overall booking statistics
@@ -748,7 +1787,7 @@ class BookingService {
       };
 
     } catch (error) {
-      console.error('Error in getBookingStatistics:', error);
+      logger.error('Error in getBookingStatistics', { error });
       return {
         success: false,
         error: 'Failed to get booking statistics'
@@ -0,0 +1,324 @@
+const { validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { conferenceValidation, userValidation, businessValidation } = require('../utils/validators');
+const { parseCsv, stringifyCsv } = require('../utils/csv');
+const webhookService = require('./webhookService');
+const topicService = require('./topicService');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Export columns; imports read the same columns and ignore the ones they do not set
+const CONFERENCE_COLUMNS = [
+  'name', 'location', 'topics', 'start_time', 'end_time',
+  'total_slots', 'available_slots', 'organizer_id', 'status'
+];
+const USER_COLUMNS = ['user_id', 'interested_topics', 'role', 'email', 'created_at'];
+
+/**
+ * Turn an import payload into row objects
+ * @param {string|Array|Object} payload - CSV text, a JSON array of rows, or { rows: [...] }
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { rows } or { error }
+ */
+const parseImport = (payload, format) => {
+  let rows;
+
+  if (format === 'csv') {
+    if (typeof payload !== 'string') {
+      return { error: 'CSV imports must be sent as text/csv' };
+    }
+    try {
+      rows = parseCsv(payload);
+    } catch (error) {
+      return { error: `Invalid CSV: ${error.message}` };
+    }
+  } else {
+    rows = Array.isArray(payload) ? payload : payload && payload.rows;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return { error: 'JSON imports must be an array of row objects (or { "rows": [...] })' };
+    }
+  }
+
+  if (rows.length === 0) {
+    return { error: 'Import contains no rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Import is limited to ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  return { rows };
+};
+
+/**
+ * Run a row through the same express-validator chains as the single-record routes
+ * @param {Object} row - Row object (copied, then sanitized in place by the chains)
+ * @param {Array} chains - Validation chains
+ * @returns {Object} { data, errors } with the sanitized row and field errors
+ */
+const validateRow = async (row, chains) => {
+  const req = { body: { ...row } };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { data: req.body, errors };
+};
+
+// JSON rows may carry topic lists as arrays; the validators expect comma-separated strings
+const joinTopics = (value) => (Array.isArray(value) ? value.join(',') : value);
+
+/**
+ * Apply the validators' topic count rules to a normalized topic list, which can
+ * differ from the list the validators saw once aliases are resolved
+ * @param {string} field - Row field
+ * @param {Array} topics - Normalized topics
+ * @param {Object} rules - { max, emptyMessage, maxMessage }
+ * @returns {Array} Field errors
+ */
+const checkNormalizedTopics = (field, topics, { max, emptyMessage, maxMessage }) => {
+  if (topics.length === 0) {
+    return [{ field, message: emptyMessage }];
+  }
+  return topics.length > max ? [{ field, message: maxMessage }] : [];
+};
+
+class BulkService {
+
+  /**
+   * Import conferences all-or-nothing. Every row is validated and inserted inside one
+   * transaction; if any row fails (or on a dry run) the transaction is rolled back
+   * and the per-row report is returned.
+   * @param {string|Array|Object} payload - Rows as CSV text or JSON
+   * @param {Object} options - { format, dryRun, organizerId } where organizerId, when set,
+   *   is used for every row instead of the row's organizer_id
+   * @returns {Object} Import report
+   */
+  async importConferences(payload, { format = 'json', dryRun = false, organizerId = null } = {}) {
+    const parsed = parseImport(payload, format);
+    if (parsed.error) {
+      return {
+        success: false,
+        error: parsed.error
+      };
+    }
+
+    return this.runImport(parsed.rows, { dryRun, key: 'name' }, async (client, row) => {
+      const { data, errors } = await validateRow({ ...row, topics: joinTopics(row.topics) }, conferenceValidation);
+      if (errors.length > 0) {
+        return { errors };
+      }
+
+      if (!await businessValidation.isUniqueConferenceName(data.name, client)) {
+        return { errors: [{ field: 'name', message: 'Conference name already exists' }] };
+      }
+
+      const topicsArray = await topicService.normalizeTopics(data.topics.split(','), client);
+      const topicErrors = checkNormalizedTopics('topics', topicsArray, {
+        max: 10,
+        emptyMessage: 'Topics must be comma-separated alphanumeric strings (max 10 topics)',
+        maxMessage: 'Maximum 10 topics allowed for conferences'
+      });
+      if (topicErrors.length > 0) {
+        return { errors: topicErrors };
+      }
+
+      const result = await client.query(`
+        INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots, organizer_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+        RETURNING name, location, topics, start_time, end_time, total_slots, available_slots, organizer_id, created_at
+      `, [
+        data.name,
+        data.location,
+        topicsArray,
+        data.start_time,
+        data.end_time,
+        parseInt(data.total_slots, 10),
+        organizerId || data.organizer_id || null
+      ]);
+
+      await webhookService.publish(client, 'conference.created', result.rows[0]);
+      return { key: data.name };
+    });
+  }
+
+  /**
+   * Import users all-or-nothing, with the same report and dry-run behaviour as importConferences
+   * @param {string|Array|Object} payload - Rows as CSV text or JSON
+   * @param {Object} options - { format, dryRun }
+   * @returns {Object} Import report
+   */
+  async importUsers(payload, { format = 'json', dryRun = false } = {}) {
+    const parsed = parseImport(payload, format);
+    if (parsed.error) {
+      return {
+        success: false,
+        error: parsed.error
+      };
+    }
+
+    return this.runImport(parsed.rows, { dryRun, key: 'user_id' }, async (client, row) => {
+      const { data, errors } = await validateRow(
+        { ...row, interested_topics: joinTopics(row.interested_topics) },
+        userValidation
+      );
+      if (errors.length > 0) {
+        return { errors };
+      }
+
+      if (!await businessValidation.isUniqueUserId(data.user_id, client)) {
+        return { errors: [{ field: 'user_id', message: 'User ID already exists' }] };
+      }
+
+      const topicsArray = await topicService.normalizeTopics(data.interested_topics.split(','), client);
+      const topicErrors = checkNormalizedTopics('interested_topics', topicsArray, {
+        max: 50,
+        emptyMessage: 'Interested topics must be comma-separated alphanumeric strings',
+        maxMessage: 'Maximum 50 interested topics allowed'
+      });
+      if (topicErrors.length > 0) {
+        return { errors: topicErrors };
+      }
+
+      await client.query(`
+        INSERT INTO users (user_id, interested_topics, role, email)
+        VALUES ($1, $2, $3, $4)
+      `, [data.user_id, topicsArray, data.role || 'attendee', data.email || null]);
+
+      return { key: data.user_id };
+    });
+  }
+
+  /**
+   * Apply rows in one transaction, each under a savepoint so a failing row is
+   * reported without hiding errors in the rows after it
+   * @param {Array} rows - Parsed rows
+   * @param {Object} options - { dryRun, key } where key is the field that must be unique in the file
+   * @param {Function} applyRow - async (client, row) => { key } or { errors }
+   * @returns {Object} Import report
+   */
+  async runImport(rows, { dryRun, key }, applyRow) {
+    const client = await getClient();
+    const errors = [];
+    const seen = new Set();
+    let applied = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      for (let i = 0; i < rows.length; i++) {
+        const rowNumber = i + 1;
+        const value = typeof rows[i][key] === 'string' ? rows[i][key].trim() : rows[i][key];
+
+        if (value !== undefined && seen.has(value)) {
+          errors.push({ row: rowNumber, field: key, message: `Duplicate ${key} in import` });
+          continue;
+        }
+        seen.add(value);
+
+        await client.query('SAVEPOINT import_row');
+        try {
+          const result = await applyRow(client, rows[i]);
+          if (result.errors) {
+            result.errors.forEach(error => errors.push({ row: rowNumber, ...error }));
+            await client.query('ROLLBACK TO SAVEPOINT import_row');
+          } else {
+            applied++;
+            await client.query('RELEASE SAVEPOINT import_row');
+          }
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+          errors.push({ row: rowNumber, field: null, message: error.detail || error.message });
+        }
+      }
+
+      const commit = !dryRun && errors.length === 0;
+      await client.query(commit ? 'COMMIT' : 'ROLLBACK');
+
+      return {
+        success: errors.length === 0,
+        dry_run: dryRun,
+        applied: commit,
+        total_rows: rows.length,
+        valid_rows: applied,
+        ...(errors.length > 0 && { error: 'Import has invalid rows; nothing was imported' }),
+        errors
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in runImport', { error });
+      return {
+        success: false,
+        error: 'Failed to import rows',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Export conferences as CSV or JSON
+   * @param {Object} options - { format, organizerId } to limit the export to one organizer
+   * @returns {Object} Result with the exported data
+   */
+  async exportConferences({ format = 'json', organizerId = null } = {}) {
+    try {
+      const result = await query(`
+        SELECT ${CONFERENCE_COLUMNS.join(', ')}
+        FROM conferences
+        WHERE ($1::text IS NULL OR organizer_id = $1)
+        ORDER BY start_time ASC
+      `, [organizerId]);
+
+      return {
+        success: true,
+        data: format === 'csv'
+          ? stringifyCsv(result.rows.map(row => ({ ...row, topics: row.topics.join(',') })), CONFERENCE_COLUMNS)
+          : result.rows
+      };
+    } catch (error) {
+      logger.error('Error in exportConferences', { error });
+      return {
+        success: false,
+        error: 'Failed to export conferences'
+      };
+    }
+  }
+
+  /**
+   * Export users as CSV or JSON
+   * @param {Object} options - { format }
+   * @returns {Object} Result with the exported data
+   */
+  async exportUsers({ format = 'json' } = {}) {
+    try {
+      const result = await query(`
+        SELECT ${USER_COLUMNS.join(', ')}
+        FROM users
+        WHERE erased_at IS NULL
+        ORDER BY created_at ASC
+      `);
+
+      return {
+        success: true,
+        data: format === 'csv'
+          ? stringifyCsv(result.rows.map(row => ({ ...row, interested_topics: row.interested_topics.join(',') })), USER_COLUMNS)
+          : result.rows
+      };
+    } catch (error) {
+      logger.error('Error in exportUsers', { error });
+      return {
+        success: false,
+        error: 'Failed to export users'
+      };
+    }
+  }
+}
+
+module.exports = new BulkService();
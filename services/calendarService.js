@@ -0,0 +1,166 @@
+const { query } = require('../config/database');
+const conferenceService = require('./conferenceService');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+// Upper bound on events in the public conference feed
+const MAX_FEED_EVENTS = 1000;
+
+/**
+ * Describe a conference's topics for an event description
+ * @param {Array} topics - Conference topics
+ * @returns {string} Description line, empty when there are no topics
+ */
+const describeTopics = (topics) => (topics && topics.length > 0 ? `Topics: ${topics.join(', ')}` : '');
+
+class CalendarService {
+
+  /**
+   * Build an iCalendar document of a user's confirmed bookings.
+   * Canceled bookings, and bookings the user transferred to someone else, are
+   * kept as CANCELLED events so calendar clients remove them.
+   * @param {string} userId - User ID
+   * @returns {Object} Result with the calendar text
+   */
+  async getUserBookingsCalendar(userId) {
+    try {
+      const userResult = await query('SELECT user_id FROM users WHERE user_id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+
+      // The user's own bookings, plus the last transfer away of each booking they no longer hold
+      const result = await query(`
+        SELECT
+          b.booking_id,
+          b.status,
+          b.updated_at,
+          c.name,
+          c.location,
+          c.topics,
+          c.start_time,
+          c.end_time,
+          c.status as conference_status,
+          c.calendar_sequence
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.user_id = $1 AND b.status IN ('CONFIRMED', 'CANCELED')
+        UNION ALL
+        SELECT
+          t.booking_id,
+          'TRANSFERRED' as status,
+          t.created_at as updated_at,
+          c.name,
+          c.location,
+          c.topics,
+          c.start_time,
+          c.end_time,
+          c.status as conference_status,
+          c.calendar_sequence
+        FROM (
+          SELECT DISTINCT ON (e.booking_id) e.booking_id, e.created_at
+          FROM booking_events e
+          JOIN bookings b ON e.booking_id = b.booking_id
+          WHERE e.event_type = 'TRANSFERRED'
+            AND e.metadata->>'from_user_id' = $1
+            AND b.user_id <> $1
+          ORDER BY e.booking_id, e.created_at DESC
+        ) t
+        JOIN bookings b ON t.booking_id = b.booking_id
+        JOIN conferences c ON b.conference_name = c.name
+        ORDER BY start_time ASC
+      `, [userId]);
+
+      const events = result.rows.map(booking => {
+        const canceled = booking.status !== 'CONFIRMED';
+        return {
+          uid: booking.booking_id,
+          start: booking.start_time,
+          end: booking.end_time,
+          summary: booking.name,
+          location: booking.location,
+          description: [
+            describeTopics(booking.topics),
+            `Booking ID: ${booking.booking_id}`,
+            booking.status === 'TRANSFERRED' ? 'This booking has been transferred to another user.' : '',
+            booking.conference_status === 'CANCELED' ? 'This conference has been canceled.' : ''
+          ].filter(Boolean).join('\n'),
+          categories: booking.topics,
+          status: canceled ? 'CANCELLED' : 'CONFIRMED',
+          // Canceling or transferring a booking is one more revision on top of the conference's own changes
+          sequence: booking.calendar_sequence + (canceled ? 1 : 0),
+          lastModified: booking.updated_at
+        };
+      });
+
+      return {
+        success: true,
+        data: buildCalendar({ name: `Conference bookings for ${userId}`, events })
+      };
+    } catch (error) {
+      logger.error('Error in getUserBookingsCalendar', { error });
+      return {
+        success: false,
+        error: 'Failed to build bookings calendar'
+      };
+    }
+  }
+
+  /**
+   * Build the public iCalendar feed of upcoming conferences.
+   * Accepts the same criteria as searchConferences; canceled conferences are
+   * included as CANCELLED events so subscribers drop them.
+   * @param {Object} searchCriteria - { location, topic, start_date, end_date, available_only }
+   * @returns {Object} Result with the calendar text
+   */
+  async getConferencesCalendar(searchCriteria = {}) {
+    try {
+      const { whereConditions, params } = conferenceService.buildSearchConditions(
+        searchCriteria,
+        { includeCanceled: true }
+      );
+      params.push(MAX_FEED_EVENTS);
+
+      const result = await query(`
+        SELECT name, location, topics, start_time, end_time, available_slots,
+               status, calendar_sequence, updated_at
+        FROM conferences
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY start_time ASC
+        LIMIT $${params.length}
+      `, params);
+
+      const events = result.rows.map(conference => ({
+        uid: `conference-${Buffer.from(conference.name).toString('hex')}`,
+        start: conference.start_time,
+        end: conference.end_time,
+        summary: conference.name,
+        location: conference.location,
+        description: [
+          describeTopics(conference.topics),
+          conference.status === 'CANCELED' ? 'This conference has been canceled.' : `Available slots: ${conference.available_slots}`
+        ].filter(Boolean).join('\n'),
+        categories: conference.topics,
+        status: conference.status === 'CANCELED' ? 'CANCELLED' : 'CONFIRMED',
+        sequence: conference.calendar_sequence,
+        lastModified: conference.updated_at
+      }));
+
+      return {
+        success: true,
+        data: buildCalendar({ name: 'Conferences', events })
+      };
+    } catch (error) {
+      logger.error('Error in getConferencesCalendar', { error });
+      return {
+        success: false,
+        error: 'Failed to build conference calendar'
+      };
+    }
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { query, getClient } = require('../config/database');
+const authService = require('./authService');
+const bookingHistoryService = require('./bookingHistoryService');
+const { safeEqual } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+const { BOOKING_EVENT_TYPES } = bookingHistoryService;
+
+// Check-in opens this long before a conference starts and closes when it ends
+const DEFAULT_CHECKIN_OPENS_MINUTES = 60;
+
+// Prefix mixed into the signature so a check-in token can never pass as an access token
+const TOKEN_PURPOSE = 'checkin';
+
+class CheckinService {
+
+  /**
+   * Sign a check-in token payload
+   * @param {string} encodedPayload - Base64url encoded payload
+   * @returns {string} Base64url encoded signature
+   */
+  sign(encodedPayload) {
+    return crypto
+      .createHmac('sha256', authService.getSecret())
+      .update(`${TOKEN_PURPOSE}.${encodedPayload}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Verify a check-in token
+   * @param {string} token - Token scanned at the door
+   * @returns {Object|null} { bid, conf, uid, exp } or null if the token is malformed or forged
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+      return null;
+    }
+
+    try {
+      const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return decoded.bid && decoded.conf && decoded.exp ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the check-in window for a conference
+   * @param {Object} conference - { start_time, end_time }
+   * @returns {Object} { opens_at, closes_at }
+   */
+  getCheckinWindow(conference) {
+    const opensMinutes = parseInt(process.env.CHECKIN_OPENS_MINUTES_BEFORE) || DEFAULT_CHECKIN_OPENS_MINUTES;
+    return {
+      opens_at: new Date(new Date(conference.start_time).getTime() - opensMinutes * 60 * 1000),
+      closes_at: new Date(conference.end_time)
+    };
+  }
+
+  /**
+   * Issue the check-in token for a confirmed booking. The token is the content
+   * of the attendee's QR code; it expires when the conference ends and is only
+   * accepted inside the conference's check-in window, while the booking is
+   * confirmed and still belongs to the same user (a transferred booking needs a new token).
+   * @param {string} bookingId - Booking ID
+   * @returns {Object} Result with the token and check-in window
+   */
+  async issueToken(bookingId) {
+    try {
+      const result = await query(`
+        SELECT b.booking_id, b.conference_name, b.user_id, b.status, c.start_time, c.end_time
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.booking_id = $1
+      `, [bookingId]);
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Booking not found'
+        };
+      }
+
+      const booking = result.rows[0];
+      if (booking.status !== 'CONFIRMED') {
+        return {
+          success: false,
+          error: 'Only confirmed bookings can be checked in'
+        };
+      }
+
+      const payload = Buffer.from(JSON.stringify({
+        bid: booking.booking_id,
+        conf: booking.conference_name,
+        uid: booking.user_id,
+        exp: Math.floor(new Date(booking.end_time).getTime() / 1000)
+      })).toString('base64url');
+
+      return {
+        success: true,
+        data: {
+          booking_id: booking.booking_id,
+          conference_name: booking.conference_name,
+          token: `${payload}.${this.sign(payload)}`,
+          ...this.getCheckinWindow(booking)
+        }
+      };
+    } catch (error) {
+      if (error.code === '22P02') {
+        return {
+          success: false,
+          error: 'Booking not found'
+        };
+      }
+      logger.error('Error in issueToken', { error });
+      return {
+        success: false,
+        error: 'Failed to issue check-in token'
+      };
+    }
+  }
+
+  /**
+   * Check an attendee in at the door
+   * @param {string} conferenceName - Conference the door belongs to
+   * @param {string} token - Scanned check-in token
+   * @param {Object} context - { actor, source }; the actor is recorded as checked_in_by
+   * @returns {Object} Result with the checked-in booking
+   */
+  async checkIn(conferenceName, token, context) {
+    const decoded = this.verifyToken(token);
+    if (!decoded) {
+      return {
+        success: false,
+        error: 'Invalid check-in token'
+      };
+    }
+
+    if (decoded.exp * 1000 <= Date.now()) {
+      return {
+        success: false,
+        error: 'Check-in token has expired'
+      };
+    }
+
+    if (decoded.conf !== conferenceName) {
+      return {
+        success: false,
+        error: 'Check-in token is for a different conference'
+      };
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const bookingResult = await client.query(`
+        SELECT b.booking_id, b.user_id, b.status, b.attendance, b.checked_in_at,
+               c.start_time, c.end_time, c.status as conference_status
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.booking_id = $1 AND b.conference_name = $2
+        FOR UPDATE OF b
+      `, [decoded.bid, conferenceName]);
+
+      if (bookingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Booking not found'
+        };
+      }
+
+      const booking = bookingResult.rows[0];
+
+      if (booking.conference_status === 'CANCELED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Conference has been canceled'
+        };
+      }
+
+      if (booking.status !== 'CONFIRMED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Booking is not confirmed'
+        };
+      }
+
+      if (booking.user_id !== decoded.uid) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Check-in token was issued to a previous holder of this booking'
+        };
+      }
+
+      if (booking.attendance === 'ATTENDED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Attendee is already checked in',
+          checked_in_at: booking.checked_in_at
+        };
+      }
+
+      const { opens_at, closes_at } = this.getCheckinWindow(booking);
+      const now = new Date();
+      if (now < opens_at) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Check-in has not opened yet',
+          opens_at
+        };
+      }
+      if (now > closes_at) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Check-in has closed',
+          closes_at
+        };
+      }
+
+      const updated = await client.query(`
+        UPDATE bookings
+        SET attendance = 'ATTENDED', checked_in_at = CURRENT_TIMESTAMP, checked_in_by = $2
+        WHERE booking_id = $1
+        RETURNING booking_id, user_id, conference_name, attendance, checked_in_at, checked_in_by
+      `, [booking.booking_id, context.actor]);
+
+      await bookingHistoryService.record(client, {
+        bookingId: booking.booking_id,
+        conferenceName,
+        userId: booking.user_id,
+        eventType: BOOKING_EVENT_TYPES.ATTENDANCE_RECORDED,
+        metadata: { attendance: 'ATTENDED' }
+      }, context);
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Checked in successfully',
+        data: updated.rows[0]
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in checkIn', { error });
+      return {
+        success: false,
+        error: 'Failed to check in',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark confirmed bookings that never checked in as NO_SHOW once their conference has ended (cron job)
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {number} Number of bookings marked
+   */
+  async markNoShows(context = { actor: 'system', source: 'job:mark-no-shows' }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE bookings b
+        SET attendance = 'NO_SHOW'
+        FROM conferences c
+        WHERE b.conference_name = c.name
+          AND c.status = 'SCHEDULED'
+          AND c.end_time < CURRENT_TIMESTAMP
+          AND b.status = 'CONFIRMED'
+          AND b.attendance IS NULL
+        RETURNING b.booking_id, b.user_id, b.conference_name
+      `);
+
+      for (const booking of result.rows) {
+        await bookingHistoryService.record(client, {
+          bookingId: booking.booking_id,
+          conferenceName: booking.conference_name,
+          userId: booking.user_id,
+          eventType: BOOKING_EVENT_TYPES.ATTENDANCE_RECORDED,
+          reason: 'Not checked in before the conference ended',
+          metadata: { attendance: 'NO_SHOW' }
+        }, context);
+      }
+
+      await client.query('COMMIT');
+
+      if (result.rows.length > 0) {
+        logger.info('Marked bookings as no-shows', { count: result.rows.length });
+      }
+      return result.rows.length;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in markNoShows', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CheckinService();
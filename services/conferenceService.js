@@ -1,33 +1,79 @@
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
 const { businessValidation } = require('../utils/validators');
+const webhookService = require('./webhookService');
+const bookingHistoryService = require('./bookingHistoryService');
+const offerService = require('./offerService');
+const topicService = require('./topicService');
+const { EVENTS } = require('../notifications/templates');
+const { paginatedQuery, toPageResponse } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+const { BOOKING_EVENT_TYPES } = bookingHistoryService;
+
+// Conference columns that make up its waitlist policy
+const WAITLIST_POLICY_FIELDS = ['offer_window_minutes', 'offer_expiry_action', 'max_offers_per_user', 'auto_confirm'];
+
+// Columns and sort options for conference listings
+const CONFERENCE_LIST_SPEC = {
+  select: `
+    name,
+    location,
+    topics,
+    start_time,
+    end_time,
+    total_slots,
+    available_slots,
+    organizer_id,
+    status,
+    created_at
+  `,
+  from: 'conferences',
+  sortFields: {
+    start_time: { column: 'start_time', type: 'timestamptz' },
+    name: { column: 'name', type: 'text' },
+    available_slots: { column: 'available_slots', type: 'integer' },
+    created_at: { column: 'created_at', type: 'timestamptz' }
+  },
+  defaultSort: 'start_time',
+  defaultOrder: 'asc',
+  key: { column: 'name', type: 'text' }
+};
 
 class ConferenceService {
   
   /**
    * Add a new conference
    * @param {Object} conferenceData - Conference details
+   * @param {string} organizerId - User ID of the organizing user (optional)
    * @returns {Object} Result with success/error status
    */
-  async addConference(conferenceData) {
+  async addConference(conferenceData, organizerId = null) {
+    const client = await getClient();
+
     try {
+      await client.query('BEGIN');
+
       const { name, location, topics, start_time, end_time, total_slots } = conferenceData;
 
       // Check if conference name is unique
-      const isUnique = await businessValidation.isUniqueConferenceName(name, { query });
+      const isUnique = await businessValidation.isUniqueConferenceName(
+        name,
+        { query: client.query.bind(client) }
+      );
       if (!isUnique) {
+        await client.query('ROLLBACK');
         return {
           success: false,
           error: 'Conference name already exists'
         };
       }
 
-      // Convert topics string to array and filter out empty topics
-      const topicsArray = topics.split(',')
-        .map(topic => topic.trim())
-        .filter(topic => topic.length > 0);
+      // Convert topics string to canonical topic names
+      const topicsArray = await topicService.normalizeTopics(topics.split(','), client);
 
       // Validate topics count
       if (topicsArray.length > 10) {
+        await client.query('ROLLBACK');
         return {
           success: false,
           error: 'Maximum 10 topics allowed per conference'
@@ -35,6 +81,7 @@ class ConferenceService {
       }
 
       if (topicsArray.length === 0) {
+        await client.query('ROLLBACK');
         return {
           success: false,
           error: 'At least one topic is required'
@@ -42,36 +89,45 @@ class ConferenceService {
       }
 
       // Insert conference into database
-      const result = await query(`
-        INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots)
-        VALUES ($1, $2, $3, $4, $5, $6, $6)
+      const result = await client.query(`
+        INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots, organizer_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
         RETURNING *
-      `, [name, location, topicsArray, start_time, end_time, total_slots]);
+      `, [name, location, topicsArray, start_time, end_time, total_slots, organizerId]);
 
       const conference = result.rows[0];
+      const data = {
+        name: conference.name,
+        location: conference.location,
+        topics: conference.topics,
+        start_time: conference.start_time,
+        end_time: conference.end_time,
+        total_slots: conference.total_slots,
+        available_slots: conference.available_slots,
+        organizer_id: conference.organizer_id,
+        created_at: conference.created_at
+      };
+
+      await webhookService.publish(client, 'conference.created', data);
+
+      await client.query('COMMIT');
 
       return {
         success: true,
         message: 'Conference added successfully',
-        data: {
-          name: conference.name,
-          location: conference.location,
-          topics: conference.topics,
-          start_time: conference.start_time,
-          end_time: conference.end_time,
-          total_slots: conference.total_slots,
-          available_slots: conference.available_slots,
-          created_at: conference.created_at
-        }
+        data
       };
 
     } catch (error) {
-      console.error('Error in addConference:', error);
+      await client.query('ROLLBACK');
+      logger.error('Error in addConference', { error });
       return {
         success: false,
         error: 'Failed to add conference',
         details: error.message
       };
+    } finally {
+      client.release();
     }
   }
 
@@ -89,37 +145,29 @@ class ConferenceService {
 
       return result.rows.length > 0 ? result.rows[0] : null;
     } catch (error) {
-      console.error('Error in getConferenceByName:', error);
+      logger.error('Error in getConferenceByName', { error });
       throw error;
     }
   }
 
   /**
-   * Get all conferences
-   * @returns {Array} List of all conferences
+   * Get all conferences, one page at a time
+   * @param {Object} page - { limit, cursor, sort, order }
+   * @returns {Object} Page of conferences with pagination details
    */
-  async getAllConferences() {
+  async getAllConferences(page = {}) {
     try {
-      const result = await query(`
-        SELECT 
-          name,
-          location,
-          topics,
-          start_time,
-          end_time,
-          total_slots,
-          available_slots,
-          created_at
-        FROM conferences 
-        ORDER BY start_time ASC
-      `);
+      const result = await paginatedQuery(CONFERENCE_LIST_SPEC, page);
+      if (result.error) {
+        return {
+          success: false,
+          error: result.error
+        };
+      }
 
-      return {
-        success: true,
-        data: result.rows
-      };
+      return toPageResponse(result);
     } catch (error) {
-      console.error('Error in getAllConferences:', error);
+      logger.error('Error in getAllConferences', { error });
       return {
         success: false,
         error: 'Failed to fetch conferences'
@@ -146,93 +194,689 @@ class ConferenceService {
 
       return result.rows.length > 0;
     } catch (error) {
-      console.error('Error in updateAvailableSlots:', error);
+      logger.error('Error in updateAvailableSlots', { error });
       throw error;
     }
   }
 
   /**
-   * Search conferences by various criteria
-   * @param {Object} searchCriteria - Search parameters
-   * @returns {Object} Search results
+   * Update a conference's location, topics, times and capacity
+   * @param {string} name - Conference name
+   * @param {Object} updateData - New location, topics, start_time, end_time and total_slots
+   * @param {Object} options - { demoteConfirmed } to move the most recent confirmations
+   *   to the waitlist when capacity shrinks below confirmed bookings
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Result with updated conference
    */
-  async searchConferences(searchCriteria = {}) {
+  async updateConference(name, updateData, { demoteConfirmed = false } = {}, context) {
+    // Required lazily: bookingService depends on this service
+    const bookingService = require('./bookingService');
+    const client = await getClient();
+
     try {
-      const { 
-        location, 
-        topic, 
-        start_date, 
-        end_date, 
-        available_only = false 
-      } = searchCriteria;
-
-      let whereConditions = [];
-      let params = [];
-      let paramCount = 0;
-
-      // Build dynamic WHERE clause
-      if (location) {
-        paramCount++;
-        whereConditions.push(`location ILIKE $${paramCount}`);
-        params.push(`%${location}%`);
+      await client.query('BEGIN');
+
+      const { location, topics, start_time, end_time } = updateData;
+      const totalSlots = parseInt(updateData.total_slots, 10);
+
+      // Lock the conference row so bookings cannot change capacity concurrently
+      const conferenceResult = await client.query(
+        'SELECT * FROM conferences WHERE name = $1 FOR UPDATE',
+        [name]
+      );
+
+      if (conferenceResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
       }
 
-      if (topic) {
-        paramCount++;
-        whereConditions.push(`$${paramCount} = ANY(topics)`);
-        params.push(topic);
+      const conference = conferenceResult.rows[0];
+
+      if (conference.status === 'CANCELED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot update a canceled conference'
+        };
       }
 
-      if (start_date) {
-        paramCount++;
-        whereConditions.push(`start_time >= $${paramCount}`);
-        params.push(start_date);
+      if (new Date(conference.start_time) <= new Date()) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot update conference that has already started'
+        };
       }
 
-      if (end_date) {
-        paramCount++;
-        whereConditions.push(`start_time <= $${paramCount}`);
-        params.push(end_date);
+      const topicsArray = await topicService.normalizeTopics(topics.split(','), client);
+
+      if (topicsArray.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'At least one topic is required'
+        };
       }
 
-      if (available_only) {
-        whereConditions.push('available_slots > 0');
+      // Re-check attendee time conflicts if the schedule moved
+      const newStart = new Date(start_time);
+      const newEnd = new Date(end_time);
+      const timesChanged = newStart.getTime() !== new Date(conference.start_time).getTime()
+        || newEnd.getTime() !== new Date(conference.end_time).getTime();
+
+      if (timesChanged) {
+        const attendeesResult = await client.query(`
+          SELECT user_id FROM bookings
+          WHERE conference_name = $1 AND status IN ('CONFIRMED', 'WAITLISTED')
+        `, [name]);
+
+        const conflictingUsers = [];
+        for (const { user_id } of attendeesResult.rows) {
+          const hasConflict = await businessValidation.hasConflictingBooking(
+            user_id,
+            newStart,
+            newEnd,
+            { query: client.query.bind(client) },
+            name
+          );
+          if (hasConflict) {
+            conflictingUsers.push(user_id);
+          }
+        }
+
+        if (conflictingUsers.length > 0) {
+          await client.query('ROLLBACK');
+          return {
+            success: false,
+            error: 'New times conflict with other bookings of existing attendees',
+            conflicting_users: conflictingUsers
+          };
+        }
       }
 
-      // Only show future conferences
-      paramCount++;
-      whereConditions.push(`start_time > $${paramCount}`);
-      params.push(new Date());
+      const confirmedResult = await client.query(`
+        SELECT COUNT(*)::int AS confirmed
+        FROM bookings
+        WHERE conference_name = $1 AND status = 'CONFIRMED'
+      `, [name]);
+
+      let confirmed = confirmedResult.rows[0].confirmed;
+      let demoted = [];
+      let withdrawn = [];
+
+      if (totalSlots < confirmed) {
+        if (!demoteConfirmed) {
+          await client.query('ROLLBACK');
+          return {
+            success: false,
+            error: `Cannot reduce total slots below ${confirmed} confirmed bookings`,
+            confirmed_bookings: confirmed
+          };
+        }
 
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')}`
-        : '';
+        demoted = await this.demoteConfirmedBookings(client, name, confirmed - totalSlots, context);
+        confirmed -= demoted.length;
+      }
 
-      const queryText = `
-        SELECT 
-          name,
-          location,
-          topics,
-          start_time,
-          end_time,
-          total_slots,
-          available_slots,
-          created_at
-        FROM conferences 
-        ${whereClause}
-        ORDER BY start_time ASC
-      `;
-
-      const result = await query(queryText, params);
+      const result = await client.query(`
+        UPDATE conferences
+        SET location = $1,
+            topics = $2,
+            start_time = $3,
+            end_time = $4,
+            total_slots = $5,
+            available_slots = $6,
+            calendar_sequence = calendar_sequence + CASE
+              WHEN location IS DISTINCT FROM $1::varchar
+                OR start_time IS DISTINCT FROM $3
+                OR end_time IS DISTINCT FROM $4
+              THEN 1 ELSE 0 END
+        WHERE name = $7
+        RETURNING *
+      `, [location, topicsArray, start_time, end_time, totalSlots, totalSlots - confirmed, name]);
+
+      const updated = result.rows[0];
+
+      // Offer any newly freed seats to the waitlist, or take back offers on seats that are gone
+      if (updated.available_slots > conference.available_slots) {
+        await bookingService.processNextInWaitlist(client, name, context);
+      } else if (updated.available_slots < conference.available_slots) {
+        withdrawn = await this.withdrawExcessOffers(client, name, updated.available_slots, context);
+      }
+
+      await webhookService.publish(client, 'conference.updated', {
+        name: updated.name,
+        location: updated.location,
+        topics: updated.topics,
+        start_time: updated.start_time,
+        end_time: updated.end_time,
+        total_slots: updated.total_slots,
+        available_slots: updated.available_slots,
+        status: updated.status
+      });
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Conference updated successfully',
+        data: {
+          name: updated.name,
+          location: updated.location,
+          topics: updated.topics,
+          start_time: updated.start_time,
+          end_time: updated.end_time,
+          total_slots: updated.total_slots,
+          available_slots: updated.available_slots,
+          organizer_id: updated.organizer_id,
+          updated_at: updated.updated_at
+        },
+        demoted_bookings: demoted,
+        withdrawn_offers: withdrawn
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in updateConference', { error });
+      return {
+        success: false,
+        error: 'Failed to update conference',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel a conference, keeping it for history, and cancel all its active bookings
+   * @param {string} name - Conference name
+   * @param {string} reason - Why the conference was canceled
+   * @param {Object} context - { actor, source }; the actor is recorded as canceled_by
+   * @returns {Object} Result with counts of canceled bookings
+   */
+  async cancelConference(name, reason, context) {
+    // Required lazily: bookingService depends on this service
+    const bookingService = require('./bookingService');
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const conferenceResult = await client.query(
+        'SELECT * FROM conferences WHERE name = $1 FOR UPDATE',
+        [name]
+      );
+
+      if (conferenceResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
+      }
+
+      const conference = conferenceResult.rows[0];
+
+      if (conference.status === 'CANCELED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Conference is already canceled'
+        };
+      }
+
+      if (new Date(conference.start_time) <= new Date()) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot cancel conference that has already started'
+        };
+      }
+
+      // Cancel all active bookings, remembering what state they were in
+      const bookingsResult = await client.query(`
+        WITH active AS (
+          SELECT booking_id, status AS previous_status
+          FROM bookings
+          WHERE conference_name = $1 AND status IN ('CONFIRMED', 'WAITLISTED')
+        )
+        UPDATE bookings b
+        SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = $2
+        FROM active
+        WHERE b.booking_id = active.booking_id
+        RETURNING b.booking_id, b.user_id, active.previous_status
+      `, [name, `Conference canceled: ${reason}`]);
+
+      const removedResult = await client.query(
+        'DELETE FROM waitlist WHERE conference_name = $1 RETURNING booking_id, position',
+        [name]
+      );
+
+      await offerService.close(client, bookingsResult.rows.map(row => row.booking_id), 'EXPIRED');
+      const positions = new Map(removedResult.rows.map(row => [row.booking_id, row.position]));
+
+      for (const canceled of bookingsResult.rows) {
+        await bookingHistoryService.record(client, {
+          bookingId: canceled.booking_id,
+          conferenceName: name,
+          userId: canceled.user_id,
+          eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+          fromStatus: canceled.previous_status,
+          toStatus: 'CANCELED',
+          fromPosition: positions.get(canceled.booking_id),
+          reason: `Conference canceled: ${reason}`
+        }, context);
+
+        await bookingService.emitEvent(client, {
+          eventType: EVENTS.BOOKING_CANCELED,
+          userId: canceled.user_id,
+          bookingId: canceled.booking_id,
+          conferenceName: name,
+          payload: { reason: `Conference canceled: ${reason}` }
+        });
+      }
+
+      const result = await client.query(`
+        UPDATE conferences
+        SET status = 'CANCELED',
+            canceled_at = CURRENT_TIMESTAMP,
+            canceled_by = $2,
+            cancellation_reason = $3,
+            available_slots = total_slots,
+            calendar_sequence = calendar_sequence + 1
+        WHERE name = $1
+        RETURNING name, status, canceled_at, canceled_by, cancellation_reason
+      `, [name, context.actor, reason]);
+
+      await webhookService.publish(client, 'conference.updated', result.rows[0]);
+
+      await client.query('COMMIT');
+
+      const canceled = bookingsResult.rows;
+
+      return {
+        success: true,
+        message: 'Conference canceled successfully',
+        data: {
+          ...result.rows[0],
+          canceled_confirmed_bookings: canceled.filter(b => b.previous_status === 'CONFIRMED').length,
+          canceled_waitlisted_bookings: canceled.filter(b => b.previous_status === 'WAITLISTED').length
+        }
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in cancelConference', { error });
+      return {
+        success: false,
+        error: 'Failed to cancel conference',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a conference's waitlist policy
+   * @param {string} name - Conference name
+   * @returns {Object} Result with the policy
+   */
+  async getWaitlistPolicy(name) {
+    try {
+      const result = await query(
+        `SELECT name, ${WAITLIST_POLICY_FIELDS.join(', ')} FROM conferences WHERE name = $1`,
+        [name]
+      );
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
+      }
 
       return {
         success: true,
-        data: result.rows,
-        count: result.rows.length
+        data: result.rows[0]
       };
 
     } catch (error) {
-      console.error('Error in searchConferences:', error);
+      logger.error('Error in getWaitlistPolicy', { error });
+      return {
+        success: false,
+        error: 'Failed to get waitlist policy'
+      };
+    }
+  }
+
+  /**
+   * Change a conference's waitlist policy. Only the fields present in policyData are changed.
+   * Switching auto-confirm on confirms waitlisted bookings for any seats that are already free.
+   * @param {string} name - Conference name
+   * @param {Object} policyData - Any of offer_window_minutes, offer_expiry_action,
+   *   max_offers_per_user (null for no limit) and auto_confirm
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Result with the updated policy
+   */
+  async updateWaitlistPolicy(name, policyData, context) {
+    // Required lazily: bookingService depends on this service
+    const bookingService = require('./bookingService');
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const conference = await bookingService.lockConference(client, name);
+      if (!conference) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Conference not found'
+        };
+      }
+
+      if (conference.status === 'CANCELED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Cannot update a canceled conference'
+        };
+      }
+
+      const fields = WAITLIST_POLICY_FIELDS.filter(field => policyData[field] !== undefined);
+      if (fields.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: `Provide at least one of: ${WAITLIST_POLICY_FIELDS.join(', ')}`
+        };
+      }
+
+      const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+      const result = await client.query(`
+        UPDATE conferences
+        SET ${assignments.join(', ')}
+        WHERE name = $1
+        RETURNING name, ${WAITLIST_POLICY_FIELDS.join(', ')}
+      `, [name, ...fields.map(field => policyData[field])]);
+
+      if (result.rows[0].auto_confirm && !conference.auto_confirm && conference.available_slots > 0) {
+        await bookingService.processNextInWaitlist(client, name, context);
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Waitlist policy updated successfully',
+        data: result.rows[0]
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in updateWaitlistPolicy', { error });
+      return {
+        success: false,
+        error: 'Failed to update waitlist policy',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move the most recently confirmed bookings to the front of the waitlist. A booking
+   * was confirmed when its history last moved it to CONFIRMED; a transfer keeps that time.
+   * @param {Object} client - Database client
+   * @param {string} conferenceName - Conference name
+   * @param {number} count - Number of bookings to demote
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Array} Demoted bookings ({ booking_id, user_id, position })
+   */
+  async demoteConfirmedBookings(client, conferenceName, count, context) {
+    // Required lazily: bookingService depends on this service
+    const bookingService = require('./bookingService');
+
+    try {
+      const demotedResult = await client.query(`
+        WITH latest AS (
+          SELECT b.booking_id, COALESCE(MAX(e.created_at), b.created_at) AS confirmed_at
+          FROM bookings b
+          LEFT JOIN booking_events e
+            ON e.booking_id = b.booking_id
+            AND e.to_status = 'CONFIRMED'
+            AND e.event_type IN ('${BOOKING_EVENT_TYPES.CREATED}', '${BOOKING_EVENT_TYPES.STATUS_CHANGED}')
+          WHERE b.conference_name = $1 AND b.status = 'CONFIRMED'
+          GROUP BY b.booking_id
+          ORDER BY confirmed_at DESC, b.created_at DESC
+          LIMIT $2
+        )
+        UPDATE bookings b
+        SET status = 'WAITLISTED', confirm_by = NULL
+        FROM latest
+        WHERE b.booking_id = latest.booking_id
+        RETURNING b.booking_id, b.user_id, latest.confirmed_at
+      `, [conferenceName, count]);
+
+      // Earliest of the demoted confirmations goes first in line
+      const demoted = demotedResult.rows.sort((a, b) =>
+        new Date(a.confirmed_at) - new Date(b.confirmed_at)
+      );
+
+      // Shift existing positions back in two steps to avoid the unique position constraint
+      await client.query(`
+        UPDATE waitlist SET position = -position WHERE conference_name = $1
+      `, [conferenceName]);
+      const shiftedResult = await client.query(`
+        UPDATE waitlist w SET position = -w.position + $2
+        FROM bookings b
+        WHERE w.booking_id = b.booking_id AND w.conference_name = $1
+        RETURNING w.booking_id, b.user_id, w.position
+      `, [conferenceName, demoted.length]);
+
+      for (const shifted of shiftedResult.rows) {
+        await bookingHistoryService.record(client, {
+          bookingId: shifted.booking_id,
+          conferenceName,
+          userId: shifted.user_id,
+          eventType: BOOKING_EVENT_TYPES.POSITION_CHANGED,
+          fromPosition: shifted.position - demoted.length,
+          toPosition: shifted.position,
+          reason: 'Conference capacity was reduced'
+        }, context);
+      }
+
+      for (let i = 0; i < demoted.length; i++) {
+        await client.query(`
+          INSERT INTO waitlist (conference_name, booking_id, position)
+          VALUES ($1, $2, $3)
+        `, [conferenceName, demoted[i].booking_id, i + 1]);
+
+        await bookingHistoryService.record(client, {
+          bookingId: demoted[i].booking_id,
+          conferenceName,
+          userId: demoted[i].user_id,
+          eventType: BOOKING_EVENT_TYPES.STATUS_CHANGED,
+          fromStatus: 'CONFIRMED',
+          toStatus: 'WAITLISTED',
+          toPosition: i + 1,
+          reason: 'Conference capacity was reduced'
+        }, context);
+
+        await bookingService.emitEvent(client, {
+          eventType: EVENTS.BOOKING_WAITLISTED,
+          userId: demoted[i].user_id,
+          bookingId: demoted[i].booking_id,
+          conferenceName,
+          payload: { position: i + 1 }
+        });
+      }
+
+      return demoted.map((booking, i) => ({
+        booking_id: booking.booking_id,
+        user_id: booking.user_id,
+        position: i + 1
+      }));
+
+    } catch (error) {
+      logger.error('Error in demoteConfirmedBookings', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Take back the open offers that no longer fit in the conference's free seats,
+   * latest in line first. The bookings keep their place in line, and the
+   * withdrawn offer does not count against the user's offer limit.
+   * @param {Object} client - Database client
+   * @param {string} conferenceName - Conference name, already locked
+   * @param {number} availableSlots - Free seats after the update
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Array} Bookings whose offer was withdrawn ({ booking_id, user_id, position })
+   */
+  async withdrawExcessOffers(client, conferenceName, availableSlots, context) {
+    // Required lazily: bookingService depends on this service
+    const bookingService = require('./bookingService');
+
+    const offeredResult = await client.query(`
+      SELECT b.booking_id, b.user_id, w.position
+      FROM bookings b
+      JOIN waitlist w ON w.booking_id = b.booking_id
+      WHERE b.conference_name = $1 AND b.status = 'WAITLISTED' AND b.confirm_by > $2
+      ORDER BY w.position ASC
+      OFFSET $3
+    `, [conferenceName, new Date(), availableSlots]);
+
+    const withdrawn = offeredResult.rows;
+    if (withdrawn.length === 0) {
+      return [];
+    }
+
+    const bookingIds = withdrawn.map(booking => booking.booking_id);
+    await client.query(`
+      UPDATE bookings
+      SET confirm_by = NULL, offer_count = GREATEST(offer_count - 1, 0)
+      WHERE booking_id = ANY($1::uuid[])
+    `, [bookingIds]);
+    await offerService.close(client, bookingIds, 'EXPIRED');
+
+    for (const booking of withdrawn) {
+      await bookingHistoryService.record(client, {
+        bookingId: booking.booking_id,
+        conferenceName,
+        userId: booking.user_id,
+        eventType: BOOKING_EVENT_TYPES.OFFER_EXPIRED,
+        fromPosition: booking.position,
+        toPosition: booking.position,
+        reason: 'Offer withdrawn: conference capacity was reduced'
+      }, context);
+
+      await bookingService.emitEvent(client, {
+        eventType: EVENTS.OFFER_EXPIRED,
+        userId: booking.user_id,
+        bookingId: booking.booking_id,
+        conferenceName,
+        payload: { position: booking.position }
+      });
+    }
+
+    return withdrawn;
+  }
+
+  /**
+   * Build the WHERE conditions for a conference search
+   * @param {Object} searchCriteria - { location, topic, start_date, end_date, available_only }
+   * @param {Object} options - { includeCanceled } to also match canceled conferences
+   * @returns {Object} { whereConditions, params }
+   */
+  buildSearchConditions(searchCriteria = {}, { includeCanceled = false } = {}) {
+    const { 
+      location, 
+      topic, 
+      start_date, 
+      end_date, 
+      available_only = false 
+    } = searchCriteria;
+
+    let whereConditions = [];
+    let params = [];
+    let paramCount = 0;
+
+    // Build dynamic WHERE clause
+    if (location) {
+      paramCount++;
+      whereConditions.push(`location ILIKE $${paramCount}`);
+      params.push(`%${location}%`);
+    }
+
+    // Matches synonyms and narrower topics too
+    if (topic) {
+      paramCount++;
+      whereConditions.push(topicService.topicMatchCondition('topics', `$${paramCount}`));
+      params.push(topic);
+    }
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`start_time >= $${paramCount}`);
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`start_time <= $${paramCount}`);
+      params.push(end_date);
+    }
+
+    if (available_only) {
+      whereConditions.push('available_slots > 0');
+    }
+
+    // Canceled conferences are kept for history but never listed in search
+    if (!includeCanceled) {
+      whereConditions.push(`status = 'SCHEDULED'`);
+    }
+
+    // Only show future conferences
+    paramCount++;
+    whereConditions.push(`start_time > $${paramCount}`);
+    params.push(new Date());
+
+    return { whereConditions, params };
+  }
+
+  /**
+   * Search conferences by various criteria
+   * @param {Object} searchCriteria - Search parameters
+   * @param {Object} page - { limit, cursor, sort, order }
+   * @returns {Object} Page of matching conferences with pagination details
+   */
+  async searchConferences(searchCriteria = {}, page = {}) {
+    try {
+      const { whereConditions, params } = this.buildSearchConditions(searchCriteria);
+
+      const result = await paginatedQuery({
+        ...CONFERENCE_LIST_SPEC,
+        where: whereConditions,
+        params
+      }, page);
+      if (result.error) {
+        return {
+          success: false,
+          error: result.error
+        };
+      }
+
+      return toPageResponse(result);
+
+    } catch (error) {
+      logger.error('Error in searchConferences', { error });
       return {
         success: false,
         error: 'Failed to search conferences'
@@ -255,7 +899,13 @@ class ConferenceService {
           c.total_slots - c.available_slots as booked_slots,
           COUNT(CASE WHEN b.status = 'CONFIRMED' THEN 1 END) as confirmed_bookings,
           COUNT(CASE WHEN b.status = 'WAITLISTED' THEN 1 END) as waitlisted_bookings,
-          COUNT(CASE WHEN b.status = 'CANCELED' THEN 1 END) as canceled_bookings
+          COUNT(CASE WHEN b.status = 'CANCELED' THEN 1 END) as canceled_bookings,
+          COUNT(CASE WHEN b.attendance = 'ATTENDED' THEN 1 END) as attended_bookings,
+          COUNT(CASE WHEN b.attendance = 'NO_SHOW' THEN 1 END) as no_show_bookings,
+          ROUND(COUNT(CASE WHEN b.attendance = 'ATTENDED' THEN 1 END)::numeric
+            / NULLIF(COUNT(b.attendance), 0), 4) as attendance_rate,
+          ROUND(COUNT(CASE WHEN b.attendance = 'NO_SHOW' THEN 1 END)::numeric
+            / NULLIF(COUNT(b.attendance), 0), 4) as no_show_rate
         FROM conferences c
         LEFT JOIN bookings b ON c.name = b.conference_name
         WHERE c.name = $1
@@ -275,7 +925,7 @@ class ConferenceService {
       };
 
     } catch (error) {
-      console.error('Error in getConferenceStats:', error);
+      logger.error('Error in getConferenceStats', { error });
       return {
         success: false,
         error: 'Failed to get conference statistics'
@@ -303,27 +953,7 @@ class ConferenceService {
       return startTime <= new Date();
 
     } catch (error) {
-      console.error('Error in hasConferenceStarted:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Get conferences that have started (for cleanup jobs)
-   * @returns {Array} List of started conferences
-   */
-  async getStartedConferences() {
-    try {
-      const result = await query(`
-        SELECT name, start_time 
-        FROM conferences 
-        WHERE start_time <= $1
-      `, [new Date()]);
-
-      return result.rows;
-
-    } catch (error) {
-      console.error('Error in getStartedConferences:', error);
+      logger.error('Error in hasConferenceStarted', { error });
       throw error;
     }
   }
@@ -0,0 +1,103 @@
+const { checkConnection, getPoolHealth } = require('../config/database');
+const { getPendingMigrations } = require('../scripts/migrate');
+const scheduler = require('../jobs/scheduler');
+const logger = require('../utils/logger');
+
+// The scheduler heartbeat ticks every minute; allow a couple of missed ticks
+const DEFAULT_HEARTBEAT_MAX_AGE_SECONDS = 180;
+
+// A job still running after this long is treated as stuck
+const DEFAULT_JOB_STALL_SECONDS = 900;
+
+const getSetting = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+class HealthService {
+
+  /**
+   * Check that the database answers a query and the pool is not degraded
+   * @returns {Object} Check result
+   */
+  async checkDatabase() {
+    const start = Date.now();
+    const connected = await checkConnection();
+    const { last_error, last_error_at, reconnecting } = getPoolHealth();
+
+    return connected
+      ? { status: 'ok', latency_ms: Date.now() - start }
+      : { status: 'fail', error: last_error, last_error_at, reconnecting };
+  }
+
+  /**
+   * Check that every migration has been applied
+   * @returns {Object} Check result
+   */
+  async checkMigrations() {
+    try {
+      const pending = await getPendingMigrations();
+      return pending.length === 0
+        ? { status: 'ok' }
+        : {
+          status: 'fail',
+          error: `${pending.length} pending migration(s)`,
+          pending: pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`)
+        };
+    } catch (error) {
+      return { status: 'fail', error: error.message };
+    }
+  }
+
+  /**
+   * Check that the scheduler is running and no job is stuck
+   * @returns {Object} Check result
+   */
+  checkScheduler() {
+    const { started, last_heartbeat_at } = scheduler.getHeartbeat();
+    if (!started) {
+      return { status: 'fail', error: 'Scheduler is not running' };
+    }
+
+    const maxAgeMs = getSetting('HEALTH_HEARTBEAT_MAX_AGE_SECONDS', DEFAULT_HEARTBEAT_MAX_AGE_SECONDS) * 1000;
+    if (Date.now() - last_heartbeat_at.getTime() > maxAgeMs) {
+      return { status: 'fail', error: 'Scheduler heartbeat is stale', last_heartbeat_at };
+    }
+
+    const stallMs = getSetting('HEALTH_JOB_STALL_SECONDS', DEFAULT_JOB_STALL_SECONDS) * 1000;
+    const stuck = scheduler.getStatus()
+      .filter(job => job.running && Date.now() - job.last_run_at.getTime() > stallMs)
+      .map(job => job.name);
+    if (stuck.length > 0) {
+      return { status: 'fail', error: 'Jobs are stuck', jobs: stuck, last_heartbeat_at };
+    }
+
+    return { status: 'ok', last_heartbeat_at };
+  }
+
+  /**
+   * Run all readiness checks
+   * @returns {Object} { ready, checks } with only the status of each check
+   */
+  async checkReadiness() {
+    const [database, migrations] = await Promise.all([
+      this.checkDatabase(),
+      this.checkMigrations()
+    ]);
+    const checks = {
+      database,
+      migrations,
+      scheduler: this.checkScheduler()
+    };
+
+    // Failure details can name the database host, database and role, so they only go to the logs
+    const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+    if (failed.length > 0) {
+      logger.warn('Readiness check failed', { checks });
+    }
+
+    return {
+      ready: failed.length === 0,
+      checks: Object.fromEntries(Object.keys(checks).map(name => [name, { status: checks[name].status }]))
+    };
+  }
+}
+
+module.exports = new HealthService();
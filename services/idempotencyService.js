@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// An in-progress key older than this belongs to a request that died mid-flight
+const STALE_IN_PROGRESS_SECONDS = 60;
+
+/**
+ * Serialize a value with object keys sorted, so equivalent JSON bodies
+ * produce the same fingerprint regardless of key order
+ * @param {*} value - Parsed request body
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+class IdempotencyService {
+
+  /**
+   * Fingerprint a request by method, path and body
+   * @param {Object} request - { method, path, body }
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n${canonicalize(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a new request. Expired keys, and keys stuck in progress
+   * after a crash, are taken over as if they were new.
+   * @param {Object} request - { scope, key, method, path, hash }
+   * @returns {Object} { reserved: true } or { reserved: false, existing } with the stored record
+   */
+  async reserve({ scope, key, method, path, hash }) {
+    const ttlSeconds = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+    const result = await query(`
+      INSERT INTO idempotency_keys (scope, idempotency_key, request_method, request_path, request_hash, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6))
+      ON CONFLICT (scope, idempotency_key) DO UPDATE
+      SET request_method = EXCLUDED.request_method,
+          request_path = EXCLUDED.request_path,
+          request_hash = EXCLUDED.request_hash,
+          status = 'IN_PROGRESS',
+          response_status = NULL,
+          response_body = NULL,
+          created_at = CURRENT_TIMESTAMP,
+          expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+         OR (idempotency_keys.status = 'IN_PROGRESS'
+             AND idempotency_keys.created_at <= CURRENT_TIMESTAMP - make_interval(secs => $7))
+      RETURNING scope
+    `, [scope, key, method, path, hash, ttlSeconds, STALE_IN_PROGRESS_SECONDS]);
+
+    if (result.rows.length > 0) {
+      return { reserved: true };
+    }
+
+    const existing = await query(`
+      SELECT request_method, request_path, request_hash, status, response_status, response_body
+      FROM idempotency_keys
+      WHERE scope = $1 AND idempotency_key = $2
+    `, [scope, key]);
+
+    // The key was released between the two queries; let the caller try again
+    if (existing.rows.length === 0) {
+      return this.reserve({ scope, key, method, path, hash });
+    }
+
+    return { reserved: false, existing: existing.rows[0] };
+  }
+
+  /**
+   * Store the response of a reserved request so duplicates can replay it
+   * @param {Object} record - { scope, key, statusCode, body }
+   */
+  async complete({ scope, key, statusCode, body }) {
+    await query(`
+      UPDATE idempotency_keys
+      SET status = 'COMPLETED', response_status = $3, response_body = $4
+      WHERE scope = $1 AND idempotency_key = $2
+    `, [scope, key, statusCode, JSON.stringify(body === undefined ? null : body)]);
+  }
+
+  /**
+   * Forget a reserved key so the request can be retried (used after server errors)
+   * @param {Object} record - { scope, key }
+   */
+  async release({ scope, key }) {
+    await query(
+      'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+      [scope, key]
+    );
+  }
+
+  /**
+   * Delete expired keys (cron job)
+   * @returns {number} Number of keys deleted
+   */
+  async purgeExpired() {
+    const result = await query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    if (result.rowCount > 0) {
+      logger.info('Purged expired idempotency keys', { count: result.rowCount });
+    }
+    return result.rowCount;
+  }
+}
+
+module.exports = new IdempotencyService();
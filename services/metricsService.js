@@ -0,0 +1,68 @@
+const { pool, query } = require('../config/database');
+const { registry } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const poolConnections = registry.gauge(
+  'db_pool_connections',
+  'Database pool connections by state (total, idle, waiting clients)'
+);
+const poolMax = registry.gauge('db_pool_max_connections', 'Configured size of the database pool');
+const bookings = registry.gauge('bookings', 'Bookings by status and attendance outcome');
+const waitlistSize = registry.gauge('waitlist_size', 'Waitlisted bookings per upcoming conference');
+const scrapeErrors = registry.counter('metrics_collection_errors_total', 'Failed metric collections by collector');
+
+registry.addCollector(async () => {
+  poolConnections.set({ state: 'total' }, pool.totalCount);
+  poolConnections.set({ state: 'idle' }, pool.idleCount);
+  poolConnections.set({ state: 'waiting' }, pool.waitingCount);
+  poolMax.set({}, pool.options.max);
+});
+
+registry.addCollector(async () => {
+  try {
+    const result = await query(`
+      SELECT status, COALESCE(attendance, 'NONE') AS attendance, COUNT(*)::int AS count
+      FROM bookings
+      GROUP BY 1, 2
+    `);
+    bookings.reset();
+    for (const row of result.rows) {
+      bookings.set({ status: row.status, attendance: row.attendance }, row.count);
+    }
+  } catch (error) {
+    logger.error('Error collecting booking metrics', { error });
+    scrapeErrors.inc({ collector: 'bookings' });
+  }
+});
+
+registry.addCollector(async () => {
+  try {
+    const result = await query(`
+      SELECT w.conference_name, COUNT(*)::int AS size
+      FROM waitlist w
+      JOIN conferences c ON w.conference_name = c.name
+      WHERE c.status = 'SCHEDULED' AND c.start_time > NOW()
+      GROUP BY w.conference_name
+    `);
+    waitlistSize.reset();
+    for (const row of result.rows) {
+      waitlistSize.set({ conference: row.conference_name }, row.size);
+    }
+  } catch (error) {
+    logger.error('Error collecting waitlist metrics', { error });
+    scrapeErrors.inc({ collector: 'waitlist' });
+  }
+});
+
+class MetricsService {
+
+  /**
+   * Render all metrics in the Prometheus text format, refreshing the database-backed ones
+   * @returns {string} Metrics text
+   */
+  async render() {
+    return registry.render();
+  }
+}
+
+module.exports = new MetricsService();
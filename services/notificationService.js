@@ -0,0 +1,180 @@
+const { query } = require('../config/database');
+const { renderTemplate } = require('../notifications/templates');
+const consoleTransport = require('../notifications/transports/consoleTransport');
+const fileTransport = require('../notifications/transports/fileTransport');
+const smtpTransport = require('../notifications/transports/smtpTransport');
+const webhookTransport = require('../notifications/transports/webhookTransport');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_BATCH_SIZE = 50;
+
+// How long a claimed notification is hidden from other dispatchers while it is being sent
+const CLAIM_LEASE_SECONDS = 300;
+
+class NotificationService {
+  constructor() {
+    this.transports = new Map();
+    [consoleTransport, fileTransport, smtpTransport, webhookTransport]
+      .forEach(transport => this.registerTransport(transport));
+  }
+
+  /**
+   * Register a delivery transport
+   * @param {Object} transport - { name, send(message) }
+   */
+  registerTransport(transport) {
+    if (!transport.name || typeof transport.send !== 'function') {
+      throw new Error('Transport must have a name and a send function');
+    }
+    this.transports.set(transport.name, transport);
+  }
+
+  /**
+   * Get the transports enabled by NOTIFICATION_TRANSPORTS (comma-separated)
+   * @returns {Array} Enabled transports
+   */
+  getActiveTransports() {
+    return (process.env.NOTIFICATION_TRANSPORTS || 'console')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0)
+      .map(name => {
+        const transport = this.transports.get(name);
+        if (!transport) {
+          throw new Error(`Unknown notification transport: ${name}`);
+        }
+        return transport;
+      });
+  }
+
+  /**
+   * Write a notification to the outbox. Pass the caller's transaction client
+   * so the notification is only sent if the booking change commits.
+   * @param {Object} client - Database client
+   * @param {Object} notification - { eventType, userId, bookingId, conferenceName, payload }
+   */
+  async enqueue(client, { eventType, userId, bookingId = null, conferenceName = null, payload = {} }) {
+    try {
+      await client.query(`
+        INSERT INTO notifications (event_type, user_id, booking_id, conference_name, payload)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        eventType,
+        userId,
+        bookingId,
+        conferenceName,
+        { booking_id: bookingId, conference_name: conferenceName, ...payload }
+      ]);
+    } catch (error) {
+      logger.error('Error in enqueue', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver pending notifications that are due, retrying failed transports with exponential backoff
+   * @param {number} batchSize - Maximum notifications to process
+   * @returns {Object} Counts of sent, retried and failed notifications
+   */
+  async dispatchPending(batchSize = DEFAULT_BATCH_SIZE) {
+    const maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const retryBaseSeconds = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+    const transports = this.getActiveTransports();
+    const summary = { sent: 0, retried: 0, failed: 0 };
+
+    // Claim a batch by pushing its next attempt into the future
+    const claimed = await query(`
+      UPDATE notifications n
+      SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+      FROM users u
+      WHERE n.user_id = u.user_id
+        AND n.id IN (
+          SELECT id FROM notifications
+          WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY id
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+      RETURNING n.*, u.email
+    `, [batchSize, CLAIM_LEASE_SECONDS]);
+
+    for (const notification of claimed.rows) {
+      try {
+        const { subject, text } = renderTemplate(notification.event_type, notification.payload);
+        const message = {
+          id: notification.id,
+          event_type: notification.event_type,
+          recipient: { user_id: notification.user_id, email: notification.email },
+          subject,
+          text,
+          payload: notification.payload
+        };
+
+        // Send through each transport at most once; a retry only repeats the ones that failed
+        const failures = [];
+        for (const transport of transports) {
+          if (notification.delivered_transports.includes(transport.name)) {
+            continue;
+          }
+          try {
+            await transport.send(message);
+            await query(`
+              UPDATE notifications
+              SET delivered_transports = array_append(delivered_transports, $2)
+              WHERE id = $1
+            `, [notification.id, transport.name]);
+          } catch (error) {
+            failures.push(`${transport.name}: ${error.message}`);
+          }
+        }
+
+        if (failures.length > 0) {
+          throw new Error(failures.join('; '));
+        }
+
+        await query(`
+          UPDATE notifications
+          SET status = 'SENT', sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, last_error = NULL
+          WHERE id = $1
+        `, [notification.id]);
+        summary.sent++;
+
+      } catch (error) {
+        const attempts = notification.attempts + 1;
+        const giveUp = attempts >= maxAttempts;
+
+        await query(`
+          UPDATE notifications
+          SET status = $2,
+              attempts = $3,
+              last_error = $4,
+              next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5)
+          WHERE id = $1
+        `, [
+          notification.id,
+          giveUp ? 'FAILED' : 'PENDING',
+          attempts,
+          error.message,
+          retryBaseSeconds * Math.pow(2, attempts - 1)
+        ]);
+
+        if (giveUp) {
+          logger.warn('Notification failed for good', { notification_id: notification.id, attempts, error });
+          summary.failed++;
+        } else {
+          summary.retried++;
+        }
+      }
+    }
+
+    if (claimed.rows.length > 0) {
+      logger.info('Dispatched notifications', summary);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { safeEqual } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Columns returned to API clients; the token hash never leaves the database
+const OFFER_COLUMNS = `
+  offer_id, booking_id, conference_name, user_id, status, expires_at, responded_at, created_at
+`;
+
+class OfferService {
+
+  /**
+   * Build the public accept/decline links for an offer
+   * @param {string} offerId - Offer ID
+   * @param {string} token - Single-use offer token
+   * @returns {Object} { accept_url, decline_url }
+   */
+  buildLinks(offerId, token) {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    const suffix = `?token=${encodeURIComponent(token)}`;
+    return {
+      accept_url: `${baseUrl}/offers/${offerId}/accept${suffix}`,
+      decline_url: `${baseUrl}/offers/${offerId}/decline${suffix}`
+    };
+  }
+
+  /**
+   * Record a seat offer. Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {Object} offer - { bookingId, conferenceName, userId, expiresAt }
+   * @returns {Object} { offer_id, links } where links carry the single-use token
+   */
+  async create(client, { bookingId, conferenceName, userId, expiresAt }) {
+    const offerId = uuidv4();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await client.query(`
+      INSERT INTO waitlist_offers (offer_id, booking_id, conference_name, user_id, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [offerId, bookingId, conferenceName, userId, hashToken(token), expiresAt]);
+
+    return {
+      offer_id: offerId,
+      links: this.buildLinks(offerId, token)
+    };
+  }
+
+  /**
+   * Close the open offers of the given bookings and clear their link tokens.
+   * Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {Array} bookingIds - Booking IDs
+   * @param {string} status - ACCEPTED, DECLINED or EXPIRED
+   * @returns {Array} Closed offer IDs
+   */
+  async close(client, bookingIds, status) {
+    const result = await client.query(`
+      UPDATE waitlist_offers
+      SET status = $2, responded_at = CURRENT_TIMESTAMP, token_hash = NULL
+      WHERE booking_id = ANY($1::uuid[]) AND status = 'OFFERED'
+      RETURNING offer_id
+    `, [bookingIds, status]);
+    return result.rows.map(row => row.offer_id);
+  }
+
+  /**
+   * Get an offer by ID
+   * @param {string} offerId - Offer ID
+   * @returns {Object|null} Offer or null if not found
+   */
+  async getOffer(offerId) {
+    try {
+      const result = await query(
+        `SELECT ${OFFER_COLUMNS} FROM waitlist_offers WHERE offer_id = $1`,
+        [offerId]
+      );
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      // Malformed UUIDs cannot match an offer
+      if (error.code === '22P02') {
+        return null;
+      }
+      logger.error('Error in getOffer', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a token from an accept/decline link
+   * @param {string} offerId - Offer ID
+   * @param {string} token - Token from the link
+   * @returns {boolean} True if the token belongs to the offer and the offer is not closed yet
+   */
+  async verifyToken(offerId, token) {
+    if (!token) {
+      return false;
+    }
+
+    try {
+      const result = await query(
+        'SELECT token_hash FROM waitlist_offers WHERE offer_id = $1',
+        [offerId]
+      );
+      const tokenHash = result.rows.length > 0 ? result.rows[0].token_hash : null;
+      return tokenHash !== null && safeEqual(tokenHash, hashToken(String(token)));
+    } catch (error) {
+      if (error.code === '22P02') {
+        return false;
+      }
+      logger.error('Error in verifyToken', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the offers made to a booking, newest first
+   * @param {string} bookingId - Booking ID
+   * @returns {Object} Result with the offers
+   */
+  async getBookingOffers(bookingId) {
+    try {
+      const result = await query(`
+        SELECT ${OFFER_COLUMNS}
+        FROM waitlist_offers
+        WHERE booking_id = $1
+        ORDER BY created_at DESC
+      `, [bookingId]);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Error in getBookingOffers', { error });
+      return {
+        success: false,
+        error: 'Failed to get booking offers'
+      };
+    }
+  }
+}
+
+module.exports = new OfferService();
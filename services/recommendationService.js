@@ -0,0 +1,243 @@
+const { query } = require('../config/database');
+const topicService = require('./topicService');
+const logger = require('../utils/logger');
+
+// How much each signal contributes to a conference's score (the weights add up to 1)
+const SIGNAL_WEIGHTS = {
+  topic: 0.5,
+  co_booking: 0.3,
+  location: 0.2
+};
+
+// A topic that only contains (or is contained in) an interest counts this much of an exact match
+const PARTIAL_TOPIC_MATCH = 0.5;
+
+// Co-booking counts are squashed as n / (n + damping), so a handful of shared attendees already counts
+const CO_BOOKING_DAMPING = 3;
+
+// Upper bound on conferences scored per request
+const MAX_CANDIDATES = 500;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Score a conference's topics against a user's interests, case-insensitively.
+ * An interest scores 1 when the conference has the topic or one below it in the
+ * taxonomy, and PARTIAL_TOPIC_MATCH when one name contains the other (e.g. "AI"
+ * and "Applied AI").
+ * @param {Array} interests - User's interests as { name, related } where related
+ *   holds the normalized names of the topic and its descendants
+ * @param {Array} topics - Conference topics
+ * @returns {Object} { score, matched } with score in [0, 1] and the matched conference topics
+ */
+const scoreTopics = (interests, topics) => {
+  if (interests.length === 0) {
+    return { score: 0, matched: [] };
+  }
+
+  const matched = new Set();
+  let total = 0;
+
+  for (const { name: interest, related } of interests) {
+    let best = 0;
+    for (const topic of topics) {
+      const candidate = normalize(topic);
+      const weight = related.has(candidate)
+        ? 1
+        : candidate.includes(interest) || interest.includes(candidate) ? PARTIAL_TOPIC_MATCH : 0;
+      if (weight > 0) {
+        matched.add(topic);
+        best = Math.max(best, weight);
+      }
+    }
+    total += best;
+  }
+
+  return { score: total / interests.length, matched: Array.from(matched) };
+};
+
+class RecommendationService {
+
+  /**
+   * Recommend upcoming conferences for a user. Blends topic similarity with the
+   * user's interests, co-booking ("people who booked X also booked Y") and the
+   * locations of the user's past bookings. Conferences the user already has a
+   * booking for, or that overlap one of their confirmed bookings, are left out.
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, includeWaitlist } where includeWaitlist also
+   *   recommends full conferences that can only be waitlisted
+   * @returns {Object} Result with scored conferences and the reasons for each
+   */
+  async getRecommendations(userId, { limit = 10, includeWaitlist = false } = {}) {
+    try {
+      const userResult = await query(
+        'SELECT user_id, interested_topics FROM users WHERE user_id = $1',
+        [userId]
+      );
+      if (userResult.rows.length === 0) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+      const interestedTopics = userResult.rows[0].interested_topics || [];
+      const expanded = await topicService.expandTopics(interestedTopics);
+      const interests = interestedTopics.map(topic => ({
+        name: normalize(topic),
+        related: new Set(expanded.get(topic).map(normalize))
+      }));
+
+      // Seats held by open waitlist offers cannot be booked, as in attemptBooking
+      const candidatesResult = await query(`
+        SELECT c.name, c.location, c.topics, c.start_time, c.end_time, c.available_slots,
+               GREATEST(c.available_slots - held.offers, 0) AS open_slots
+        FROM conferences c
+        CROSS JOIN LATERAL (
+          SELECT COUNT(*)::int AS offers
+          FROM bookings b
+          WHERE b.conference_name = c.name
+            AND b.status = 'WAITLISTED'
+            AND b.confirm_by > CURRENT_TIMESTAMP
+        ) held
+        WHERE c.start_time > NOW()
+          AND c.status = 'SCHEDULED'
+          AND ($2 OR c.available_slots > held.offers)
+          AND NOT EXISTS (
+            SELECT 1 FROM bookings b
+            WHERE b.conference_name = c.name AND b.user_id = $1
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM bookings b
+            JOIN conferences booked ON b.conference_name = booked.name
+            WHERE b.user_id = $1
+              AND b.status = 'CONFIRMED'
+              AND booked.start_time < c.end_time
+              AND booked.end_time > c.start_time
+          )
+        ORDER BY c.start_time ASC
+        LIMIT $3
+      `, [userId, includeWaitlist, MAX_CANDIDATES]);
+
+      if (candidatesResult.rows.length === 0) {
+        return {
+          success: true,
+          data: [],
+          count: 0
+        };
+      }
+
+      // Other users who booked the same conferences as this user, and what else they booked.
+      // Each peer counts once per candidate however many conferences they share with the user;
+      // the shared conference with the most of them is named in the reasons.
+      const coBookingResult = await query(`
+        WITH peers AS (
+          SELECT DISTINCT peer.conference_name AS booked, other.conference_name AS candidate, other.user_id
+          FROM bookings mine
+          JOIN bookings peer
+            ON peer.conference_name = mine.conference_name
+           AND peer.user_id <> mine.user_id
+           AND peer.status <> 'CANCELED'
+          JOIN bookings other
+            ON other.user_id = peer.user_id
+           AND other.conference_name <> peer.conference_name
+           AND other.status <> 'CANCELED'
+          WHERE mine.user_id = $1 AND mine.status <> 'CANCELED'
+        ),
+        per_booked AS (
+          SELECT candidate, booked, COUNT(*)::int AS shared_users
+          FROM peers
+          GROUP BY candidate, booked
+        )
+        SELECT p.candidate, COUNT(DISTINCT p.user_id)::int AS shared_users,
+               top.booked AS top_booked, top.shared_users AS top_shared_users
+        FROM peers p
+        CROSS JOIN LATERAL (
+          SELECT booked, shared_users
+          FROM per_booked pb
+          WHERE pb.candidate = p.candidate
+          ORDER BY shared_users DESC, booked ASC
+          LIMIT 1
+        ) top
+        GROUP BY p.candidate, top.booked, top.shared_users
+      `, [userId]);
+
+      const coBookings = new Map(coBookingResult.rows.map(row => [row.candidate, row]));
+
+      // Where the user's past bookings took place
+      const locationResult = await query(`
+        SELECT LOWER(TRIM(c.location)) AS location, COUNT(*)::int AS bookings
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.user_id = $1 AND b.status <> 'CANCELED'
+        GROUP BY LOWER(TRIM(c.location))
+      `, [userId]);
+
+      const locationCounts = new Map(locationResult.rows.map(row => [row.location, row.bookings]));
+      const pastBookings = locationResult.rows.reduce((sum, row) => sum + row.bookings, 0);
+
+      const recommendations = [];
+      for (const conference of candidatesResult.rows) {
+        const topic = scoreTopics(interests, conference.topics);
+        const coBooking = coBookings.get(conference.name);
+        const locationBookings = locationCounts.get(normalize(conference.location)) || 0;
+
+        const signals = {
+          topic: topic.score,
+          co_booking: coBooking ? coBooking.shared_users / (coBooking.shared_users + CO_BOOKING_DAMPING) : 0,
+          location: pastBookings > 0 ? locationBookings / pastBookings : 0
+        };
+
+        const score = Object.keys(SIGNAL_WEIGHTS)
+          .reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal] * signals[signal], 0);
+        if (score === 0) {
+          continue;
+        }
+
+        const reasons = [];
+        if (topic.matched.length > 0) {
+          reasons.push(`Matches your interests: ${topic.matched.join(', ')}`);
+        }
+        if (coBooking) {
+          const others = coBooking.top_shared_users;
+          reasons.push(`${others} ${others === 1 ? 'person' : 'people'} who booked ${coBooking.top_booked} also booked this`);
+        }
+        if (locationBookings > 0) {
+          reasons.push(`In ${conference.location}, where ${locationBookings} of your ${pastBookings} bookings were`);
+        }
+        if (conference.open_slots === 0) {
+          reasons.push('Full: booking adds you to the waitlist');
+        }
+
+        recommendations.push({
+          ...conference,
+          waitlist_only: conference.open_slots === 0,
+          score: Math.round(score * 10000) / 10000,
+          signals: Object.fromEntries(
+            Object.entries(signals).map(([signal, value]) => [signal, Math.round(value * 10000) / 10000])
+          ),
+          reasons
+        });
+      }
+
+      recommendations.sort((a, b) => b.score - a.score
+        || new Date(a.start_time) - new Date(b.start_time));
+
+      const data = recommendations.slice(0, limit);
+
+      return {
+        success: true,
+        data,
+        count: data.length
+      };
+
+    } catch (error) {
+      logger.error('Error in getRecommendations', { error });
+      return {
+        success: false,
+        error: 'Failed to get recommendations'
+      };
+    }
+  }
+}
+
+module.exports = new RecommendationService();
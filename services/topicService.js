@@ -0,0 +1,424 @@
+const { query, getClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Default and maximum number of topics returned by autocomplete
+const DEFAULT_TOPIC_LIMIT = 10;
+
+// Escape LIKE wildcards so a prefix is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Replace one topic with another in a topic array column, dropping the duplicates it creates
+const rewriteTopicColumn = (table, column) => `
+  UPDATE ${table}
+  SET ${column} = ARRAY(
+    SELECT topic
+    FROM unnest(array_replace(${column}, $1, $2)) WITH ORDINALITY AS u(topic, position)
+    GROUP BY topic
+    ORDER BY MIN(position)
+  )
+  WHERE ${column} @> ARRAY[$1]::text[]
+`;
+
+class TopicService {
+
+  /**
+   * SQL condition matching rows whose topic array contains the searched topic, one
+   * of its synonyms or any topic below it in the taxonomy. Unknown topics match literally.
+   * @param {string} column - Topic array column
+   * @param {string} param - Placeholder of the searched topic, e.g. "$1"
+   * @returns {string} SQL condition
+   */
+  topicMatchCondition(column, param) {
+    return `
+      ${column} && ARRAY(
+        WITH RECURSIVE matched AS (
+          SELECT topic_name AS name FROM topic_aliases WHERE alias = LOWER(TRIM(${param}))
+          UNION
+          SELECT t.name FROM topics t JOIN matched m ON t.parent_name = m.name
+        )
+        SELECT name::text FROM matched
+        UNION
+        SELECT TRIM(${param})
+      )
+    `;
+  }
+
+  /**
+   * Resolve topic names to their canonical names, ignoring case and following
+   * aliases. Topics that are not known yet are registered as new canonical topics.
+   * Duplicates are dropped and the order of first appearance is kept.
+   * @param {Array} topics - Topic names
+   * @param {Object} db - Database client or { query } to run in
+   * @returns {Array} Canonical topic names
+   */
+  async normalizeTopics(topics, db = { query }) {
+    const names = topics
+      .map(topic => String(topic).trim())
+      .filter(topic => topic.length > 0);
+    if (names.length === 0) {
+      return [];
+    }
+
+    const resolve = async () => {
+      const result = await db.query(
+        'SELECT alias, topic_name FROM topic_aliases WHERE alias = ANY($1::text[])',
+        [names.map(name => name.toLowerCase())]
+      );
+      return new Map(result.rows.map(row => [row.alias, row.topic_name]));
+    };
+
+    let canonical = await resolve();
+
+    // First spelling of each unknown topic becomes its canonical name
+    const unknown = new Map();
+    for (const name of names) {
+      const alias = name.toLowerCase();
+      if (!canonical.has(alias) && !unknown.has(alias)) {
+        unknown.set(alias, name);
+      }
+    }
+
+    if (unknown.size > 0) {
+      const newTopics = Array.from(unknown.values());
+      await db.query(`
+        INSERT INTO topics (name)
+        SELECT unnest($1::text[])
+        ON CONFLICT (name) DO NOTHING
+      `, [newTopics]);
+      await db.query(`
+        INSERT INTO topic_aliases (alias, topic_name)
+        SELECT LOWER(name), name FROM unnest($1::text[]) AS name
+        ON CONFLICT (alias) DO NOTHING
+      `, [newTopics]);
+
+      // Another request may have registered some of them first
+      canonical = await resolve();
+    }
+
+    return Array.from(new Set(names.map(name => canonical.get(name.toLowerCase()) || name)));
+  }
+
+  /**
+   * Expand topics with every topic below them in the taxonomy
+   * @param {Array} topics - Canonical topic names
+   * @param {Object} db - Database client or { query } to run in
+   * @returns {Map} Topic name to the names of itself and its descendants
+   */
+  async expandTopics(topics, db = { query }) {
+    const expanded = new Map(topics.map(topic => [topic, [topic]]));
+    if (topics.length === 0) {
+      return expanded;
+    }
+
+    const result = await db.query(`
+      WITH RECURSIVE descendants AS (
+        SELECT t.name AS root, t.name FROM topics t WHERE t.name = ANY($1::text[])
+        UNION
+        SELECT d.root, t.name FROM topics t JOIN descendants d ON t.parent_name = d.name
+      )
+      SELECT root, array_agg(name::text) AS names FROM descendants GROUP BY root
+    `, [topics]);
+
+    for (const row of result.rows) {
+      expanded.set(row.root, row.names);
+    }
+    return expanded;
+  }
+
+  /**
+   * List topics for autocomplete. A topic matches when its name or one of its
+   * aliases starts with the prefix, ignoring case. Most used topics come first.
+   * @param {Object} options - { prefix, limit }
+   * @returns {Object} Result with topics, their parent, aliases and usage counts
+   */
+  async listTopics({ prefix, limit = DEFAULT_TOPIC_LIMIT } = {}) {
+    try {
+      const pattern = prefix ? `${escapeLike(prefix.trim().toLowerCase())}%` : null;
+
+      const result = await query(`
+        SELECT t.name, t.parent_name,
+               ARRAY(
+                 SELECT a.alias::text FROM topic_aliases a
+                 WHERE a.topic_name = t.name AND a.alias <> LOWER(t.name)
+                 ORDER BY a.alias
+               ) AS aliases,
+               (SELECT COUNT(*)::int FROM conferences c
+                WHERE c.topics @> ARRAY[t.name]::text[] AND c.status = 'SCHEDULED') AS conference_count,
+               (SELECT COUNT(*)::int FROM users u
+                WHERE u.interested_topics @> ARRAY[t.name]::text[]) AS user_count
+        FROM topics t
+        WHERE $1::text IS NULL
+           OR EXISTS (
+             SELECT 1 FROM topic_aliases a
+             WHERE a.topic_name = t.name AND a.alias LIKE $1
+           )
+        ORDER BY conference_count + user_count DESC, t.name ASC
+        LIMIT $2
+      `, [pattern, limit]);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Error in listTopics', { error });
+      return {
+        success: false,
+        error: 'Failed to list topics'
+      };
+    }
+  }
+
+  /**
+   * Get a topic with its aliases
+   * @param {string} name - Topic name, alias or any casing of either
+   * @param {Object} db - Database client or { query } to run in
+   * @returns {Object|null} Topic or null if not found
+   */
+  async getTopic(name, db = { query }) {
+    const result = await db.query(`
+      SELECT t.name, t.parent_name,
+             ARRAY(
+               SELECT a.alias::text FROM topic_aliases a
+               WHERE a.topic_name = t.name AND a.alias <> LOWER(t.name)
+               ORDER BY a.alias
+             ) AS aliases,
+             t.created_at
+      FROM topic_aliases a
+      JOIN topics t ON t.name = a.topic_name
+      WHERE a.alias = LOWER(TRIM($1))
+    `, [name]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Create a canonical topic
+   * @param {Object} topicData - { name, parent, aliases }
+   * @returns {Object} Result with the created topic
+   */
+  async createTopic({ name, parent = null, aliases = [] }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await this.getTopic(name, client);
+      if (existing) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: `Topic already exists as ${existing.name}`
+        };
+      }
+
+      await client.query('INSERT INTO topics (name) VALUES ($1)', [name.trim()]);
+      await client.query(
+        'INSERT INTO topic_aliases (alias, topic_name) VALUES (LOWER($1::text), $1::text)',
+        [name.trim()]
+      );
+
+      const result = await this.applyTopicChanges(client, name.trim(), { parent, aliases });
+      if (!result.success) {
+        await client.query('ROLLBACK');
+        return result;
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Topic created successfully',
+        data: result.data,
+        merged_topics: result.merged
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in createTopic', { error });
+
+      if (error.code === '23505') { // Registered concurrently
+        return {
+          success: false,
+          error: 'Topic already exists'
+        };
+      }
+
+      return {
+        success: false,
+        error: 'Failed to create topic',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Change a topic's parent and add aliases to it
+   * @param {string} name - Topic name or alias
+   * @param {Object} topicData - { parent, aliases } where parent null detaches the topic
+   * @returns {Object} Result with the updated topic and any topics merged into it
+   */
+  async updateTopic(name, { parent, aliases = [] }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const topic = await this.getTopic(name, client);
+      if (!topic) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Topic not found'
+        };
+      }
+
+      // Serialize changes to the same topic
+      await client.query('SELECT name FROM topics WHERE name = $1 FOR UPDATE', [topic.name]);
+
+      const result = await this.applyTopicChanges(client, topic.name, { parent, aliases });
+      if (!result.success) {
+        await client.query('ROLLBACK');
+        return result;
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        message: 'Topic updated successfully',
+        data: result.data,
+        merged_topics: result.merged
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in updateTopic', { error });
+      return {
+        success: false,
+        error: 'Failed to update topic',
+        details: error.message
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Set a topic's parent and add aliases. An alias that is the name of another
+   * topic merges that topic into this one: conferences and users are moved over,
+   * along with its aliases and child topics. Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {string} name - Canonical topic name
+   * @param {Object} changes - { parent, aliases } where an undefined parent is left as is
+   * @returns {Object} Result with the topic and the names of merged topics
+   */
+  async applyTopicChanges(client, name, { parent, aliases = [] }) {
+    const merged = [];
+
+    for (const alias of aliases.map(value => value.trim().toLowerCase())) {
+      const owner = await client.query(`
+        SELECT a.topic_name, LOWER(a.topic_name) = a.alias AS is_name
+        FROM topic_aliases a
+        WHERE a.alias = $1
+      `, [alias]);
+
+      if (owner.rows.length === 0) {
+        await client.query(
+          'INSERT INTO topic_aliases (alias, topic_name) VALUES ($1, $2)',
+          [alias, name]
+        );
+        continue;
+      }
+
+      const { topic_name: ownerName, is_name: isName } = owner.rows[0];
+      if (ownerName === name) {
+        continue;
+      }
+      if (!isName) {
+        return {
+          success: false,
+          error: `Alias ${alias} already belongs to topic ${ownerName}`
+        };
+      }
+      if (await this.isAncestor(client, ownerName, name)) {
+        return {
+          success: false,
+          error: `Cannot merge topic ${ownerName} into its descendant ${name}`
+        };
+      }
+
+      await this.mergeTopic(client, ownerName, name);
+      merged.push(ownerName);
+    }
+
+    if (parent !== undefined) {
+      let parentName = null;
+      if (parent !== null) {
+        const parentTopic = await this.getTopic(parent, client);
+        if (!parentTopic) {
+          return {
+            success: false,
+            error: 'Parent topic not found'
+          };
+        }
+        parentName = parentTopic.name;
+
+        // The new parent must not be the topic itself or one of its descendants
+        if (parentName === name || await this.isAncestor(client, name, parentName)) {
+          return {
+            success: false,
+            error: 'A topic cannot be its own ancestor'
+          };
+        }
+      }
+
+      await client.query('UPDATE topics SET parent_name = $1 WHERE name = $2', [parentName, name]);
+    }
+
+    return {
+      success: true,
+      data: await this.getTopic(name, client),
+      merged
+    };
+  }
+
+  /**
+   * Check whether a topic is above another one in the taxonomy
+   * @param {Object} db - Database client or { query } to run in
+   * @param {string} ancestor - Possible ancestor
+   * @param {string} name - Topic name
+   * @returns {boolean} True if ancestor is a parent, grandparent, etc. of the topic
+   */
+  async isAncestor(db, ancestor, name) {
+    const result = await db.query(`
+      WITH RECURSIVE ancestors AS (
+        SELECT parent_name AS name FROM topics WHERE name = $1
+        UNION
+        SELECT t.parent_name FROM topics t JOIN ancestors a ON t.name = a.name
+      )
+      SELECT 1 FROM ancestors WHERE name = $2
+    `, [name, ancestor]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Merge one topic into another. Runs in the caller's transaction.
+   * @param {Object} client - Database client
+   * @param {string} from - Topic to merge and delete
+   * @param {string} into - Topic that takes its place
+   */
+  async mergeTopic(client, from, into) {
+    await client.query(rewriteTopicColumn('conferences', 'topics'), [from, into]);
+    await client.query(rewriteTopicColumn('users', 'interested_topics'), [from, into]);
+
+    await client.query('UPDATE topic_aliases SET topic_name = $2 WHERE topic_name = $1', [from, into]);
+    await client.query(
+      'UPDATE topics SET parent_name = $2 WHERE parent_name = $1 AND name <> $2',
+      [from, into]
+    );
+    await client.query('DELETE FROM topics WHERE name = $1', [from]);
+  }
+}
+
+module.exports = new TopicService();
@@ -1,27 +1,46 @@
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const { paginatedQuery, toPageResponse } = require('../utils/pagination');
+const topicService = require('./topicService');
+const bookingService = require('./bookingService');
+const logger = require('../utils/logger');
+
+// JSONB fields that hold a user ID: booking history metadata and webhook payloads
+const METADATA_USER_PATHS = ['from_user_id', 'to_user_id'];
+const PAYLOAD_USER_PATHS = ['data,user_id', 'data,from_user_id', 'data,to_user_id'];
+
+// Set each of the paths in a JSONB column that holds $1 to $2; other values are left alone
+const replaceUserIdFields = (column, paths) => paths.reduce((expr, path) => `
+  jsonb_set(${expr}, '{${path}}', CASE
+    WHEN ${column} #>> '{${path}}' = $1 THEN to_jsonb($2::text)
+    ELSE COALESCE(${column} #> '{${path}}', 'null')
+  END, false)
+`, column);
+
+// Rows whose JSONB column holds $1 at one of the paths
+const referencesUserId = (column, paths) => paths
+  .map(path => `${column} #>> '{${path}}' = $1`)
+  .join(' OR ');
 
 class UserService {
   /**
    * Add a new user
-   * @param {Object} userData - User data including user_id and interested_topics
+   * @param {Object} userData - User data including user_id, interested_topics and optional role and email
    * @returns {Object} Result with success/error status
    */
   async addUser(userData) {
     try {
-      const { user_id, interested_topics } = userData;
+      const { user_id, interested_topics, role = 'attendee', email = null } = userData;
 
-      // Convert topics string to array
-      const topicsArray = interested_topics.split(',')
-        .map(topic => topic.trim())
-        .filter(topic => topic.length > 0);
+      // Convert topics string to canonical topic names
+      const topicsArray = await topicService.normalizeTopics(interested_topics.split(','));
 
       // Insert user into database
       const result = await query(
-        `INSERT INTO users (user_id, interested_topics)
-         VALUES ($1, $2)
+        `INSERT INTO users (user_id, interested_topics, role, email)
+         VALUES ($1, $2, $3, $4)
          RETURNING *`,
-        [user_id, topicsArray]
+        [user_id, topicsArray, role, email]
       );
 
       return {
@@ -30,7 +49,7 @@ class UserService {
         message: 'User added successfully'
       };
     } catch (error) {
-      console.error('Error in addUser:', error);
+      logger.error('Error in addUser', { error });
       
       if (error.code === '23505') { // Unique violation
         return {
@@ -55,7 +74,7 @@ class UserService {
   async getUserById(userId) {
     try {
       const result = await query(
-        'SELECT * FROM users WHERE user_id = $1',
+        'SELECT * FROM users WHERE user_id = $1 AND erased_at IS NULL',
         [userId]
       );
 
@@ -65,28 +84,49 @@ class UserService {
 
       return result.rows[0];
     } catch (error) {
-      console.error('Error in getUserById:', error);
+      logger.error('Error in getUserById', { error });
       throw error;
     }
   }
 
   /**
-   * Get all users
-   * @returns {Object} List of all users
+   * Get all users, one page at a time
+   * @param {Object} filters - { role }
+   * @param {Object} page - { limit, cursor, sort, order }
+   * @returns {Object} Page of users with pagination details
    */
-  async getAllUsers() {
+  async getAllUsers({ role } = {}, page = {}) {
     try {
-      const result = await query(
-        'SELECT user_id, interested_topics, created_at FROM users ORDER BY created_at DESC'
-      );
+      const where = ['erased_at IS NULL'];
+      const params = [];
+      if (role) {
+        params.push(role);
+        where.push(`role = $${params.length}`);
+      }
 
-      return {
-        success: true,
-        data: result.rows,
-        count: result.rows.length
-      };
+      const result = await paginatedQuery({
+        select: 'user_id, interested_topics, role, created_at',
+        from: 'users',
+        where,
+        params,
+        sortFields: {
+          created_at: { column: 'created_at', type: 'timestamptz' },
+          user_id: { column: 'user_id', type: 'text' }
+        },
+        defaultSort: 'created_at',
+        defaultOrder: 'desc',
+        key: { column: 'user_id', type: 'text' }
+      }, page);
+      if (result.error) {
+        return {
+          success: false,
+          error: result.error
+        };
+      }
+
+      return toPageResponse(result);
     } catch (error) {
-      console.error('Error in getAllUsers:', error);
+      logger.error('Error in getAllUsers', { error });
       return {
         success: false,
         error: 'Failed to fetch users'
@@ -102,9 +142,7 @@ class UserService {
    */
   async updateUserTopics(userId, interestedTopics) {
     try {
-      const topicsArray = interestedTopics.split(',')
-        .map(topic => topic.trim())
-        .filter(topic => topic.length > 0);
+      const topicsArray = await topicService.normalizeTopics(interestedTopics.split(','));
 
       const result = await query(
         `UPDATE users 
@@ -127,7 +165,7 @@ class UserService {
         message: 'User topics updated successfully'
       };
     } catch (error) {
-      console.error('Error in updateUserTopics:', error);
+      logger.error('Error in updateUserTopics', { error });
       return {
         success: false,
         error: 'Failed to update user topics',
@@ -137,95 +175,136 @@ class UserService {
   }
 
   /**
-   * Get user's booking history
-   * @param {string} userId - User ID to retrieve bookings for
-   * @returns {Object} List of user's bookings
+   * Update user's role
+   * @param {string} userId - User ID to update
+   * @param {string} role - New role (admin, organizer or attendee)
+   * @returns {Object} Result with success/error status
    */
-  async getUserBookings(userId) {
+  async updateUserRole(userId, role) {
     try {
       const result = await query(
-        `SELECT 
-           b.booking_id,
-           b.conference_name,
-           b.status,
-           b.created_at as booking_date,
-           c.start_time,
-           c.end_time,
-           c.location,
-           w.position as waitlist_position
-         FROM bookings b
-         JOIN conferences c ON b.conference_name = c.name
-         LEFT JOIN waitlist w ON b.booking_id = w.booking_id
-         WHERE b.user_id = $1
-         ORDER BY c.start_time DESC`,
-        [userId]
+        `UPDATE users 
+         SET role = $1 
+         WHERE user_id = $2
+         RETURNING *`,
+        [role, userId]
       );
 
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+
       return {
         success: true,
-        data: result.rows,
-        count: result.rows.length
+        data: result.rows[0],
+        message: 'User role updated successfully'
       };
     } catch (error) {
-      console.error('Error in getUserBookings:', error);
+      logger.error('Error in updateUserRole', { error });
       return {
         success: false,
-        error: 'Failed to fetch user bookings'
+        error: 'Failed to update user role',
+        details: error.message
       };
     }
   }
 
   /**
-   * Get recommended conferences for user based on their interests
-   * @param {string} userId - User ID to get recommendations for
-   * @param {number} limit - Maximum number of recommendations to return
-   * @returns {Object} List of recommended conferences
+   * Update a user's preferences
+   * @param {string} userId - User ID
+   * @param {Object} preferences - { waitlist_removal }
+   * @returns {Object} Result with the updated preferences
    */
-  async getRecommendedConferences(userId, limit = 10) {
+  async updateUserPreferences(userId, { waitlist_removal }) {
     try {
-      // First get user's interested topics
-      const user = await this.getUserById(userId);
-      if (!user) {
+      const result = await query(
+        `UPDATE users 
+         SET waitlist_removal = $1 
+         WHERE user_id = $2
+         RETURNING user_id, waitlist_removal`,
+        [waitlist_removal, userId]
+      );
+
+      if (result.rows.length === 0) {
         return {
           success: false,
           error: 'User not found'
         };
       }
 
-      // Find conferences with matching topics that haven't started yet
-      const result = await query(
-        `SELECT 
-           c.name,
-           c.location,
-           c.topics,
-           c.start_time,
-           c.end_time,
-           c.available_slots,
-           -- Calculate relevance score based on topic matches
-           (
-             SELECT COUNT(*) 
-             FROM unnest(c.topics) AS ct
-             WHERE ct = ANY($1)
-           ) AS relevance_score
-         FROM conferences c
-         WHERE c.start_time > NOW()
-           AND c.available_slots > 0
-           AND c.topics && $1
-         ORDER BY relevance_score DESC, c.start_time ASC
-         LIMIT $2`,
-        [user.interested_topics, limit]
-      );
-
       return {
         success: true,
-        data: result.rows,
-        count: result.rows.length
+        data: result.rows[0],
+        message: 'User preferences updated successfully'
       };
     } catch (error) {
-      console.error('Error in getRecommendedConferences:', error);
+      logger.error('Error in updateUserPreferences', { error });
+      return {
+        success: false,
+        error: 'Failed to update user preferences',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Get user's booking history
+   * @param {string} userId - User ID to retrieve bookings for
+   * @param {Object} filters - { status }
+   * @param {Object} page - { limit, cursor, sort, order }
+   * @returns {Object} Page of the user's bookings with pagination details
+   */
+  async getUserBookings(userId, { status } = {}, page = {}) {
+    try {
+      const where = ['b.user_id = $1'];
+      const params = [userId];
+      if (status) {
+        params.push(status);
+        where.push(`b.status = $${params.length}`);
+      }
+
+      const result = await paginatedQuery({
+        select: `
+          b.booking_id,
+          b.conference_name,
+          b.status,
+          b.created_at as booking_date,
+          c.start_time,
+          c.end_time,
+          c.location,
+          w.position as waitlist_position
+        `,
+        from: `
+          bookings b
+          JOIN conferences c ON b.conference_name = c.name
+          LEFT JOIN waitlist w ON b.booking_id = w.booking_id
+        `,
+        where,
+        params,
+        sortFields: {
+          start_time: { column: 'c.start_time', type: 'timestamptz' },
+          booking_date: { column: 'b.created_at', type: 'timestamptz' }
+        },
+        defaultSort: 'start_time',
+        defaultOrder: 'desc',
+        key: { column: 'b.booking_id', type: 'uuid' }
+      }, page);
+      if (result.error) {
+        return {
+          success: false,
+          error: result.error
+        };
+      }
+
+      return toPageResponse(result);
+    } catch (error) {
+      logger.error('Error in getUserBookings', { error });
       return {
         success: false,
-        error: 'Failed to get recommendations'
+        error: 'Failed to fetch user bookings'
       };
     }
   }
@@ -250,7 +329,13 @@ class UserService {
            COUNT(*) as total_bookings,
            COUNT(CASE WHEN status = 'CONFIRMED' THEN 1 END) as confirmed_bookings,
            COUNT(CASE WHEN status = 'WAITLISTED' THEN 1 END) as waitlisted_bookings,
-           COUNT(CASE WHEN status = 'CANCELED' THEN 1 END) as canceled_bookings
+           COUNT(CASE WHEN status = 'CANCELED' THEN 1 END) as canceled_bookings,
+           COUNT(CASE WHEN attendance = 'ATTENDED' THEN 1 END) as attended_bookings,
+           COUNT(CASE WHEN attendance = 'NO_SHOW' THEN 1 END) as no_show_bookings,
+           ROUND(COUNT(CASE WHEN attendance = 'ATTENDED' THEN 1 END)::numeric
+             / NULLIF(COUNT(attendance), 0), 4) as attendance_rate,
+           ROUND(COUNT(CASE WHEN attendance = 'NO_SHOW' THEN 1 END)::numeric
+             / NULLIF(COUNT(attendance), 0), 4) as no_show_rate
          FROM bookings
          WHERE user_id = $1`,
         [userId]
@@ -276,7 +361,7 @@ class UserService {
         }
       };
     } catch (error) {
-      console.error('Error in getUserStats:', error);
+      logger.error('Error in getUserStats', { error });
       return {
         success: false,
         error: 'Failed to get user statistics'
@@ -285,28 +370,93 @@ class UserService {
   }
 
   /**
-   * Delete user and all their bookings
-   * @param {string} userId - User ID to delete
-   * @returns {Object} Result with success/error status
+   * Collect everything stored about a user, for a personal data export
+   * @param {string} userId - User ID
+   * @returns {Object} Result with the profile, bookings, booking history, seat offers and notifications
    */
-  async deleteUser(userId) {
-    const client = await query.getClient();
+  async exportUserData(userId) {
     try {
-      await client.query('BEGIN');
+      const user = await this.getUserById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
 
-      // First delete all bookings for this user
-      await client.query(
-        'DELETE FROM bookings WHERE user_id = $1',
-        [userId]
-      );
+      const bookingsResult = await query(`
+        SELECT b.*, c.location, c.start_time, c.end_time, c.status AS conference_status,
+               w.position AS waitlist_position
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        LEFT JOIN waitlist w ON b.booking_id = w.booking_id
+        WHERE b.user_id = $1
+        ORDER BY b.created_at ASC
+      `, [userId]);
 
-      // Then delete the user
-      const result = await client.query(
-        'DELETE FROM users WHERE user_id = $1 RETURNING *',
+      const historyResult = await query(`
+        SELECT booking_id, conference_name, event_type, from_status, to_status,
+               from_position, to_position, confirm_by, actor, source, reason, metadata, created_at
+        FROM booking_events
+        WHERE user_id = $1
+        ORDER BY id ASC
+      `, [userId]);
+
+      const offersResult = await query(`
+        SELECT offer_id, booking_id, conference_name, status, expires_at, responded_at, created_at
+        FROM waitlist_offers
+        WHERE user_id = $1
+        ORDER BY created_at ASC
+      `, [userId]);
+
+      const notificationsResult = await query(`
+        SELECT id, event_type, booking_id, conference_name, payload, status, sent_at, created_at
+        FROM notifications
+        WHERE user_id = $1
+        ORDER BY id ASC
+      `, [userId]);
+
+      return {
+        success: true,
+        data: {
+          exported_at: new Date().toISOString(),
+          profile: user,
+          bookings: bookingsResult.rows,
+          booking_history: historyResult.rows,
+          waitlist_offers: offersResult.rows,
+          notifications: notificationsResult.rows
+        }
+      };
+    } catch (error) {
+      logger.error('Error in exportUserData', { error });
+      return {
+        success: false,
+        error: 'Failed to export user data'
+      };
+    }
+  }
+
+  /**
+   * Erase a user. Bookings for conferences that have not started are canceled,
+   * releasing their seats. Historical bookings, their history and seat offers are
+   * kept for conference statistics, but moved to a pseudonymous placeholder user.
+   * Notifications and stored idempotent responses are deleted along with the user.
+   * Runs in a single transaction.
+   * @param {string} userId - User ID to erase
+   * @param {Object} context - { actor, source } recorded in the booking history
+   * @returns {Object} Result with the canceled bookings and the number of anonymized bookings
+   */
+  async eraseUser(userId, context) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT user_id FROM users WHERE user_id = $1 AND erased_at IS NULL FOR UPDATE',
         [userId]
       );
-
-      if (result.rows.length === 0) {
+      if (userResult.rows.length === 0) {
         await client.query('ROLLBACK');
         return {
           success: false,
@@ -314,17 +464,102 @@ class UserService {
         };
       }
 
+      // Same lock order as a booking: user, then conference, then the booking
+      const activeResult = await client.query(`
+        SELECT b.booking_id, b.conference_name
+        FROM bookings b
+        JOIN conferences c ON b.conference_name = c.name
+        WHERE b.user_id = $1
+          AND b.status IN ('CONFIRMED', 'WAITLISTED')
+          AND c.start_time > NOW()
+        ORDER BY b.conference_name ASC
+      `, [userId]);
+
+      const canceledBookings = [];
+      for (const { booking_id, conference_name } of activeResult.rows) {
+        await bookingService.lockConference(client, conference_name);
+        const bookingResult = await client.query(
+          'SELECT * FROM bookings WHERE booking_id = $1 FOR UPDATE',
+          [booking_id]
+        );
+        const booking = bookingResult.rows[0];
+        if (booking.status === 'CANCELED') {
+          continue;
+        }
+
+        await bookingService.cancelLockedBooking(client, booking, context, { reason: 'User erased' });
+        canceledBookings.push({ booking_id, conference_name, status: booking.status });
+      }
+
+      // The placeholder keeps the bookings' foreign keys and one-booking-per-conference rule intact
+      const pseudonym = `erased-${uuidv4()}`;
+      await client.query(`
+        INSERT INTO users (user_id, interested_topics, erased_at)
+        VALUES ($1, '{}', CURRENT_TIMESTAMP)
+      `, [pseudonym]);
+
+      const anonymizedResult = await client.query(
+        'UPDATE bookings SET user_id = $2 WHERE user_id = $1',
+        [userId, pseudonym]
+      );
+      await client.query(
+        'UPDATE bookings SET checked_in_by = $2 WHERE checked_in_by = $1',
+        [userId, pseudonym]
+      );
+      await client.query(
+        'UPDATE waitlist_offers SET user_id = $2 WHERE user_id = $1',
+        [userId, pseudonym]
+      );
+
+      // Booking history names the user as owner, as actor, and in transfer metadata
+      await client.query(`
+        UPDATE booking_events
+        SET user_id = CASE WHEN user_id = $1 THEN $2 ELSE user_id END,
+            actor = CASE WHEN actor = $1 THEN $2 ELSE actor END,
+            metadata = ${replaceUserIdFields('metadata', METADATA_USER_PATHS)}
+        WHERE user_id = $1 OR actor = $1 OR ${referencesUserId('metadata', METADATA_USER_PATHS)}
+      `, [userId, pseudonym]);
+
+      // Webhook payloads already sent, or queued above, carry the user ID
+      await client.query(`
+        UPDATE webhook_deliveries
+        SET payload = ${replaceUserIdFields('payload', PAYLOAD_USER_PATHS)}
+        WHERE ${referencesUserId('payload', PAYLOAD_USER_PATHS)}
+      `, [userId, pseudonym]);
+
+      await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM idempotency_keys WHERE scope = $1', [userId]);
+
+      // Conferences and webhooks keep who canceled or created them, as the placeholder
+      await client.query(
+        'UPDATE conferences SET canceled_by = $2 WHERE canceled_by = $1',
+        [userId, pseudonym]
+      );
+      await client.query(
+        'UPDATE webhook_subscriptions SET created_by = $2 WHERE created_by = $1',
+        [userId, pseudonym]
+      );
+
+      // Conferences the user organized stay, without an organizer
+      await client.query('DELETE FROM users WHERE user_id = $1', [userId]);
+
       await client.query('COMMIT');
+
       return {
         success: true,
-        message: 'User deleted successfully'
+        message: 'User erased successfully',
+        data: {
+          user_id: userId,
+          canceled_bookings: canceledBookings,
+          anonymized_bookings: anonymizedResult.rowCount
+        }
       };
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Error in deleteUser:', error);
+      logger.error('Error in eraseUser', { error });
       return {
         success: false,
-        error: 'Failed to delete user',
+        error: 'Failed to erase user',
         details: error.message
       };
     } finally {
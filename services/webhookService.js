@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// How long a claimed delivery is hidden from other dispatchers while it is being sent
+const CLAIM_LEASE_SECONDS = 300;
+
+// Subscription columns safe to return (the secret is only shown on creation)
+const SUBSCRIPTION_COLUMNS = 'id, url, event_types, description, active, created_by, created_at, updated_at';
+
+class WebhookService {
+
+  /**
+   * Register a webhook subscription
+   * @param {Object} subscriptionData - { url, event_types, description }
+   * @param {string} createdBy - Actor creating the subscription
+   * @returns {Object} Result with subscription, including its signing secret
+   */
+  async createSubscription(subscriptionData, createdBy) {
+    try {
+      const { url, event_types, description = null } = subscriptionData;
+      const secret = crypto.randomBytes(32).toString('hex');
+
+      const result = await query(`
+        INSERT INTO webhook_subscriptions (id, url, event_types, secret, description, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+      `, [uuidv4(), url, event_types, secret, description, createdBy]);
+
+      return {
+        success: true,
+        message: 'Webhook subscription created. Store the secret now; it will not be shown again.',
+        data: result.rows[0]
+      };
+    } catch (error) {
+      logger.error('Error in createSubscription', { error });
+      return {
+        success: false,
+        error: 'Failed to create webhook subscription',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all webhook subscriptions
+   * @returns {Object} List of subscriptions
+   */
+  async getAllSubscriptions() {
+    try {
+      const result = await query(`
+        SELECT ${SUBSCRIPTION_COLUMNS}
+        FROM webhook_subscriptions
+        ORDER BY created_at DESC
+      `);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Error in getAllSubscriptions', { error });
+      return {
+        success: false,
+        error: 'Failed to fetch webhook subscriptions'
+      };
+    }
+  }
+
+  /**
+   * Get a webhook subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} Subscription or null
+   */
+  async getSubscriptionById(subscriptionId) {
+    try {
+      const result = await query(
+        `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+        [subscriptionId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      if (error.code === '22P02') { // Invalid UUID syntax
+        return null;
+      }
+      logger.error('Error in getSubscriptionById', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a subscription's URL, event types, description or active flag
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Object} Result with updated subscription
+   */
+  async updateSubscription(subscriptionId, updateData) {
+    try {
+      const { url, event_types, description, active } = updateData;
+
+      const result = await query(`
+        UPDATE webhook_subscriptions
+        SET url = COALESCE($2, url),
+            event_types = COALESCE($3, event_types),
+            description = COALESCE($4, description),
+            active = COALESCE($5, active)
+        WHERE id = $1
+        RETURNING ${SUBSCRIPTION_COLUMNS}
+      `, [subscriptionId, url, event_types, description, active]);
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Webhook subscription not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Webhook subscription updated successfully',
+        data: result.rows[0]
+      };
+    } catch (error) {
+      logger.error('Error in updateSubscription', { error });
+      return {
+        success: false,
+        error: 'Failed to update webhook subscription',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery history
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} Result with success/error status
+   */
+  async deleteSubscription(subscriptionId) {
+    try {
+      const result = await query(
+        'DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id',
+        [subscriptionId]
+      );
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Webhook subscription not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Webhook subscription deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error in deleteSubscription', { error });
+      return {
+        success: false,
+        error: 'Failed to delete webhook subscription',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Queue an event for every active subscription listening to it.
+   * Pass the caller's transaction client so deliveries only exist if the change commits.
+   * @param {Object} client - Database client
+   * @param {string} eventType - Event type (see WEBHOOK_EVENTS in utils/validators)
+   * @param {Object} data - Event data
+   */
+  async publish(client, eventType, data) {
+    try {
+      const payload = {
+        event: eventType,
+        occurred_at: new Date().toISOString(),
+        data
+      };
+
+      const subscriptionsResult = await client.query(`
+        SELECT id FROM webhook_subscriptions
+        WHERE active = TRUE AND $1::text = ANY(event_types)
+      `, [eventType]);
+      if (subscriptionsResult.rows.length === 0) {
+        return;
+      }
+
+      const subscriptionIds = subscriptionsResult.rows.map(row => row.id);
+      await client.query(`
+        INSERT INTO webhook_deliveries (id, subscription_id, event_type, payload)
+        SELECT delivery.id, delivery.subscription_id, $3::text, $4::jsonb
+        FROM unnest($1::uuid[], $2::uuid[]) AS delivery(id, subscription_id)
+      `, [subscriptionIds.map(() => uuidv4()), subscriptionIds, eventType, payload]);
+    } catch (error) {
+      logger.error('Error in publish', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a webhook body
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix timestamp sent in X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex HMAC-SHA256 of "timestamp.body"
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Send one delivery and record the attempt
+   * @param {Object} delivery - Delivery row joined with subscription url and secret
+   * @returns {Object} { ok, status, error }
+   */
+  async attemptDelivery(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const start = Date.now();
+    let status = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(delivery.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(parseInt(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS)
+      });
+      status = response.status;
+      if (!response.ok) {
+        error = `Endpoint responded with status ${status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    await query(`
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempt_number, response_status, error, duration_ms)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [delivery.id, delivery.attempts + 1, status, error, Date.now() - start]);
+
+    return { ok: error === null, status, error };
+  }
+
+  /**
+   * Deliver pending webhooks that are due, retrying failures with exponential backoff
+   * @param {number} batchSize - Maximum deliveries to process
+   * @returns {Object} Counts of succeeded, retried and failed deliveries
+   */
+  async dispatchPending(batchSize = DEFAULT_BATCH_SIZE) {
+    const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+    const summary = { succeeded: 0, retried: 0, failed: 0 };
+
+    // Claim a batch by pushing its next attempt into the future
+    const claimed = await query(`
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+      FROM webhook_subscriptions s
+      WHERE d.subscription_id = s.id
+        AND d.id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY created_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+      RETURNING d.*, s.url, s.secret
+    `, [batchSize, CLAIM_LEASE_SECONDS]);
+
+    for (const delivery of claimed.rows) {
+      const result = await this.attemptDelivery(delivery);
+      const attempts = delivery.attempts + 1;
+
+      if (result.ok) {
+        await query(`
+          UPDATE webhook_deliveries
+          SET status = 'SUCCEEDED', attempts = $2, last_response_status = $3,
+              last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [delivery.id, attempts, result.status]);
+        summary.succeeded++;
+        continue;
+      }
+
+      const giveUp = attempts >= maxAttempts;
+      await query(`
+        UPDATE webhook_deliveries
+        SET status = $2, attempts = $3, last_response_status = $4, last_error = $5,
+            next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $6)
+        WHERE id = $1
+      `, [
+        delivery.id,
+        giveUp ? 'FAILED' : 'PENDING',
+        attempts,
+        result.status,
+        result.error,
+        retryBaseSeconds * Math.pow(2, attempts - 1)
+      ]);
+
+      if (giveUp) {
+        logger.warn('Webhook delivery failed for good', { delivery_id: delivery.id, attempts, error: result.error });
+        summary.failed++;
+      } else {
+        summary.retried++;
+      }
+    }
+
+    if (claimed.rows.length > 0) {
+      logger.info('Dispatched webhooks', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get recent deliveries for a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} filters - { status, limit }
+   * @returns {Object} List of deliveries
+   */
+  async getDeliveries(subscriptionId, { status = null, limit = 50 } = {}) {
+    try {
+      const result = await query(`
+        SELECT id, event_type, status, attempts, next_attempt_at, last_response_status,
+               last_error, replay_of, delivered_at, created_at
+        FROM webhook_deliveries
+        WHERE subscription_id = $1
+          AND ($2::varchar IS NULL OR status = $2)
+        ORDER BY created_at DESC
+        LIMIT $3
+      `, [subscriptionId, status, limit]);
+
+      return {
+        success: true,
+        data: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Error in getDeliveries', { error });
+      return {
+        success: false,
+        error: 'Failed to fetch webhook deliveries'
+      };
+    }
+  }
+
+  /**
+   * Get a delivery with its payload and attempt log
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} Delivery details
+   */
+  async getDelivery(subscriptionId, deliveryId) {
+    try {
+      const deliveryResult = await query(
+        'SELECT * FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2',
+        [deliveryId, subscriptionId]
+      );
+
+      if (deliveryResult.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Webhook delivery not found'
+        };
+      }
+
+      const attemptsResult = await query(`
+        SELECT attempt_number, response_status, error, duration_ms, attempted_at
+        FROM webhook_delivery_attempts
+        WHERE delivery_id = $1
+        ORDER BY attempt_number ASC
+      `, [deliveryId]);
+
+      return {
+        success: true,
+        data: {
+          ...deliveryResult.rows[0],
+          attempt_log: attemptsResult.rows
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getDelivery', { error });
+      return {
+        success: false,
+        error: 'Failed to fetch webhook delivery'
+      };
+    }
+  }
+
+  /**
+   * Queue a new delivery with the same payload as an earlier one
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} deliveryId - Delivery to replay
+   * @returns {Object} Result with the new delivery ID
+   */
+  async replayDelivery(subscriptionId, deliveryId) {
+    try {
+      const result = await query(`
+        INSERT INTO webhook_deliveries (id, subscription_id, event_type, payload, replay_of)
+        SELECT $3, subscription_id, event_type, payload, id
+        FROM webhook_deliveries
+        WHERE id = $1 AND subscription_id = $2
+        RETURNING id, event_type, status, replay_of, created_at
+      `, [deliveryId, subscriptionId, uuidv4()]);
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: 'Webhook delivery not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Webhook delivery queued for replay',
+        data: result.rows[0]
+      };
+    } catch (error) {
+      logger.error('Error in replayDelivery', { error });
+      return {
+        success: false,
+        error: 'Failed to replay webhook delivery',
+        details: error.message
+      };
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { hoursFromNow, testContext, conferenceRow, waitlistRows, installConferenceStore } = require('./helpers/fixtures');
+
+const db = installFakeDatabase();
+const bookingService = require('../services/bookingService');
+
+const BOOKINGS = 200;
+
+/**
+ * Book the conference for BOOKINGS different users at once
+ * @returns {Array} Booking results
+ */
+const bookInParallel = () => Promise.all(Array.from({ length: BOOKINGS }, (_, i) => {
+  const userId = `user-${i}`;
+  return bookingService.attemptBooking({ conference_name: 'NodeConf', user_id: userId }, testContext(userId));
+}));
+
+describe('parallel bookings for one conference', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/SELECT waitlist_removal FROM users/, [{ waitlist_removal: 'NONE' }]);
+  });
+
+  it('confirms no more bookings than there are seats', async () => {
+    const store = installConferenceStore(db, conferenceRow({ available_slots: 5, total_slots: 5 }));
+
+    const results = await bookInParallel();
+
+    assert.ok(results.every(result => result.success));
+    const confirmed = store.bookings.filter(booking => booking.status === 'CONFIRMED');
+    assert.ok(confirmed.length <= 5, `${confirmed.length} bookings confirmed for 5 seats`);
+    assert.equal(confirmed.length, 5);
+    assert.equal(store.conference.available_slots, 0);
+    assert.equal(results.filter(result => result.status === 'CONFIRMED').length, 5);
+  });
+
+  it('gives every waitlisted booking its own position, in order', async () => {
+    const store = installConferenceStore(db, conferenceRow({ available_slots: 5, total_slots: 5 }));
+
+    await bookInParallel();
+
+    const positions = store.waitlist.map(entry => entry.position).sort((a, b) => a - b);
+    assert.deepEqual(positions, Array.from({ length: BOOKINGS - 5 }, (_, i) => i + 1));
+  });
+
+  it('keeps the seats held by open offers out of reach', async () => {
+    const store = installConferenceStore(db, conferenceRow({ available_slots: 5, total_slots: 10 }),
+      waitlistRows(['bob', 'carol'], { bob: hoursFromNow(1), carol: hoursFromNow(1) }));
+
+    await bookInParallel();
+
+    assert.equal(store.bookings.filter(booking => booking.status === 'CONFIRMED').length, 3);
+    assert.equal(store.conference.available_slots, 2);
+  });
+});
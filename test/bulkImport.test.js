@@ -0,0 +1,169 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { hoursFromNow } = require('./helpers/fixtures');
+
+const db = installFakeDatabase();
+const bulkService = require('../services/bulkService');
+const topicService = require('../services/topicService');
+
+const start = hoursFromNow(7 * 24);
+const end = hoursFromNow(7 * 24 + 4);
+
+const conference = (overrides = {}) => ({
+  name: 'NodeConf',
+  location: 'Berlin',
+  topics: ['js', 'Node'],
+  start_time: start.toISOString(),
+  end_time: end.toISOString(),
+  total_slots: 100,
+  ...overrides
+});
+
+// Registered aliases resolve to their canonical topic; other topics are taken as already registered
+const ALIASES = new Map([['js', 'JavaScript'], ['node', 'Node']]);
+
+/**
+ * Keep imported conferences and users in memory, dropping them when the import rolls back
+ * @returns {Object} { conferences, users } as saved
+ */
+const installImportTables = () => {
+  const tables = { conferences: [], users: [] };
+  const insert = (table, row) => (params, sql, client) => {
+    tables[table].push(row(params));
+    db.undo(client, () => tables[table].pop());
+    return [row(params)];
+  };
+
+  db.reset();
+  db.on(/SELECT alias, topic_name FROM topic_aliases WHERE alias = ANY/, (params) => params[0]
+    .map(alias => ({ alias, topic_name: ALIASES.get(alias) || alias })));
+  db.on(/^INSERT INTO conferences/, insert('conferences', params => ({ name: params[0], topics: params[2] })));
+  db.on(/^INSERT INTO users/, insert('users', params => ({ user_id: params[0], interested_topics: params[1] })));
+  return tables;
+};
+
+describe('importConferences', () => {
+  let tables;
+
+  beforeEach(() => {
+    tables = installImportTables();
+  });
+
+  it('imports valid rows with canonical topics', async () => {
+    const result = await bulkService.importConferences([conference(), conference({ name: 'JSConf' })]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, true);
+    assert.equal(result.valid_rows, 2);
+    assert.deepEqual(tables.conferences, [
+      { name: 'NodeConf', topics: ['JavaScript', 'Node'] },
+      { name: 'JSConf', topics: ['JavaScript', 'Node'] }
+    ]);
+  });
+
+  it('reports every invalid row by number and imports nothing', async () => {
+    const result = await bulkService.importConferences([
+      conference(),
+      conference({
+        name: 'Past',
+        start_time: hoursFromNow(-24).toISOString(),
+        end_time: hoursFromNow(-20).toISOString()
+      }),
+      conference({ name: 'Too many topics', topics: Array.from({ length: 11 }, (_, i) => `t${i}`) })
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.applied, false);
+    assert.deepEqual(result.errors, [
+      { row: 2, field: 'start_time', message: 'Start time must be in the future' },
+      { row: 3, field: 'topics', message: 'Maximum 10 topics allowed for conferences' }
+    ]);
+    assert.deepEqual(tables.conferences, []);
+  });
+
+  it('rejects a name repeated within the file', async () => {
+    const result = await bulkService.importConferences([conference(), conference()]);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, [{ row: 2, field: 'name', message: 'Duplicate name in import' }]);
+    assert.deepEqual(tables.conferences, []);
+  });
+
+  it('rejects a name that already exists', async () => {
+    db.on(/SELECT name FROM conferences WHERE name = \$1/, [{ name: 'NodeConf' }]);
+
+    const result = await bulkService.importConferences([conference()]);
+
+    assert.deepEqual(result.errors, [{ row: 1, field: 'name', message: 'Conference name already exists' }]);
+    assert.deepEqual(tables.conferences, []);
+  });
+
+  it('saves nothing on a dry run of a valid import', async () => {
+    const result = await bulkService.importConferences([conference()], { dryRun: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.dry_run, true);
+    assert.equal(result.applied, false);
+    assert.equal(result.valid_rows, 1);
+    assert.deepEqual(tables.conferences, []);
+  });
+
+  it('reads CSV rows the same way', async () => {
+    const csv = [
+      'name,location,topics,start_time,end_time,total_slots',
+      `NodeConf,Berlin,"js,Node",${start.toISOString()},${end.toISOString()},100`,
+      `Bad Slots,Berlin,Node,${start.toISOString()},${end.toISOString()},0`
+    ].join('\n');
+
+    const result = await bulkService.importConferences(csv, { format: 'csv' });
+
+    assert.deepEqual(result.errors, [{ row: 2, field: 'total_slots', message: 'Total slots must be a positive integer' }]);
+    assert.deepEqual(tables.conferences, []);
+  });
+
+  it('applies the topic count rules after topics are normalized', async (t) => {
+    const normalizeTopics = t.mock.method(topicService, 'normalizeTopics', async () => []);
+    let result = await bulkService.importConferences([conference()]);
+    assert.deepEqual(result.errors, [
+      { row: 1, field: 'topics', message: 'Topics must be comma-separated alphanumeric strings (max 10 topics)' }
+    ]);
+
+    normalizeTopics.mock.mockImplementation(async () => Array.from({ length: 11 }, (_, i) => `t${i}`));
+    result = await bulkService.importConferences([conference()]);
+    assert.deepEqual(result.errors, [
+      { row: 1, field: 'topics', message: 'Maximum 10 topics allowed for conferences' }
+    ]);
+    assert.deepEqual(tables.conferences, []);
+  });
+});
+
+describe('importUsers', () => {
+  let tables;
+
+  beforeEach(() => {
+    tables = installImportTables();
+  });
+
+  it('imports users with canonical interested topics', async () => {
+    const result = await bulkService.importUsers('user_id,interested_topics\nalice,"js,node"', { format: 'csv' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(tables.users, [{ user_id: 'alice', interested_topics: ['JavaScript', 'Node'] }]);
+  });
+
+  it('rejects unknown roles and interested topics that normalize to nothing', async (t) => {
+    t.mock.method(topicService, 'normalizeTopics', async (topics) => (topics.includes('gone') ? [] : topics));
+
+    const result = await bulkService.importUsers([
+      { user_id: 'alice', interested_topics: ['Node'], role: 'superuser' },
+      { user_id: 'bob', interested_topics: 'gone' },
+      { user_id: 'carol', interested_topics: 'Node' }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.valid_rows, 1);
+    assert.deepEqual(result.errors.map(error => [error.row, error.field]), [[1, 'role'], [2, 'interested_topics']]);
+    assert.deepEqual(tables.users, []);
+  });
+});
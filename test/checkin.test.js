@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { hoursFromNow, testContext, conferenceRow, bookingRow } = require('./helpers/fixtures');
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const db = installFakeDatabase();
+const checkinService = require('../services/checkinService');
+
+const context = testContext('organizer');
+
+/**
+ * Answer the check-in queries from one in-memory booking at a conference
+ * @param {Object} conference - Conference row
+ * @returns {Object} The booking, changed in place by a check-in
+ */
+const installBooking = (conference) => {
+  const booking = bookingRow({ attendance: null, checked_in_at: null, checked_in_by: null });
+  const joined = () => ({
+    ...booking,
+    start_time: conference.start_time,
+    end_time: conference.end_time,
+    conference_status: conference.status
+  });
+  db.on(/WHERE b.booking_id = \$1$/, () => [joined()]);
+  db.on(/WHERE b.booking_id = \$1 AND b.conference_name = \$2 FOR UPDATE OF b/, () => [joined()]);
+  db.on(/SET attendance = 'ATTENDED'/, (params) => {
+    Object.assign(booking, { attendance: 'ATTENDED', checked_in_at: new Date(), checked_in_by: params[1] });
+    return [booking];
+  });
+  return booking;
+};
+
+const issue = async () => (await checkinService.issueToken('00000000-0000-0000-0000-000000000001')).data.token;
+
+const payloadOf = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+
+describe('check-in tokens', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('expire when the conference ends', async () => {
+    const conference = conferenceRow({ start_time: hoursFromNow(-1), end_time: hoursFromNow(1) });
+    installBooking(conference);
+
+    const token = await issue();
+
+    assert.equal(payloadOf(token).exp, Math.floor(conference.end_time.getTime() / 1000));
+  });
+
+  it('check the attendee in inside the check-in window', async () => {
+    const booking = installBooking(conferenceRow({ start_time: hoursFromNow(-1), end_time: hoursFromNow(1) }));
+
+    const result = await checkinService.checkIn('NodeConf', await issue(), context);
+
+    assert.equal(result.success, true);
+    assert.equal(booking.attendance, 'ATTENDED');
+    assert.equal(booking.checked_in_by, 'organizer');
+  });
+
+  it('are rejected once expired', async () => {
+    const conference = conferenceRow({ start_time: hoursFromNow(-3), end_time: hoursFromNow(-0.5) });
+    const booking = installBooking(conference);
+    const token = await issue();
+    // Check-in reopens when the conference is extended, but not for the old token
+    conference.end_time = hoursFromNow(1);
+
+    const result = await checkinService.checkIn('NodeConf', token, context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Check-in token has expired');
+    assert.equal(booking.attendance, null);
+  });
+
+  it('are rejected when the expiry is changed without signing again', async () => {
+    const booking = installBooking(conferenceRow({ start_time: hoursFromNow(-1), end_time: hoursFromNow(1) }));
+    const token = await issue();
+    const extended = Buffer.from(JSON.stringify({
+      ...payloadOf(token),
+      exp: Math.floor(hoursFromNow(100).getTime() / 1000)
+    })).toString('base64url');
+
+    const result = await checkinService.checkIn('NodeConf', `${extended}.${token.split('.')[1]}`, context);
+
+    assert.equal(result.error, 'Invalid check-in token');
+    assert.equal(booking.attendance, null);
+  });
+});
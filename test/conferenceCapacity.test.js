@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installPostgres } = require('./helpers/postgres');
+const { hoursFromNow, testContext } = require('./helpers/fixtures');
+
+const pg = installPostgres();
+const conferenceService = require('../services/conferenceService');
+
+const context = testContext('admin');
+const START = hoursFromNow(48);
+const END = hoursFromNow(50);
+
+const rowsOf = async (sql, params) => (await pg.query(sql, params)).rows;
+
+const bookingId = (n) => `00000000-0000-0000-0000-${String(n).padStart(12, '0')}`;
+
+const addConference = (name, totalSlots, availableSlots) => pg.query(`
+  INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots)
+  VALUES ($1, 'Berlin', '{node}', $2, $3, $4, $5)
+`, [name, START, END, totalSlots, availableSlots]);
+
+const addBooking = ({ n, conference, user, status, createdAt, confirmBy = null }) => pg.query(`
+  INSERT INTO bookings (booking_id, conference_name, user_id, status, created_at, updated_at, confirm_by, offer_count)
+  VALUES ($1, $2, $3, $4, $5, $5, $6, $7)
+`, [bookingId(n), conference, user, status, createdAt, confirmBy, confirmBy ? 1 : 0]);
+
+const addConfirmation = (n, conference, user, at) => pg.query(`
+  INSERT INTO booking_events (booking_id, conference_name, user_id, event_type, to_status, actor, source, created_at)
+  VALUES ($1, $2, $3, 'STATUS_CHANGED', 'CONFIRMED', $3, 'test', $4)
+`, [bookingId(n), conference, user, at]);
+
+const shrink = (name, totalSlots, options) => conferenceService.updateConference(name, {
+  location: 'Berlin',
+  topics: 'node',
+  start_time: START.toISOString(),
+  end_time: END.toISOString(),
+  total_slots: totalSlots
+}, options, context);
+
+describe('reducing conference capacity', () => {
+  before(async () => {
+    await pg.migrate();
+    await pg.query(`
+      INSERT INTO users (user_id, interested_topics)
+      SELECT user_id, '{}' FROM unnest(ARRAY['alice', 'bob', 'carol', 'dave', 'erin', 'frank']) AS user_id
+    `);
+  });
+
+  after(() => pg.close());
+
+  it('demotes the most recently confirmed bookings, not the most recently updated', async () => {
+    await addConference('NodeConf', 3, 0);
+    // Alice booked first but only got her seat from the waitlist; Carol's booking was touched last
+    await addBooking({ n: 1, conference: 'NodeConf', user: 'alice', status: 'CONFIRMED', createdAt: hoursFromNow(-10) });
+    await addBooking({ n: 2, conference: 'NodeConf', user: 'bob', status: 'CONFIRMED', createdAt: hoursFromNow(-9) });
+    await addBooking({ n: 3, conference: 'NodeConf', user: 'carol', status: 'CONFIRMED', createdAt: hoursFromNow(-8) });
+    await addConfirmation(1, 'NodeConf', 'alice', hoursFromNow(-2));
+    await pg.query('UPDATE bookings SET updated_at = $2 WHERE booking_id = $1', [bookingId(3), hoursFromNow(-1)]);
+
+    const result = await shrink('NodeConf', 1, { demoteConfirmed: true });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.demoted_bookings, [
+      { booking_id: bookingId(3), user_id: 'carol', position: 1 },
+      { booking_id: bookingId(1), user_id: 'alice', position: 2 }
+    ]);
+    assert.deepEqual(await rowsOf(`
+      SELECT b.user_id, b.status, w.position
+      FROM bookings b LEFT JOIN waitlist w ON w.booking_id = b.booking_id
+      WHERE b.conference_name = 'NodeConf' ORDER BY b.user_id
+    `), [
+      { user_id: 'alice', status: 'WAITLISTED', position: 2 },
+      { user_id: 'bob', status: 'CONFIRMED', position: null },
+      { user_id: 'carol', status: 'WAITLISTED', position: 1 }
+    ]);
+  });
+
+  it('withdraws the open offers that no longer fit, latest in line first', async () => {
+    await addConference('JSConf', 5, 3);
+    await addBooking({ n: 11, conference: 'JSConf', user: 'alice', status: 'CONFIRMED', createdAt: hoursFromNow(-10) });
+    await addBooking({ n: 12, conference: 'JSConf', user: 'bob', status: 'CONFIRMED', createdAt: hoursFromNow(-9) });
+    await addBooking({ n: 13, conference: 'JSConf', user: 'dave', status: 'WAITLISTED', createdAt: hoursFromNow(-8), confirmBy: hoursFromNow(1) });
+    await addBooking({ n: 14, conference: 'JSConf', user: 'erin', status: 'WAITLISTED', createdAt: hoursFromNow(-7), confirmBy: hoursFromNow(1) });
+    await addBooking({ n: 15, conference: 'JSConf', user: 'frank', status: 'WAITLISTED', createdAt: hoursFromNow(-6) });
+    await pg.query(`
+      INSERT INTO waitlist (conference_name, booking_id, position)
+      VALUES ('JSConf', $1, 1), ('JSConf', $2, 2), ('JSConf', $3, 3)
+    `, [bookingId(13), bookingId(14), bookingId(15)]);
+    await pg.query(`
+      INSERT INTO waitlist_offers (offer_id, booking_id, conference_name, user_id, token_hash, expires_at)
+      VALUES ('00000000-0000-0000-0000-0000000000f3', $1, 'JSConf', 'dave', $3, $4),
+             ('00000000-0000-0000-0000-0000000000f4', $2, 'JSConf', 'erin', $3, $4)
+    `, [bookingId(13), bookingId(14), 'a'.repeat(64), hoursFromNow(1)]);
+
+    const result = await shrink('JSConf', 3);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.available_slots, 1);
+    assert.deepEqual(result.withdrawn_offers, [{ booking_id: bookingId(14), user_id: 'erin', position: 2 }]);
+    assert.deepEqual(await rowsOf(`
+      SELECT user_id, status, token_hash IS NULL AS link_cleared FROM waitlist_offers
+      WHERE conference_name = 'JSConf' ORDER BY user_id
+    `), [
+      { user_id: 'dave', status: 'OFFERED', link_cleared: false },
+      { user_id: 'erin', status: 'EXPIRED', link_cleared: true }
+    ]);
+    assert.deepEqual(await rowsOf(`
+      SELECT b.user_id, b.confirm_by IS NOT NULL AS offered, b.offer_count, w.position
+      FROM bookings b JOIN waitlist w ON w.booking_id = b.booking_id
+      WHERE b.conference_name = 'JSConf' ORDER BY w.position
+    `), [
+      { user_id: 'dave', offered: true, offer_count: 1, position: 1 },
+      { user_id: 'erin', offered: false, offer_count: 0, position: 2 },
+      { user_id: 'frank', offered: false, offer_count: 0, position: 3 }
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+const database = require('../../config/database');
+
+// Keep test output to failures the tests do not expect
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+/**
+ * Replace the pool's query and getClient with an in-memory stand-in. Each query
+ * is answered by the first handler whose pattern matches its whitespace-collapsed
+ * SQL (no rows when none does), and every query is recorded. Must be called before
+ * the services are required, since they keep their own references to both functions.
+ *
+ * Every getClient call hands out a new client, and each query yields to the event
+ * loop first, so concurrent transactions interleave as they would on a real server.
+ * Handlers emulate row locks with lock() and undo their changes on ROLLBACK with undo().
+ * @returns {Object} { on, reset, lock, undo, calls, find, client }
+ */
+const installFakeDatabase = () => {
+  const handlers = [];
+  const calls = [];
+  const locks = new Map();
+
+  // Hand every lock the client holds to the next client waiting for it
+  const releaseLocks = (client) => {
+    for (const key of client.locks) {
+      const lock = locks.get(key);
+      const next = lock.waiting.shift();
+      if (next) {
+        lock.owner = next.client;
+        next.client.locks.push(key);
+        next.resolve();
+      } else {
+        locks.delete(key);
+      }
+    }
+    client.locks = [];
+  };
+
+  const createClient = () => {
+    const client = {
+      locks: [],
+      undo: [],
+      release: () => {}
+    };
+
+    client.query = async (text, params = []) => {
+      const sql = (typeof text === 'string' ? text : text.text).replace(/\s+/g, ' ').trim();
+      calls.push({ sql, params });
+      await new Promise(resolve => setImmediate(resolve));
+
+      if (sql === 'ROLLBACK') {
+        client.undo.reverse().forEach(undo => undo());
+      }
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+        client.undo = [];
+        releaseLocks(client);
+      }
+
+      const handler = handlers.find(h => h.pattern.test(sql));
+      const result = handler ? await handler.respond(params, sql, client) : [];
+      return Array.isArray(result) ? { rows: result, rowCount: result.length } : result;
+    };
+
+    return client;
+  };
+
+  const client = createClient();
+
+  database.query = client.query;
+  database.getClient = async () => createClient();
+
+  return {
+    client,
+    calls,
+
+    /**
+     * Answer queries matching a pattern
+     * @param {RegExp} pattern - Matched against the SQL
+     * @param {Function|Array} respond - Rows, or (params, sql, client) => rows or { rows, rowCount }
+     */
+    on(pattern, respond) {
+      handlers.push({ pattern, respond: typeof respond === 'function' ? respond : () => respond });
+      return this;
+    },
+
+    /**
+     * Wait for a row lock, held until the client commits or rolls back
+     * @param {Object} owner - Client taking the lock
+     * @param {string} key - Locked row, such as "conference:NodeConf"
+     */
+    async lock(owner, key) {
+      const lock = locks.get(key);
+      if (!lock) {
+        locks.set(key, { owner, waiting: [] });
+        owner.locks.push(key);
+        return;
+      }
+      if (lock.owner !== owner) {
+        await new Promise(resolve => lock.waiting.push({ client: owner, resolve }));
+      }
+    },
+
+    /**
+     * Register how to revert a change if the client rolls back
+     * @param {Object} owner - Client that made the change
+     * @param {Function} revert - Undoes the change
+     */
+    undo(owner, revert) {
+      owner.undo.push(revert);
+    },
+
+    // Drop all handlers, recorded queries and locks
+    reset() {
+      handlers.length = 0;
+      calls.length = 0;
+      locks.clear();
+      client.locks = [];
+      client.undo = [];
+    },
+
+    /**
+     * Recorded queries matching a pattern
+     * @param {RegExp} pattern - Matched against the SQL
+     * @returns {Array} { sql, params }
+     */
+    find(pattern) {
+      return calls.filter(call => pattern.test(call.sql));
+    }
+  };
+};
+
+module.exports = {
+  installFakeDatabase
+};
@@ -0,0 +1,257 @@
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * A time relative to now
+ * @param {number} hours - Hours from now, negative for the past
+ * @returns {Date}
+ */
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+/**
+ * Booking history context for a test actor
+ * @param {string} actor - User or system acting
+ * @returns {Object} { actor, source }
+ */
+const testContext = (actor = 'alice') => ({ actor, source: 'test' });
+
+/**
+ * Conference row as the conferences table returns it, starting in two days
+ * @param {Object} overrides - Columns to change
+ * @returns {Object}
+ */
+const conferenceRow = (overrides = {}) => ({
+  name: 'NodeConf',
+  location: 'Berlin',
+  topics: ['Node'],
+  status: 'SCHEDULED',
+  start_time: hoursFromNow(48),
+  end_time: hoursFromNow(50),
+  available_slots: 1,
+  total_slots: 10,
+  auto_confirm: false,
+  offer_window_minutes: 60,
+  offer_expiry_action: 'MOVE_TO_BACK',
+  max_offers_per_user: null,
+  ...overrides
+});
+
+/**
+ * Booking row as the bookings table returns it
+ * @param {Object} overrides - Columns to change
+ * @returns {Object}
+ */
+const bookingRow = (overrides = {}) => ({
+  booking_id: '00000000-0000-0000-0000-000000000001',
+  conference_name: 'NodeConf',
+  user_id: 'alice',
+  status: 'CONFIRMED',
+  confirm_by: null,
+  offer_count: 0,
+  kept_position: false,
+  ...overrides
+});
+
+/**
+ * Open seat offer on a waitlisted booking, as the waitlist_offers table returns it
+ * @param {Object} booking - Booking the offer was made to
+ * @param {Object} overrides - Columns to change
+ * @returns {Object}
+ */
+const offerRow = (booking, overrides = {}) => ({
+  offer_id: `offer-${booking.user_id}`,
+  booking_id: booking.booking_id,
+  conference_name: booking.conference_name,
+  user_id: booking.user_id,
+  status: 'OFFERED',
+  expires_at: booking.confirm_by,
+  ...overrides
+});
+
+/**
+ * Waitlisted bookings in line for a conference, with their waitlist entries
+ * @param {Array} users - Users in line, first in line first
+ * @param {Object} offers - Confirmation deadline by user, for users holding a seat offer
+ * @param {string} conferenceName - Conference the users are waitlisted for
+ * @returns {Object} { bookings, waitlist } to seed installConferenceStore with
+ */
+const waitlistRows = (users, offers = {}, conferenceName = 'NodeConf') => {
+  const bookings = users.map((userId, i) => bookingRow({
+    booking_id: `00000000-0000-0000-0000-${String(i + 1).padStart(12, '0')}`,
+    conference_name: conferenceName,
+    user_id: userId,
+    status: 'WAITLISTED',
+    confirm_by: offers[userId] || null
+  }));
+  return {
+    bookings,
+    waitlist: bookings.map((booking, i) => ({ booking_id: booking.booking_id, position: i + 1 }))
+  };
+};
+
+/**
+ * Keep one conference's seats, bookings, waitlist and offers in memory and answer
+ * the queries of the booking and waitlist paths from them. The user, conference
+ * and booking row locks are held until commit, and every change is undone on rollback.
+ * @param {Object} db - Fake database from installFakeDatabase
+ * @param {Object} conference - Conference row, updated as seats are taken
+ * @param {Object} rows - { bookings, waitlist, offers } already on the conference; waitlist
+ *   entries are { booking_id, position }, and a waitlisted booking with a confirm_by
+ *   in the future holds an open offer
+ * @returns {Object} { conference, bookings, waitlist, offers } as they change
+ */
+const installConferenceStore = (db, conference, { bookings = [], waitlist = [], offers = [] } = {}) => {
+  const store = { conference, bookings: [...bookings], waitlist: [...waitlist], offers: [...offers] };
+
+  const findBooking = (bookingId) => store.bookings.find(booking => booking.booking_id === bookingId);
+  const holdsOpenOffer = (booking) => booking.status === 'WAITLISTED'
+    && booking.confirm_by !== null && new Date(booking.confirm_by) > new Date();
+
+  const update = (client, row, changes) => {
+    const before = Object.fromEntries(Object.keys(changes).map(key => [key, row[key]]));
+    Object.assign(row, changes);
+    db.undo(client, () => Object.assign(row, before));
+    return [];
+  };
+
+  const insert = (client, rows, row) => {
+    rows.push(row);
+    db.undo(client, () => rows.splice(rows.indexOf(row), 1));
+    return [];
+  };
+
+  const remove = (client, rows, row) => {
+    const index = rows.indexOf(row);
+    rows.splice(index, 1);
+    db.undo(client, () => rows.splice(index, 0, row));
+  };
+
+  const takeSeat = (client, free) => {
+    if (free <= 0) {
+      return [];
+    }
+    update(client, conference, { available_slots: conference.available_slots - 1 });
+    return [{ available_slots: conference.available_slots }];
+  };
+
+  db.on(/FROM users WHERE user_id = \$1 AND erased_at IS NULL FOR UPDATE/, async (params, sql, client) => {
+    await db.lock(client, `user:${params[0]}`);
+    return [{ user_id: params[0] }];
+  });
+  db.on(/FROM conferences WHERE name = \$1 FOR UPDATE/, async (params, sql, client) => {
+    await db.lock(client, `conference:${params[0]}`);
+    return params[0] === conference.name ? [conference] : [];
+  });
+  db.on(/WHERE b.booking_id = \$1 FOR UPDATE OF b, c/, async (params, sql, client) => {
+    await db.lock(client, `conference:${conference.name}`);
+    const booking = findBooking(params[0]);
+    return booking ? [{
+      ...booking,
+      available_slots: conference.available_slots,
+      start_time: conference.start_time,
+      end_time: conference.end_time
+    }] : [];
+  });
+  db.on(/SELECT booking_id FROM bookings WHERE user_id = \$1 AND conference_name = \$2 AND status != 'CANCELED'/, (params) => store.bookings
+    .filter(booking => booking.user_id === params[0] && booking.conference_name === params[1] && booking.status !== 'CANCELED'));
+  db.on(/AS outstanding/, (params) => [{
+    outstanding: store.bookings.filter(booking => holdsOpenOffer(booking) && booking.booking_id !== params[1]).length
+  }]);
+  db.on(/SET available_slots = available_slots - 1 WHERE name = \$1 AND available_slots - \$2 > 0/, (params, sql, client) =>
+    takeSeat(client, conference.available_slots - params[1]));
+  db.on(/SET available_slots = available_slots - 1 WHERE name = \$1 AND available_slots > 0/, (params, sql, client) =>
+    takeSeat(client, conference.available_slots));
+
+  db.on(/^INSERT INTO bookings .* VALUES \(\$1, \$2, \$3, '(\w+)'\)$/, (params, sql, client) => insert(client, store.bookings, bookingRow({
+    booking_id: params[0],
+    conference_name: params[1],
+    user_id: params[2],
+    status: sql.match(/'(\w+)'\)$/)[1]
+  })));
+  db.on(/SET status = 'CONFIRMED', confirm_by = NULL WHERE booking_id = \$1/, (params, sql, client) =>
+    update(client, findBooking(params[0]), { status: 'CONFIRMED', confirm_by: null }));
+  db.on(/SET confirm_by = \$1, offer_count = offer_count \+ 1 WHERE booking_id = \$2/, (params, sql, client) => {
+    const booking = findBooking(params[1]);
+    return update(client, booking, { confirm_by: params[0], offer_count: booking.offer_count + 1 });
+  });
+
+  db.on(/as next_position/i, () => [{
+    next_position: store.waitlist.reduce((max, entry) => Math.max(max, entry.position), 0) + 1
+  }]);
+  db.on(/^INSERT INTO waitlist \(/, (params, sql, client) => insert(client, store.waitlist, {
+    booking_id: params[1],
+    position: params[2]
+  }));
+  db.on(/^DELETE FROM waitlist WHERE booking_id = \$1/, (params, sql, client) => {
+    const entry = store.waitlist.find(candidate => candidate.booking_id === params[0]);
+    if (!entry) {
+      return [];
+    }
+    remove(client, store.waitlist, entry);
+    return [{ position: entry.position }];
+  });
+  db.on(/FROM waitlist w JOIN bookings b ON w.booking_id = b.booking_id WHERE w.conference_name = \$1 AND b.confirm_by IS NULL/, (params) => store.waitlist
+    .map(entry => ({ ...entry, ...findBooking(entry.booking_id) }))
+    .filter(entry => entry.confirm_by === null && !params[1].includes(entry.booking_id))
+    .sort((a, b) => a.position - b.position)
+    .slice(0, params[2])
+    .map(({ booking_id, position, user_id, confirm_by }) => ({ booking_id, position, user_id, confirm_by })));
+  db.on(/^WITH reordered AS/, (params, sql, client) => {
+    const moved = [];
+    [...store.waitlist].sort((a, b) => a.position - b.position).forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        moved.push({ booking_id: entry.booking_id, old_position: entry.position, new_position: index + 1 });
+        update(client, entry, { position: index + 1 });
+      }
+    });
+    return moved;
+  });
+
+  db.on(/^SELECT position FROM waitlist WHERE booking_id = \$1/, (params) => store.waitlist
+    .filter(entry => entry.booking_id === params[0])
+    .map(entry => ({ position: entry.position })));
+  db.on(/as max_position/i, () => [{
+    max_position: store.waitlist.reduce((max, entry) => Math.max(max, entry.position), 0)
+  }]);
+  db.on(/^UPDATE waitlist SET position = \$1 WHERE booking_id = \$2/, (params, sql, client) =>
+    update(client, store.waitlist.find(entry => entry.booking_id === params[1]), { position: params[0] }));
+  db.on(/SET confirm_by = NULL, kept_position = kept_position OR \$2 WHERE booking_id = \$1/, (params, sql, client) => {
+    const booking = findBooking(params[0]);
+    return update(client, booking, { confirm_by: null, kept_position: booking.kept_position || params[1] });
+  });
+  db.on(/SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = \$2 WHERE booking_id = \$1/, (params, sql, client) =>
+    update(client, findBooking(params[0]), { status: 'CANCELED', confirm_by: null, cancellation_reason: params[1] }));
+
+  db.on(/^INSERT INTO waitlist_offers/, (params, sql, client) => insert(client, store.offers, {
+    offer_id: params[0],
+    booking_id: params[1],
+    conference_name: params[2],
+    user_id: params[3],
+    status: 'OFFERED',
+    token_hash: params[4],
+    expires_at: params[5]
+  }));
+  db.on(/FROM waitlist_offers WHERE offer_id = \$1/, (params) => store.offers
+    .filter(offer => offer.offer_id === params[0]));
+  db.on(/FROM waitlist_offers o JOIN bookings b ON o.booking_id = b.booking_id WHERE o.offer_id = \$1 FOR UPDATE OF o, b/, (params) => store.offers
+    .filter(offer => offer.offer_id === params[0])
+    .map(offer => ({ ...findBooking(offer.booking_id), offer_status: offer.status, expires_at: offer.expires_at })));
+  db.on(/^UPDATE waitlist_offers SET status = \$2/, (params, sql, client) => store.offers
+    .filter(offer => params[0].includes(offer.booking_id) && offer.status === 'OFFERED')
+    .map(offer => {
+      update(client, offer, { status: params[1], token_hash: null });
+      return { offer_id: offer.offer_id };
+    }));
+
+  return store;
+};
+
+module.exports = {
+  HOUR,
+  hoursFromNow,
+  testContext,
+  conferenceRow,
+  bookingRow,
+  offerRow,
+  waitlistRows,
+  installConferenceStore
+};
@@ -0,0 +1,53 @@
+const { PGlite } = require('@electric-sql/pglite');
+const database = require('../../config/database');
+const { loadMigrations } = require('../../scripts/migrate');
+
+// Keep test output to failures the tests do not expect
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+/**
+ * Replace the pool's query and getClient with an in-process Postgres (PGlite)
+ * migrated to the current schema, for tests that check the rows a service
+ * leaves behind. Must be called before the services are required, since they
+ * keep their own references to both functions.
+ *
+ * PGlite has a single session, so every client shares it: tests must run their
+ * transactions one at a time.
+ * @returns {Object} { query, migrate, close }
+ */
+const installPostgres = () => {
+  const db = new PGlite();
+
+  // PGlite only takes several statements at once without parameters
+  const query = async (text, params = []) => {
+    if (params.length > 0) {
+      const result = await db.query(text, params);
+      return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+    }
+    const results = await db.exec(text);
+    const result = results[results.length - 1] || { rows: [] };
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  };
+
+  const client = { query, release: () => {} };
+
+  database.query = query;
+  database.getClient = async () => client;
+
+  return {
+    query,
+
+    /**
+     * Create the schema by applying every migration
+     */
+    async migrate() {
+      for (const migration of loadMigrations()) {
+        await migration.up(client);
+      }
+    },
+
+    close: () => db.close()
+  };
+};
+
+module.exports = { installPostgres };
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+process.env.ADMIN_API_KEY = 'admin-key';
+
+installFakeDatabase();
+const scheduler = require('../jobs/scheduler');
+const { app } = require('../app');
+
+describe('POST /jobs/:name/run', () => {
+  let server;
+  let baseUrl;
+  let release;
+
+  before(async () => {
+    scheduler.register('test-failing', '0 0 * * *', async () => {
+      throw new Error('connection refused');
+    });
+    scheduler.register('test-slow', '0 0 * * *', () => new Promise(resolve => {
+      release = resolve;
+    }));
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/jobs`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const run = async (name) => {
+    const response = await fetch(`${baseUrl}/${name}/run`, { method: 'POST', headers: { 'X-API-Key': 'admin-key' } });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('reports a job that fails as a server error', async () => {
+    const { status, body } = await run('test-failing');
+
+    assert.equal(status, 500);
+    assert.deepEqual(body, { success: false, error: 'connection refused' });
+    assert.equal(scheduler.getStatus().find(job => job.name === 'test-failing').last_status, 'FAILED');
+  });
+
+  it('refuses to start a job that is still running', async () => {
+    const first = scheduler.runJob('test-slow');
+
+    const { status, body } = await run('test-slow');
+    release();
+    await first;
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Job is already running');
+  });
+
+  it('reports an unknown job as not found', async () => {
+    const { status } = await run('missing');
+
+    assert.equal(status, 404);
+  });
+});
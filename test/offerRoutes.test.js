@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+installFakeDatabase();
+const offerService = require('../services/offerService');
+const bookingService = require('../services/bookingService');
+const { app } = require('../app');
+
+const OFFER = {
+  offer_id: '00000000-0000-0000-0000-0000000000aa',
+  booking_id: '00000000-0000-0000-0000-000000000001',
+  conference_name: 'NodeConf',
+  user_id: 'alice',
+  status: 'OFFERED',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000)
+};
+
+describe('offer links', () => {
+  let server;
+  let baseUrl;
+  let answered;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/offers/${OFFER.offer_id}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach((t) => {
+    answered = [];
+    t.mock.method(offerService, 'verifyToken', async (offerId, token) => offerId === OFFER.offer_id && token === 'secret');
+    t.mock.method(offerService, 'getOffer', async () => OFFER);
+    t.mock.method(bookingService, 'acceptOffer', async (offerId, context) => {
+      answered.push({ action: 'accept', offerId, context });
+      return { success: true, message: 'Booking confirmed successfully', status: 'CONFIRMED' };
+    });
+    t.mock.method(bookingService, 'declineOffer', async (offerId, context) => {
+      answered.push({ action: 'decline', offerId, context });
+      return { success: true, message: 'Offer declined' };
+    });
+  });
+
+  it('shows the offer on GET without answering it', async () => {
+    for (const action of ['accept', 'decline']) {
+      const response = await fetch(`${baseUrl}/${action}?token=secret`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.data.offer_id, OFFER.offer_id);
+      assert.equal(body.data.action, action);
+      assert.equal(body.data.open, true);
+    }
+    assert.deepEqual(answered, []);
+  });
+
+  it('gives browsers a form that posts the token back', async () => {
+    const response = await fetch(`${baseUrl}/decline?token=secret`, { headers: { Accept: 'text/html' } });
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(html, new RegExp(`<form method="post" action="/offers/${OFFER.offer_id}/decline">`));
+    assert.match(html, /<input type="hidden" name="token" value="secret">/);
+    assert.deepEqual(answered, []);
+  });
+
+  it('refuses a GET with a wrong token', async () => {
+    const response = await fetch(`${baseUrl}/accept?token=wrong`);
+
+    assert.equal(response.status, 403);
+  });
+
+  it('answers the offer on POST with the token, as the offered user', async () => {
+    const response = await fetch(`${baseUrl}/accept`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'token=secret'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'CONFIRMED');
+    assert.deepEqual(answered, [{
+      action: 'accept',
+      offerId: OFFER.offer_id,
+      context: { actor: 'alice', source: 'link /offers/:offerId/accept' }
+    }]);
+  });
+
+  it('refuses a POST with a wrong token', async () => {
+    const response = await fetch(`${baseUrl}/decline`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'wrong' })
+    });
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(answered, []);
+  });
+
+  it('requires a login for a POST without a token', async () => {
+    const response = await fetch(`${baseUrl}/decline`, { method: 'POST' });
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(answered, []);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { hoursFromNow, testContext, conferenceRow, offerRow, waitlistRows, installConferenceStore } = require('./helpers/fixtures');
+
+const db = installFakeDatabase();
+const bookingService = require('../services/bookingService');
+const offerService = require('../services/offerService');
+
+const context = testContext();
+
+/**
+ * Alice holds an offer on the only free seat, with Bob next in line
+ * @param {Object} overrides - Columns to change on Alice's offer
+ * @returns {Object} Conference store
+ */
+const aliceHoldsTheSeat = (overrides = {}) => {
+  const rows = waitlistRows(['alice', 'bob'], { alice: hoursFromNow(1) });
+  return installConferenceStore(db, conferenceRow({ available_slots: 1 }), {
+    ...rows,
+    offers: [offerRow(rows.bookings[0], overrides)]
+  });
+};
+
+describe('acceptOffer', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/SELECT waitlist_removal FROM users/, [{ waitlist_removal: 'NONE' }]);
+  });
+
+  it('confirms the booking and closes the offer', async () => {
+    const store = aliceHoldsTheSeat();
+
+    const result = await bookingService.acceptOffer('offer-alice', context);
+
+    assert.equal(result.success, true);
+    assert.equal(result.offer_id, 'offer-alice');
+    assert.equal(store.offers[0].status, 'ACCEPTED');
+    assert.equal(store.bookings[0].status, 'CONFIRMED');
+    assert.deepEqual(store.waitlist, [{ booking_id: store.bookings[1].booking_id, position: 1 }]);
+    assert.equal(store.conference.available_slots, 0);
+  });
+
+  it('answers a replayed accept with the outcome of the first one', async () => {
+    const store = aliceHoldsTheSeat();
+
+    await bookingService.acceptOffer('offer-alice', context);
+    const replay = await bookingService.acceptOffer('offer-alice', context);
+
+    assert.equal(replay.success, false);
+    assert.equal(replay.error, 'Offer is no longer open');
+    assert.equal(replay.offer_status, 'ACCEPTED');
+    assert.equal(store.conference.available_slots, 0);
+  });
+
+  it('lets only one of two simultaneous accepts through', async () => {
+    const store = aliceHoldsTheSeat();
+
+    const results = await Promise.all([
+      bookingService.acceptOffer('offer-alice', context),
+      bookingService.acceptOffer('offer-alice', context)
+    ]);
+
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.equal(results.find(result => !result.success).error, 'Offer is no longer open');
+    assert.equal(store.conference.available_slots, 0);
+  });
+
+  it('refuses an offer that is no longer open', async () => {
+    const store = aliceHoldsTheSeat({ status: 'EXPIRED' });
+
+    const result = await bookingService.acceptOffer('offer-alice', context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Offer is no longer open');
+    assert.equal(result.offer_status, 'EXPIRED');
+    assert.equal(store.bookings[0].status, 'WAITLISTED');
+    assert.equal(store.conference.available_slots, 1);
+  });
+
+  it('reports an unknown offer', async () => {
+    aliceHoldsTheSeat();
+
+    const result = await bookingService.acceptOffer('offer-nobody', context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Offer not found');
+  });
+});
+
+describe('declineOffer', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('moves the booking to the back of the line and offers the seat to the next user', async () => {
+    const store = aliceHoldsTheSeat();
+
+    const result = await bookingService.declineOffer('offer-alice', context);
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, 'WAITLISTED');
+    assert.equal(result.position, 2);
+    assert.deepEqual(store.offers.map(offer => [offer.user_id, offer.status]), [['alice', 'DECLINED'], ['bob', 'OFFERED']]);
+    assert.equal(store.bookings[0].confirm_by, null);
+    assert.ok(store.bookings[1].confirm_by > new Date());
+    assert.equal(store.conference.available_slots, 1);
+  });
+
+  it('cancels the booking when the conference drops declined bookings', async () => {
+    const store = aliceHoldsTheSeat();
+    store.conference.offer_expiry_action = 'DROP';
+
+    const result = await bookingService.declineOffer('offer-alice', context);
+
+    assert.equal(result.status, 'CANCELED');
+    assert.equal(store.bookings[0].status, 'CANCELED');
+    assert.deepEqual(store.waitlist, [{ booking_id: store.bookings[1].booking_id, position: 1 }]);
+  });
+});
+
+describe('canceling a booking that holds an offer', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('clears its deadline, closes the offer and offers the seat to the next user', async () => {
+    const store = aliceHoldsTheSeat();
+
+    const result = await bookingService.cancelBooking(store.bookings[0].booking_id, context);
+
+    assert.equal(result.success, true);
+    const { status, confirm_by, cancellation_reason } = store.bookings[0];
+    assert.deepEqual({ status, confirm_by, cancellation_reason }, { status: 'CANCELED', confirm_by: null, cancellation_reason: null });
+    assert.deepEqual(store.offers.map(offer => [offer.user_id, offer.status]), [['alice', 'DECLINED'], ['bob', 'OFFERED']]);
+    assert.deepEqual(store.waitlist, [{ booking_id: store.bookings[1].booking_id, position: 1 }]);
+  });
+});
+
+describe('offer link tokens', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('stop verifying once the offer is answered', async () => {
+    aliceHoldsTheSeat({ token_hash: crypto.createHash('sha256').update('secret').digest('hex') });
+
+    assert.equal(await offerService.verifyToken('offer-alice', 'secret'), true);
+    assert.equal(await offerService.verifyToken('offer-alice', 'wrong'), false);
+
+    await bookingService.declineOffer('offer-alice', context);
+
+    assert.equal(await offerService.verifyToken('offer-alice', 'secret'), false);
+  });
+});
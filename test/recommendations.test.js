@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installPostgres } = require('./helpers/postgres');
+const { hoursFromNow } = require('./helpers/fixtures');
+
+const pg = installPostgres();
+const recommendationService = require('../services/recommendationService');
+
+/**
+ * Alice booked two past conferences. Bob booked both and JSConf, Carol booked one
+ * of them and JSConf. NodeConf matches Alice's interests, but its only free seat
+ * is offered to Dave.
+ */
+const seed = async () => {
+  await pg.query(`
+    INSERT INTO users (user_id, interested_topics)
+    VALUES ('alice', '{node}'), ('bob', '{}'), ('carol', '{}'), ('dave', '{}')
+  `);
+  await pg.query(`
+    INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots)
+    VALUES ('PastA', 'Berlin', '{web}', $1, $2, 10, 7),
+           ('PastB', 'Berlin', '{web}', $3, $4, 10, 8),
+           ('JSConf', 'Paris', '{web}', $5, $6, 10, 8),
+           ('NodeConf', 'Paris', '{node}', $7, $8, 10, 1)
+  `, [
+    hoursFromNow(-100), hoursFromNow(-98), hoursFromNow(-50), hoursFromNow(-48),
+    hoursFromNow(48), hoursFromNow(50), hoursFromNow(72), hoursFromNow(74)
+  ]);
+  await pg.query(`
+    INSERT INTO bookings (booking_id, conference_name, user_id, status, confirm_by)
+    SELECT ('00000000-0000-0000-0000-' || lpad(n::text, 12, '0'))::uuid, conference_name, user_id, status, confirm_by
+    FROM (VALUES
+      (1, 'PastA', 'alice', 'CONFIRMED', NULL::timestamptz),
+      (2, 'PastB', 'alice', 'CONFIRMED', NULL),
+      (3, 'PastA', 'bob', 'CONFIRMED', NULL),
+      (4, 'PastB', 'bob', 'CONFIRMED', NULL),
+      (5, 'JSConf', 'bob', 'CONFIRMED', NULL),
+      (6, 'PastA', 'carol', 'CONFIRMED', NULL),
+      (7, 'JSConf', 'carol', 'CONFIRMED', NULL),
+      (8, 'NodeConf', 'dave', 'WAITLISTED', $1)
+    ) AS rows(n, conference_name, user_id, status, confirm_by)
+  `, [hoursFromNow(1)]);
+};
+
+describe('getRecommendations', () => {
+  before(async () => {
+    await pg.migrate();
+    await seed();
+  });
+
+  after(() => pg.close());
+
+  it('counts each co-booking peer once, however many conferences they share with the user', async () => {
+    const result = await recommendationService.getRecommendations('alice');
+
+    const [jsConf] = result.data.filter(conference => conference.name === 'JSConf');
+    assert.equal(jsConf.signals.co_booking, 0.4);
+    assert.ok(jsConf.reasons.includes('2 people who booked PastA also booked this'));
+  });
+
+  it('leaves out conferences whose free seats are all held by open offers', async () => {
+    const result = await recommendationService.getRecommendations('alice');
+
+    assert.deepEqual(result.data.map(conference => conference.name), ['JSConf']);
+  });
+
+  it('marks them waitlist only when waitlisting is asked for', async () => {
+    const result = await recommendationService.getRecommendations('alice', { includeWaitlist: true });
+
+    const [nodeConf] = result.data.filter(conference => conference.name === 'NodeConf');
+    assert.equal(nodeConf.available_slots, 1);
+    assert.equal(nodeConf.open_slots, 0);
+    assert.equal(nodeConf.waitlist_only, true);
+    assert.ok(nodeConf.reasons.includes('Full: booking adds you to the waitlist'));
+  });
+});
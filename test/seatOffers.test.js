@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { hoursFromNow, testContext, conferenceRow, offerRow, waitlistRows, installConferenceStore } = require('./helpers/fixtures');
+
+const db = installFakeDatabase();
+const bookingService = require('../services/bookingService');
+
+const context = testContext();
+
+const statusOf = (store, userId) => store.bookings.find(booking => booking.user_id === userId).status;
+
+describe('seats held by open offers', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/SELECT waitlist_removal FROM users/, [{ waitlist_removal: 'NONE' }]);
+  });
+
+  describe('bookConference', () => {
+    it('confirms a seat when free seats outnumber open offers', async () => {
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 2 }),
+        waitlistRows(['bob'], { bob: hoursFromNow(1) }));
+
+      const result = await bookingService.bookConference({ conference_name: 'NodeConf', user_id: 'alice' }, context);
+
+      assert.equal(result.status, 'CONFIRMED');
+      assert.equal(statusOf(store, 'alice'), 'CONFIRMED');
+      assert.equal(store.conference.available_slots, 1);
+    });
+
+    it('waitlists the booking behind the offer holder when every free seat is held', async () => {
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 1 }),
+        waitlistRows(['bob'], { bob: hoursFromNow(1) }));
+
+      const result = await bookingService.bookConference({ conference_name: 'NodeConf', user_id: 'alice' }, context);
+
+      assert.equal(result.status, 'WAITLISTED');
+      assert.equal(result.position, 2);
+      assert.equal(statusOf(store, 'alice'), 'WAITLISTED');
+      assert.equal(store.conference.available_slots, 1);
+    });
+
+    it('confirms a seat once the offer on it has expired', async () => {
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 1 }),
+        waitlistRows(['bob'], { bob: hoursFromNow(-1) }));
+
+      const result = await bookingService.bookConference({ conference_name: 'NodeConf', user_id: 'alice' }, context);
+
+      assert.equal(result.status, 'CONFIRMED');
+      assert.equal(store.conference.available_slots, 0);
+    });
+  });
+
+  describe('confirmWaitlistBooking', () => {
+    it('lets an offer holder take the seat held for them', async () => {
+      const rows = waitlistRows(['alice'], { alice: hoursFromNow(1) });
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 1 }), {
+        ...rows,
+        offers: [offerRow(rows.bookings[0])]
+      });
+
+      const result = await bookingService.confirmWaitlistBooking(rows.bookings[0].booking_id, context);
+
+      assert.equal(result.status, 'CONFIRMED');
+      assert.equal(statusOf(store, 'alice'), 'CONFIRMED');
+      assert.equal(store.conference.available_slots, 0);
+      assert.deepEqual(store.waitlist, []);
+      assert.equal(store.offers[0].status, 'ACCEPTED');
+    });
+
+    it('does not let a booking without an offer take a seat held for someone else', async () => {
+      const rows = waitlistRows(['bob', 'alice'], { bob: hoursFromNow(1) });
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 1 }), rows);
+
+      const result = await bookingService.confirmWaitlistBooking(rows.bookings[1].booking_id, context);
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'No slots available to confirm booking');
+      assert.equal(statusOf(store, 'alice'), 'WAITLISTED');
+      assert.equal(store.conference.available_slots, 1);
+    });
+  });
+
+  describe('processNextInWaitlist', () => {
+    it('offers only the free seats not already held, in waitlist order', async () => {
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 3 }),
+        waitlistRows(['bob', 'carol', 'dave', 'erin'], { bob: hoursFromNow(1) }));
+
+      await bookingService.processNextInWaitlist(db.client, 'NodeConf', context);
+
+      assert.deepEqual(store.offers.map(offer => offer.user_id), ['carol', 'dave']);
+      assert.deepEqual(store.bookings.filter(booking => booking.confirm_by).map(booking => booking.user_id),
+        ['bob', 'carol', 'dave']);
+    });
+
+    it('makes no offers when every free seat is already offered', async () => {
+      const store = installConferenceStore(db, conferenceRow({ available_slots: 2 }),
+        waitlistRows(['bob', 'carol', 'dave'], { bob: hoursFromNow(1), carol: hoursFromNow(1) }));
+
+      await bookingService.processNextInWaitlist(db.client, 'NodeConf', context);
+
+      assert.deepEqual(store.offers, []);
+      assert.equal(store.bookings[2].confirm_by, null);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installPostgres } = require('./helpers/postgres');
+const { hoursFromNow, testContext } = require('./helpers/fixtures');
+
+const pg = installPostgres();
+const userService = require('../services/userService');
+
+const context = testContext('admin');
+const UPCOMING = '00000000-0000-0000-0000-000000000001';
+const ATTENDED = '00000000-0000-0000-0000-000000000002';
+const TRANSFERRED = '00000000-0000-0000-0000-000000000003';
+const SUBSCRIPTION = '00000000-0000-0000-0000-0000000000a1';
+
+const rowsOf = async (sql, params) => (await pg.query(sql, params)).rows;
+
+/**
+ * Alice organized and booked NodeConf, attended PastConf, passed a second PastConf
+ * seat to bob, canceled OldConf and created a webhook subscription
+ */
+const seed = async () => {
+  await pg.query(`
+    INSERT INTO users (user_id, interested_topics, role)
+    VALUES ('alice', '{}', 'organizer'), ('bob', '{}', 'attendee'), ('admin', '{}', 'admin')
+  `);
+  await pg.query(`
+    INSERT INTO conferences (name, location, topics, start_time, end_time, total_slots, available_slots, organizer_id, status, canceled_by)
+    VALUES ('NodeConf', 'Berlin', '{}', $1, $2, 10, 9, 'alice', 'SCHEDULED', NULL),
+           ('PastConf', 'Berlin', '{}', $3, $4, 10, 8, NULL, 'SCHEDULED', NULL),
+           ('OldConf', 'Berlin', '{}', $3, $4, 10, 10, NULL, 'CANCELED', 'alice')
+  `, [hoursFromNow(48), hoursFromNow(50), hoursFromNow(-50), hoursFromNow(-48)]);
+  await pg.query(`
+    INSERT INTO bookings (booking_id, conference_name, user_id, status, attendance, checked_in_by)
+    VALUES ($1, 'NodeConf', 'alice', 'CONFIRMED', NULL, NULL),
+           ($2, 'PastConf', 'alice', 'CONFIRMED', 'ATTENDED', 'alice'),
+           ($3, 'PastConf', 'bob', 'CONFIRMED', NULL, NULL)
+  `, [UPCOMING, ATTENDED, TRANSFERRED]);
+  await pg.query(`
+    INSERT INTO booking_events (booking_id, conference_name, user_id, event_type, actor, source, metadata)
+    VALUES ($1, 'PastConf', 'bob', 'TRANSFERRED', 'alice', 'test',
+            '{"from_user_id": "alice", "to_user_id": "bob", "note": "alice"}')
+  `, [TRANSFERRED]);
+  await pg.query(`
+    INSERT INTO webhook_subscriptions (id, url, event_types, secret, created_by)
+    VALUES ($1, 'https://hooks.example.com', '{booking.transferred}', 'secret', 'alice')
+  `, [SUBSCRIPTION]);
+  await pg.query(`
+    INSERT INTO webhook_deliveries (id, subscription_id, event_type, payload)
+    VALUES ('00000000-0000-0000-0000-0000000000d1', $1, 'booking.transferred',
+            '{"data": {"from_user_id": "alice", "to_user_id": "bob", "note": "alice"}}')
+  `, [SUBSCRIPTION]);
+  await pg.query(`
+    INSERT INTO notifications (event_type, user_id, booking_id) VALUES ('BOOKING_CONFIRMED', 'alice', $1)
+  `, [UPCOMING]);
+  await pg.query(`
+    INSERT INTO idempotency_keys (scope, idempotency_key, request_method, request_path, request_hash, expires_at)
+    VALUES ('alice', 'key-1', 'POST', '/bookings', $1, $2)
+  `, ['0'.repeat(64), hoursFromNow(24)]);
+};
+
+describe('eraseUser', () => {
+  before(async () => {
+    await pg.migrate();
+    await seed();
+  });
+
+  after(() => pg.close());
+
+  it('reports an unknown user and changes nothing', async () => {
+    const result = await userService.eraseUser('mallory', context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'User not found');
+    assert.deepEqual(await rowsOf('SELECT user_id FROM users ORDER BY user_id'),
+      [{ user_id: 'admin' }, { user_id: 'alice' }, { user_id: 'bob' }]);
+  });
+
+  describe('for an existing user', () => {
+    let result;
+    let pseudonym;
+
+    before(async () => {
+      result = await userService.eraseUser('alice', context);
+      [{ user_id: pseudonym }] = await rowsOf('SELECT user_id FROM users WHERE erased_at IS NOT NULL');
+    });
+
+    it('cancels upcoming bookings and moves the rest to a placeholder user', async () => {
+      assert.equal(result.success, true);
+      assert.deepEqual(result.data.canceled_bookings, [
+        { booking_id: UPCOMING, conference_name: 'NodeConf', status: 'CONFIRMED' }
+      ]);
+      assert.equal(result.data.anonymized_bookings, 2);
+      assert.match(pseudonym, /^erased-/);
+
+      assert.deepEqual(await rowsOf('SELECT user_id FROM users ORDER BY user_id'),
+        [{ user_id: 'admin' }, { user_id: 'bob' }, { user_id: pseudonym }]);
+      assert.deepEqual(await rowsOf(`
+        SELECT booking_id, user_id, status, cancellation_reason, checked_in_by FROM bookings ORDER BY booking_id
+      `), [
+        { booking_id: UPCOMING, user_id: pseudonym, status: 'CANCELED', cancellation_reason: 'User erased', checked_in_by: null },
+        { booking_id: ATTENDED, user_id: pseudonym, status: 'CONFIRMED', cancellation_reason: null, checked_in_by: pseudonym },
+        { booking_id: TRANSFERRED, user_id: 'bob', status: 'CONFIRMED', cancellation_reason: null, checked_in_by: null }
+      ]);
+    });
+
+    it('frees the seat of a canceled booking and leaves organized conferences without an organizer', async () => {
+      assert.deepEqual(await rowsOf("SELECT available_slots, organizer_id FROM conferences WHERE name = 'NodeConf'"),
+        [{ available_slots: 10, organizer_id: null }]);
+    });
+
+    it('rewrites who canceled a conference and who created a webhook subscription', async () => {
+      assert.deepEqual(await rowsOf("SELECT canceled_by FROM conferences WHERE name = 'OldConf'"),
+        [{ canceled_by: pseudonym }]);
+      assert.deepEqual(await rowsOf('SELECT created_by FROM webhook_subscriptions'),
+        [{ created_by: pseudonym }]);
+    });
+
+    it('rewrites only the user ID fields of history metadata and webhook payloads', async () => {
+      const [transfer] = await rowsOf("SELECT actor, metadata FROM booking_events WHERE event_type = 'TRANSFERRED'");
+      assert.deepEqual(transfer, {
+        actor: pseudonym,
+        metadata: { from_user_id: pseudonym, to_user_id: 'bob', note: 'alice' }
+      });
+
+      const [delivery] = await rowsOf("SELECT payload FROM webhook_deliveries WHERE id = '00000000-0000-0000-0000-0000000000d1'");
+      assert.deepEqual(delivery.payload, { data: { from_user_id: pseudonym, to_user_id: 'bob', note: 'alice' } });
+    });
+
+    it('leaves no booking history that names the user', async () => {
+      assert.deepEqual(await rowsOf("SELECT id FROM booking_events WHERE user_id = 'alice' OR actor = 'alice'"), []);
+    });
+
+    it('deletes notifications and stored idempotent responses', async () => {
+      assert.deepEqual(await rowsOf("SELECT id FROM notifications WHERE user_id = 'alice'"), []);
+      assert.deepEqual(await rowsOf("SELECT scope FROM idempotency_keys WHERE scope = 'alice'"), []);
+    });
+  });
+});
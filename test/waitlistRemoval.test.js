@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const {
+  hoursFromNow,
+  testContext,
+  conferenceRow,
+  bookingRow,
+  waitlistRows,
+  installConferenceStore
+} = require('./helpers/fixtures');
+
+const db = installFakeDatabase();
+const bookingService = require('../services/bookingService');
+
+const context = testContext();
+
+// Alice just got a seat at Confirmed; she is waitlisted for an overlapping and a separate conference
+const TIMES = {
+  Confirmed: { start_time: hoursFromNow(48), end_time: hoursFromNow(50) },
+  Overlapping: { start_time: hoursFromNow(49), end_time: hoursFromNow(51) },
+  Separate: { start_time: hoursFromNow(58), end_time: hoursFromNow(60) }
+};
+
+/**
+ * Answer the queries that find and cancel a user's waitlist entries across
+ * conferences from in-memory bookings and waitlist entries
+ * @param {Object} rows - { bookings, waitlist }, changed in place
+ */
+const installWaitlists = ({ bookings, waitlist }) => {
+  db.on(/WHERE b.user_id = \$1 AND b.status = 'WAITLISTED'/, (params) => bookings
+    .filter(booking => booking.user_id === params[0] && booking.status === 'WAITLISTED'
+      && booking.conference_name !== params[1])
+    .map(booking => ({ ...booking, ...TIMES[booking.conference_name] })));
+  db.on(/SELECT start_time, end_time FROM conferences WHERE name = \$1/, (params) => [TIMES[params[0]]]);
+  db.on(/SET status = 'CANCELED', confirm_by = NULL, cancellation_reason = \$2 WHERE booking_id = ANY/, (params) => {
+    bookings
+      .filter(booking => params[0].includes(booking.booking_id))
+      .forEach(booking => Object.assign(booking, { status: 'CANCELED', confirm_by: null, cancellation_reason: params[1] }));
+    return [];
+  });
+  db.on(/^DELETE FROM waitlist WHERE booking_id = ANY/, (params) => {
+    const removed = waitlist.filter(entry => params[0].includes(entry.booking_id));
+    removed.forEach(entry => waitlist.splice(waitlist.indexOf(entry), 1));
+    return removed;
+  });
+};
+
+const statuses = (bookings) => Object.fromEntries(bookings.map(booking => [booking.conference_name, booking.status]));
+
+describe('removeUserFromAllWaitlists', () => {
+  let rows;
+
+  beforeEach(() => {
+    db.reset();
+    rows = {
+      bookings: ['Overlapping', 'Separate'].map((conferenceName, i) => bookingRow({
+        booking_id: `00000000-0000-0000-0000-00000000000${i + 1}`,
+        conference_name: conferenceName,
+        status: 'WAITLISTED'
+      }))
+    };
+    rows.waitlist = rows.bookings.map(booking => ({ booking_id: booking.booking_id, position: 1 }));
+    installWaitlists(rows);
+  });
+
+  it('cancels every other waitlist entry in ALL mode', async () => {
+    const removed = await bookingService.removeUserFromAllWaitlists(db.client, 'alice', 'Confirmed', context, 'ALL');
+
+    assert.deepEqual(removed.map(entry => entry.conference_name), ['Overlapping', 'Separate']);
+    assert.deepEqual(statuses(rows.bookings), { Overlapping: 'CANCELED', Separate: 'CANCELED' });
+    assert.deepEqual(rows.waitlist, []);
+  });
+
+  it('cancels only entries overlapping the confirmed conference in OVERLAPPING mode', async () => {
+    const removed = await bookingService.removeUserFromAllWaitlists(db.client, 'alice', 'Confirmed', context, 'OVERLAPPING');
+
+    assert.deepEqual(removed.map(entry => entry.conference_name), ['Overlapping']);
+    assert.deepEqual(statuses(rows.bookings), { Overlapping: 'CANCELED', Separate: 'WAITLISTED' });
+    assert.equal(rows.bookings[0].cancellation_reason,
+      'You confirmed a seat at Confirmed, which overlaps this conference');
+    assert.deepEqual(rows.waitlist, [{ booking_id: rows.bookings[1].booking_id, position: 1 }]);
+  });
+
+  it('keeps every entry in NONE mode', async () => {
+    const removed = await bookingService.removeUserFromAllWaitlists(db.client, 'alice', 'Confirmed', context, 'NONE');
+
+    assert.deepEqual(removed, []);
+    assert.deepEqual(statuses(rows.bookings), { Overlapping: 'WAITLISTED', Separate: 'WAITLISTED' });
+  });
+
+  it("falls back to the user's preference when no mode is given", async () => {
+    db.on(/SELECT waitlist_removal FROM users/, [{ waitlist_removal: 'OVERLAPPING' }]);
+
+    await bookingService.removeUserFromAllWaitlists(db.client, 'alice', 'Confirmed', context);
+
+    assert.deepEqual(statuses(rows.bookings), { Overlapping: 'CANCELED', Separate: 'WAITLISTED' });
+  });
+});
+
+describe('removing a waitlist entry that holds a seat offer', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('closes the offer and offers the seat to the next user in line', async () => {
+    const store = installConferenceStore(db, conferenceRow({ name: 'Overlapping', ...TIMES.Overlapping }),
+      waitlistRows(['alice', 'bob'], { alice: hoursFromNow(1) }, 'Overlapping'));
+    installWaitlists(store);
+
+    await bookingService.removeUserFromAllWaitlists(db.client, 'alice', 'Confirmed', context, 'ALL');
+
+    assert.deepEqual(store.bookings.map(booking => booking.status), ['CANCELED', 'WAITLISTED']);
+    assert.deepEqual(store.waitlist, [{ booking_id: store.bookings[1].booking_id, position: 1 }]);
+    assert.deepEqual(store.offers.map(offer => offer.user_id), ['bob']);
+  });
+});
+
+describe('overlapping confirmed seats', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/SELECT waitlist_removal FROM users/, [{ waitlist_removal: 'NONE' }]);
+    // Alice holds a confirmed seat at another conference at the same time
+    db.on(/b.status = 'CONFIRMED' AND c.start_time < \$3/, (params) => (params[0] === 'alice' ? [{ booking_id: 'other' }] : []));
+  });
+
+  it('refuse a new booking', async () => {
+    const store = installConferenceStore(db, conferenceRow({ available_slots: 5 }));
+
+    const result = await bookingService.bookConference({ conference_name: 'NodeConf', user_id: 'alice' }, context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'User has conflicting booking at this time');
+    assert.deepEqual(store.bookings, []);
+    assert.equal(store.conference.available_slots, 5);
+  });
+
+  it('refuse to confirm a waitlist entry kept after confirming elsewhere', async () => {
+    const rows = waitlistRows(['alice'], { alice: hoursFromNow(1) });
+    const store = installConferenceStore(db, conferenceRow({ available_slots: 1 }), rows);
+
+    const result = await bookingService.confirmWaitlistBooking(rows.bookings[0].booking_id, context);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'User has conflicting booking at this time');
+    assert.equal(store.bookings[0].status, 'WAITLISTED');
+    assert.equal(store.conference.available_slots, 1);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installPostgres } = require('./helpers/postgres');
+
+const pg = installPostgres();
+const webhookService = require('../services/webhookService');
+
+const subscriptionId = (n) => `00000000-0000-0000-0000-${String(n).padStart(12, '0')}`;
+
+describe('publish', () => {
+  before(async () => {
+    await pg.migrate();
+    await pg.query(`
+      INSERT INTO webhook_subscriptions (id, url, event_types, secret, active)
+      VALUES ($1, 'https://a.example.com', '{booking.created}', 'secret', TRUE),
+             ($2, 'https://b.example.com', '{booking.created,booking.canceled}', 'secret', TRUE),
+             ($3, 'https://c.example.com', '{booking.created}', 'secret', FALSE)
+    `, [subscriptionId(1), subscriptionId(2), subscriptionId(3)]);
+  });
+
+  after(() => pg.close());
+
+  it('queues one delivery with its own ID for each active subscription to the event', async () => {
+    await webhookService.publish({ query: pg.query }, 'booking.created', { booking_id: 'b1' });
+
+    const { rows } = await pg.query(`
+      SELECT id, subscription_id, event_type, payload FROM webhook_deliveries ORDER BY subscription_id
+    `);
+    assert.deepEqual(rows.map(row => row.subscription_id), [subscriptionId(1), subscriptionId(2)]);
+    assert.equal(new Set(rows.map(row => row.id)).size, 2);
+    for (const row of rows) {
+      assert.match(row.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      assert.equal(row.event_type, 'booking.created');
+      assert.deepEqual(row.payload.data, { booking_id: 'b1' });
+    }
+  });
+
+  it('queues nothing when no subscription listens to the event', async () => {
+    await webhookService.publish({ query: pg.query }, 'conference.updated', { name: 'NodeConf' });
+
+    const { rows } = await pg.query("SELECT id FROM webhook_deliveries WHERE event_type = 'conference.updated'");
+    assert.deepEqual(rows, []);
+  });
+});
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time, so comparing a secret does not leak how
+ * much of it matched
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = {
+  safeEqual
+};
@@ -0,0 +1,112 @@
+// Minimal RFC 4180 CSV reading and writing for bulk import/export
+
+/**
+ * Split CSV text into records of fields. Handles quoted fields containing
+ * commas, quotes ("") and line breaks, and both CRLF and LF line endings.
+ * @param {string} text - CSV text
+ * @returns {Array} Records, each an array of field strings
+ */
+const parseRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by column name.
+ * Empty cells are left out so optional fields behave as if they were not sent.
+ * @param {string} text - CSV text
+ * @returns {Array} Row objects
+ */
+const parseCsv = (text) => {
+  const [header, ...records] = parseRecords(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return records.map(fields => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column && fields[i] !== undefined && fields[i] !== '') {
+        row[column] = fields[i];
+      }
+    });
+    return row;
+  });
+};
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV with a header row
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column names, in output order
+ * @returns {string} CSV text with CRLF line endings
+ */
+const stringifyCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => formatField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  stringifyCsv
+};
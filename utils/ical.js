@@ -0,0 +1,117 @@
+// iCalendar (RFC 5545) serialization for booking and conference feeds
+
+const PRODUCT_ID = '-//Conference Booking System//Calendar Export//EN';
+const UID_DOMAIN = 'conference-booking';
+
+// Content lines longer than this many octets must be folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20250101T090000Z
+ * @param {Date|string} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line into chunks of at most 75 octets, without splitting UTF-8 characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF and a leading space
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - { uid, start, end, summary, location, description, categories,
+ *   status (CONFIRMED, TENTATIVE or CANCELLED), sequence, lastModified, url }
+ * @param {Date} stamp - DTSTAMP for the calendar
+ * @returns {Array} Content lines
+ */
+const buildEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`
+  ];
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} calendar - { name, events }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => buildEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  formatDateTime
+};
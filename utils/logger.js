@@ -0,0 +1,80 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Severity of each level; messages below LOG_LEVEL are dropped
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Fields of the request or job being handled (e.g. request_id), added to every log line
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Make a value JSON-safe; errors keep their message, code and stack
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+const serialize = (value) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    };
+  }
+  return value;
+};
+
+/**
+ * Run a function with fields that every log line written while it runs will carry,
+ * including from services and database queries it calls
+ * @param {Object} context - Fields such as { request_id } or { job }
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+const runWithContext = (context, fn) => contextStorage.run({ ...getContext(), ...context }, fn);
+
+/**
+ * Get the fields of the request or job being handled
+ * @returns {Object} Context fields, empty outside a request or job
+ */
+const getContext = () => contextStorage.getStore() || {};
+
+/**
+ * Write one JSON log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} fields - Extra fields; an `error` field is expanded
+ */
+const log = (level, message, fields = {}) => {
+  const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...getContext()
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+module.exports = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+  runWithContext,
+  getContext,
+  LEVELS
+};
@@ -0,0 +1,199 @@
+/**
+ * Minimal Prometheus metrics registry: counters, gauges and histograms kept in
+ * memory, plus collectors that refresh gauges from the database on each scrape.
+ * Rendered in the Prometheus text exposition format.
+ */
+
+// Default histogram buckets in seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  // Drop all series, for gauges that are rebuilt from scratch on each scrape
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values()).map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+    ];
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help) {
+    super(name, help);
+    this.type = 'gauge';
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer
+   * @param {Object} labels - Labels known up front
+   * @returns {Function} Call with any further labels to record the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Add a function that updates metrics right before they are rendered
+   * @param {Function} collector - async () => void
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Run the collectors and render every metric
+   * @returns {string} Metrics in the Prometheus text format
+   */
+  async render() {
+    await Promise.all(this.collectors.map(collector => collector()));
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+// Metrics recorded across the app; gauges read from the database are registered by their collectors
+const metrics = {
+  httpRequestDuration: registry.histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by method, route and status code'
+  ),
+  dbQueryDuration: registry.histogram(
+    'db_query_duration_seconds',
+    'Database query duration by outcome'
+  ),
+  jobRuns: registry.counter(
+    'job_runs_total',
+    'Scheduled job runs by job and result'
+  ),
+  jobDuration: registry.histogram(
+    'job_duration_seconds',
+    'Scheduled job run duration',
+    [0.1, 0.5, 1, 5, 15, 60, 300]
+  ),
+  jobLastSuccess: registry.gauge(
+    'job_last_success_timestamp_seconds',
+    'Unix time of the last successful run of each job'
+  )
+};
+
+module.exports = {
+  registry,
+  metrics,
+  Registry
+};
@@ -0,0 +1,177 @@
+const { query } = require('../config/database');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the sort value and key of the last row on a page as an opaque cursor
+ * @param {string} sortValue - Sort column value as text
+ * @param {string} key - Unique key of the row
+ * @returns {string} Cursor
+ */
+const encodeCursor = (sortValue, key) =>
+  Buffer.from(JSON.stringify([sortValue, key])).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Array|null} [sortValue, key] or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read limit, cursor, sort and order from a request query string
+ * @param {Object} reqQuery - req.query
+ * @returns {Object} Page options for paginatedQuery
+ */
+const getPageOptions = (reqQuery) => ({
+  limit: Math.min(parseInt(reqQuery.limit) || DEFAULT_LIMIT, MAX_LIMIT),
+  cursor: reqQuery.cursor || null,
+  sort: reqQuery.sort || null,
+  order: reqQuery.order || null
+});
+
+/**
+ * Build the link to the next page by replacing the cursor in the current URL
+ * @param {Object} req - Express request
+ * @param {string|null} nextCursor - Cursor for the next page
+ * @returns {string|null} Relative URL of the next page
+ */
+const buildNextLink = (req, nextCursor) => {
+  if (!nextCursor) {
+    return null;
+  }
+
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name !== 'cursor' && typeof value === 'string') {
+      params.set(name, value);
+    }
+  }
+  params.set('cursor', nextCursor);
+
+  return `${req.baseUrl}${req.path}?${params.toString()}`;
+};
+
+/**
+ * Add the next page link to a list response built by toPageResponse
+ * @param {Object} req - Express request
+ * @param {Object} result - List response
+ * @returns {Object} The same response
+ */
+const withNextLink = (req, result) => {
+  if (result.success && result.pagination) {
+    result.pagination.next = buildNextLink(req, result.pagination.next_cursor);
+  }
+  return result;
+};
+
+/**
+ * Run a keyset-paginated list query and count the total matching rows.
+ *
+ * Rows are ordered by the chosen sort column with the key column as a tie-breaker,
+ * and the cursor holds both values of the last row, so pages stay stable while
+ * rows are inserted. Sort values are carried as text to keep full timestamp precision.
+ *
+ * @param {Object} spec - {
+ *   select, from, where: [conditions], params,
+ *   sortFields: { field: { column, type } }, defaultSort, defaultOrder,
+ *   key: { column, type }
+ * }
+ * @param {Object} page - { limit, cursor, sort, order }
+ * @returns {Object} { rows, total, limit, next_cursor } or { error } for invalid options
+ */
+const paginatedQuery = async (spec, page = {}) => {
+  const limit = Math.min(parseInt(page.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const sortName = page.sort || spec.defaultSort;
+  const sortField = spec.sortFields[sortName];
+  if (!sortField) {
+    return { error: `sort must be one of: ${Object.keys(spec.sortFields).join(', ')}` };
+  }
+
+  const order = (page.order || spec.defaultOrder || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const where = [...(spec.where || [])];
+  const params = [...(spec.params || [])];
+  const countText = `
+    SELECT COUNT(*) AS total
+    FROM ${spec.from}
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+  `;
+  const countParams = [...params];
+
+  if (page.cursor) {
+    const decoded = decodeCursor(page.cursor);
+    if (!decoded) {
+      return { error: 'Invalid cursor' };
+    }
+
+    params.push(decoded[0], decoded[1]);
+    const comparison = order === 'asc' ? '>' : '<';
+    where.push(
+      `(${sortField.column}, ${spec.key.column}) ${comparison} ` +
+      `($${params.length - 1}::${sortField.type}, $${params.length}::${spec.key.type})`
+    );
+  }
+
+  params.push(limit + 1);
+  const direction = order.toUpperCase();
+  const pageResult = await query(`
+    SELECT ${spec.select},
+           (${sortField.column})::text AS _cursor_sort,
+           (${spec.key.column})::text AS _cursor_key
+    FROM ${spec.from}
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY ${sortField.column} ${direction}, ${spec.key.column} ${direction}
+    LIMIT $${params.length}
+  `, params);
+
+  const countResult = await query(countText, countParams);
+
+  const hasMore = pageResult.rows.length > limit;
+  const rows = pageResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    rows: rows.map(({ _cursor_sort, _cursor_key, ...row }) => row),
+    total: parseInt(countResult.rows[0].total),
+    limit,
+    next_cursor: hasMore ? encodeCursor(last._cursor_sort, last._cursor_key) : null
+  };
+};
+
+/**
+ * Shape a paginatedQuery result into the standard list response
+ * @param {Object} page - Result of paginatedQuery
+ * @returns {Object} { success, data, count, pagination }
+ */
+const toPageResponse = (page) => ({
+  success: true,
+  data: page.rows,
+  count: page.rows.length,
+  pagination: {
+    total: page.total,
+    limit: page.limit,
+    next_cursor: page.next_cursor
+  }
+});
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPageOptions,
+  buildNextLink,
+  withNextLink,
+  paginatedQuery,
+  toPageResponse
+};
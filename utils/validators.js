@@ -1,4 +1,30 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Roles used for authorization
+const ROLES = ['admin', 'organizer', 'attendee'];
+
+// Event types integrators can subscribe to with webhooks
+const WEBHOOK_EVENTS = [
+  'booking.confirmed',
+  'booking.waitlisted',
+  'booking.canceled',
+  'booking.transferred',
+  'waitlist.offer_made',
+  'conference.created',
+  'conference.updated'
+];
+
+// Booking statuses list endpoints can filter on
+const BOOKING_STATUSES = ['CONFIRMED', 'WAITLISTED', 'CANCELED'];
+
+// What happens to a waitlisted booking whose seat offer expires
+const WAITLIST_EXPIRY_ACTIONS = ['MOVE_TO_BACK', 'DROP', 'KEEP_POSITION_ONCE'];
+
+// Which of a user's other waitlist entries are dropped when they get a confirmed seat
+const WAITLIST_REMOVAL_MODES = ['ALL', 'OVERLAPPING', 'NONE'];
+
+// Time series bucket sizes for analytics
+const ANALYTICS_BUCKETS = ['hour', 'day', 'week', 'month'];
 
 // Helper function to check if string contains only alphanumeric characters and spaces
 const isAlphanumericWithSpaces = (str) => {
@@ -37,19 +63,8 @@ const validateDateTime = (dateString) => {
   return !isNaN(date.getTime()) && date > new Date();
 };
 
-// Conference validation rules
-const conferenceValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Conference name must be between 1 and 255 characters')
-    .custom((value) => {
-      if (!isAlphanumericWithSpaces(value)) {
-        throw new Error('Conference name must contain only alphanumeric characters and spaces');
-      }
-      return true;
-    }),
-
+// Conference field validation rules (shared by create and update)
+const conferenceFieldValidation = [
   body('location')
     .trim()
     .isLength({ min: 1, max: 255 })
@@ -108,6 +123,170 @@ const conferenceValidation = [
     .withMessage('Total slots must be a positive integer')
 ];
 
+// Conference validation rules
+const conferenceValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Conference name must be between 1 and 255 characters')
+    .custom((value) => {
+      if (!isAlphanumericWithSpaces(value)) {
+        throw new Error('Conference name must contain only alphanumeric characters and spaces');
+      }
+      return true;
+    }),
+
+  ...conferenceFieldValidation
+];
+
+// Conference update validation rules (name comes from the URL)
+const conferenceUpdateValidation = [
+  ...conferenceFieldValidation,
+
+  body('demote_confirmed')
+    .optional()
+    .isBoolean()
+    .withMessage('demote_confirmed must be a boolean')
+    .toBoolean()
+];
+
+// Conference cancellation validation rules
+const conferenceCancelValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Cancellation reason must be between 1 and 500 characters')
+];
+
+// Recommendation query validation rules
+const recommendationValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+
+  query('include_waitlist')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_waitlist must be true or false')
+];
+
+// Waitlist policy validation rules; every field is optional so the policy can be changed piecemeal
+const waitlistPolicyValidation = [
+  body('offer_window_minutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('offer_window_minutes must be between 1 and 10080')
+    .toInt(),
+
+  body('offer_expiry_action')
+    .optional()
+    .isIn(WAITLIST_EXPIRY_ACTIONS)
+    .withMessage(`offer_expiry_action must be one of: ${WAITLIST_EXPIRY_ACTIONS.join(', ')}`),
+
+  body('max_offers_per_user')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('max_offers_per_user must be a positive integer or null')
+    .toInt(),
+
+  body('auto_confirm')
+    .optional()
+    .isBoolean()
+    .withMessage('auto_confirm must be a boolean')
+    .toBoolean()
+];
+
+// Topic validation rules; names and aliases follow the same rules as topics in comma-separated lists
+const topicNameRule = (field, label = field) => {
+  const message = `${label} must be 1-100 alphanumeric characters or spaces`;
+  return body(field)
+    .isString()
+    .withMessage(message)
+    .bail()
+    .trim()
+    .custom(value => value.length >= 1 && value.length <= 100 && isAlphanumericWithSpaces(value))
+    .withMessage(message);
+};
+
+const topicFieldValidation = [
+  body('parent')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('parent must be a topic name or null'),
+
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('aliases must be an array of at most 50 topic names'),
+
+  topicNameRule('aliases.*', 'Each alias')
+];
+
+const topicValidation = [
+  topicNameRule('name'),
+  ...topicFieldValidation
+];
+
+const topicUpdateValidation = [
+  param('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Topic name must be between 1 and 100 characters'),
+  ...topicFieldValidation
+];
+
+const topicListValidation = [
+  query('prefix')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('prefix must be at most 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+];
+
+// Analytics query validation rules
+const analyticsValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+
+  query('bucket')
+    .optional()
+    .isIn(ANALYTICS_BUCKETS)
+    .withMessage(`bucket must be one of: ${ANALYTICS_BUCKETS.join(', ')}`),
+
+  query('conference')
+    .optional()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('conference must be between 1 and 255 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+];
+
+// Check-in validation rules
+const checkinValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Check-in token is required')
+];
+
 // User validation rules
 const userValidation = [
   body('user_id')
@@ -131,7 +310,111 @@ const userValidation = [
         throw new Error('Maximum 50 interested topics allowed');
       }
       return true;
-    })
+    }),
+
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Email must be a valid email address')
+];
+
+// Role update validation rules
+const roleValidation = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Token request validation rules
+const tokenValidation = [
+  body('user_id')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('User ID is required'),
+
+  body('expires_in')
+    .optional()
+    .isInt({ min: 60, max: 30 * 24 * 60 * 60 })
+    .withMessage('expires_in must be between 60 seconds and 30 days')
+    .toInt()
+];
+
+// Webhook subscription validation rules
+const webhookSubscriptionValidation = [
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http or https URL'),
+
+  body('event_types')
+    .isArray({ min: 1 })
+    .withMessage('event_types must be a non-empty array')
+    .custom((value) => {
+      const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown event types: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters')
+];
+
+// Webhook subscription update validation rules (all fields optional)
+const webhookUpdateValidation = [
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http or https URL'),
+
+  body('event_types')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('event_types must be a non-empty array')
+    .custom((value) => {
+      const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown event types: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+    .toBoolean()
+];
+
+const webhookIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Webhook ID must be a valid UUID')
+];
+
+const webhookDeliveryIdValidation = [
+  ...webhookIdValidation,
+
+  param('deliveryId')
+    .isUUID()
+    .withMessage('Delivery ID must be a valid UUID')
 ];
 
 // Booking validation rules
@@ -144,7 +427,27 @@ const bookingValidation = [
   body('user_id')
     .trim()
     .isLength({ min: 1, max: 255 })
-    .withMessage('User ID is required')
+    .withMessage('User ID is required'),
+
+  body('waitlist_removal')
+    .optional()
+    .isIn(WAITLIST_REMOVAL_MODES)
+    .withMessage(`waitlist_removal must be one of: ${WAITLIST_REMOVAL_MODES.join(', ')}`)
+];
+
+// Optional per-request override of the user's waitlist removal preference
+const waitlistRemovalValidation = [
+  body('waitlist_removal')
+    .optional()
+    .isIn(WAITLIST_REMOVAL_MODES)
+    .withMessage(`waitlist_removal must be one of: ${WAITLIST_REMOVAL_MODES.join(', ')}`)
+];
+
+// User preference validation rules
+const userPreferencesValidation = [
+  body('waitlist_removal')
+    .isIn(WAITLIST_REMOVAL_MODES)
+    .withMessage(`waitlist_removal must be one of: ${WAITLIST_REMOVAL_MODES.join(', ')}`)
 ];
 
 // Fixed parameter validations - ensure proper syntax
@@ -156,6 +459,15 @@ const bookingIdValidation = [
     .withMessage('Booking ID must be between 1 and 255 characters')
 ];
 
+// Booking transfer validation rules
+const bookingTransferValidation = [
+  body('to_user_id')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('to_user_id must be between 1 and 255 characters')
+];
+
 const userIdValidation = [
   param('userId')
     .notEmpty()
@@ -172,6 +484,63 @@ const conferenceNameValidation = [
     .withMessage('Conference name must be between 1 and 255 characters')
 ];
 
+// Query string rules shared by paginated list endpoints
+const paginationValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be an integer between 1 and 100'),
+
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('cursor must be a cursor returned by a previous page'),
+
+  query('sort')
+    .optional()
+    .isString()
+    .withMessage('sort must be a field name'),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be asc or desc')
+];
+
+const bookingListValidation = [
+  ...paginationValidation,
+
+  query('status')
+    .optional()
+    .isIn(BOOKING_STATUSES)
+    .withMessage(`status must be one of: ${BOOKING_STATUSES.join(', ')}`)
+];
+
+const userListValidation = [
+  ...paginationValidation,
+
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Bulk import/export query string rules
+const importValidation = [
+  query('dry_run')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dry_run must be true or false')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('format must be csv or json')
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -204,14 +573,15 @@ const businessValidation = {
     return result.rows.length === 0;
   },
 
-  // Check if user has conflicting bookings
+  // Check if user has a confirmed seat at an overlapping conference; overlapping
+  // waitlist entries are allowed and dropped per the user's waitlist_removal preference
   hasConflictingBooking: async (userId, startTime, endTime, db, excludeConference = null) => {
     let query = `
       SELECT b.booking_id, c.name, c.start_time, c.end_time
       FROM bookings b
       JOIN conferences c ON b.conference_name = c.name
       WHERE b.user_id = $1 
-        AND b.status IN ('CONFIRMED', 'WAITLISTED')
+        AND b.status = 'CONFIRMED'
         AND c.start_time < $3 
         AND c.end_time > $2
     `;
@@ -238,15 +608,44 @@ const businessValidation = {
 
 module.exports = {
   conferenceValidation,
+  conferenceUpdateValidation,
+  conferenceCancelValidation,
+  checkinValidation,
+  waitlistPolicyValidation,
   userValidation,
+  roleValidation,
+  tokenValidation,
+  webhookSubscriptionValidation,
+  webhookUpdateValidation,
+  webhookIdValidation,
+  webhookDeliveryIdValidation,
   bookingValidation,
   bookingIdValidation,
+  bookingTransferValidation,
+  waitlistRemovalValidation,
+  userPreferencesValidation,
   userIdValidation,
   conferenceNameValidation,
+  paginationValidation,
+  bookingListValidation,
+  userListValidation,
+  importValidation,
+  exportValidation,
+  recommendationValidation,
+  analyticsValidation,
+  topicValidation,
+  topicUpdateValidation,
+  topicListValidation,
   handleValidationErrors,
   businessValidation,
   isAlphanumericWithSpaces,
   validateTopicsString,
   hasTimeOverlap,
-  validateDateTime
+  validateDateTime,
+  ROLES,
+  WEBHOOK_EVENTS,
+  BOOKING_STATUSES,
+  WAITLIST_EXPIRY_ACTIONS,
+  WAITLIST_REMOVAL_MODES,
+  ANALYTICS_BUCKETS
 };
\ No newline at end of file